@@ -0,0 +1,282 @@
+/*
+Minimax AI shared by the page (vs AI mode) and the server (quickplay bot)
+- bestMove(state, { difficulty }) picks a cell for state.turn; state is an engine.js state.
+  chooseMove(state, { difficulty }) returns { index, mark }, for variants where the mark is a choice too.
+- Difficulties: 'easy' plays a random free cell, 'medium' only looks two moves ahead,
+  'hard' searches but sometimes blunders, 'perfect' always searches.
+- The search is negamax with alpha-beta pruning and a transposition cache, depth-limited on big boards.
+- Ultimate boards get their own shallower search over the engine's legal moves (see searchUltimate),
+  and rule variants a generic one over engine states that asks the engine who won (see searchVariant).
+- Loads as a CommonJS module in Node and as window.AI in the browser (after engine.js).
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine'));
+  else root.AI = factory(root.Engine);
+})(typeof self !== 'undefined' ? self : this, function (Engine) {
+  const WIN_SCORE = 1000;
+  const FULL_SEARCH_CELLS = 9; // search to the end once this few cells are left
+  const DIFFICULTIES = ['easy', 'medium', 'hard', 'perfect'];
+  const MEDIUM_DEPTH = 2; // sees its own wins and the opponent's next move, nothing deeper
+  const HARD_MISTAKE_RATE = 0.15;
+  const CACHE_LIMIT = 200000;
+  const ULTIMATE_DEPTHS = { medium: 2, hard: 3, perfect: 4 };
+  const SMALL_BOARD = { size: 3, winLength: 3 };
+  const SMALL_BOARD_WEIGHT = 20; // a won small board is worth this much, a big-board line ten times its evaluate() score
+  const VARIANT_BUDGET = 20000; // rough positions per variant search: more choices per move means a shallower search
+  const SYMMETRIES = [ // the eight ways to turn or flip a 3×3 board, as cell maps
+    [0, 1, 2, 3, 4, 5, 6, 7, 8], [2, 5, 8, 1, 4, 7, 0, 3, 6], [8, 7, 6, 5, 4, 3, 2, 1, 0], [6, 3, 0, 7, 4, 1, 8, 5, 2],
+    [2, 1, 0, 5, 4, 3, 8, 7, 6], [0, 3, 6, 1, 4, 7, 2, 5, 8], [6, 7, 8, 3, 4, 5, 0, 1, 2], [8, 5, 2, 7, 4, 1, 6, 3, 0]
+  ];
+
+  // transposition cache shared across calls: position key -> { depth, score, index, flag }
+  const EXACT = 0, LOWER = 1, UPPER = 2;
+  const cache = new Map();
+
+  // the move to play for state.turn: which cell, and which mark to put there
+  function chooseMove(state, { difficulty = 'perfect' } = {}) {
+    if (state.variant) return bestVariantMove(state, difficulty);
+    return { index: bestMove(state, { difficulty }), mark: state.turn };
+  }
+
+  function bestMove(state, { difficulty = 'perfect' } = {}) {
+    if (state.variant) return bestVariantMove(state, difficulty).index;
+    if (state.mode === Engine.ULTIMATE) return bestUltimateMove(state, difficulty);
+    const empty = freeCells(state.board);
+    if (difficulty === 'easy') return pickRandom(empty);
+    if (difficulty === 'hard' && Math.random() < HARD_MISTAKE_RATE) return pickRandom(candidateMoves(state, state.board));
+
+    // bigger boards get a shallow search scored by evaluate() so the AI still answers quickly
+    let depth = empty.length <= FULL_SEARCH_CELLS ? empty.length : (state.size <= 5 ? 4 : 3);
+    if (difficulty === 'medium') depth = Math.min(depth, MEDIUM_DEPTH);
+
+    if (cache.size > CACHE_LIMIT) cache.clear();
+    const move = search(state, state.board.slice(), state.turn, depth, -Infinity, Infinity);
+    return move.index;
+  }
+
+  function freeCells(board) {
+    return board.reduce((a, c, i) => { if (!c) a.push(i); return a; }, []);
+  }
+
+  function pickRandom(list) {
+    return list[Math.floor(Math.random() * list.length)];
+  }
+
+  // negamax with alpha-beta pruning; scores are from the point of view of `player`, who is to move
+  function search(game, b, player, depth, alpha, beta) {
+    const key = `${game.size}/${game.winLength}/${player}/${b.map(c => c || '.').join('')}`;
+    const alphaStart = alpha;
+    const hit = cache.get(key);
+    if (hit && hit.depth >= depth) {
+      if (hit.flag === EXACT) return hit;
+      if (hit.flag === LOWER) alpha = Math.max(alpha, hit.score);
+      else beta = Math.min(beta, hit.score);
+      if (alpha >= beta) return hit;
+    }
+
+    // prefer quick wins and slow losses
+    const win = Engine.checkWin(b, game.size, game.winLength);
+    if (win) return { score: (win.player === player) ? WIN_SCORE + depth : -WIN_SCORE - depth };
+    const avail = candidateMoves(game, b);
+    if (avail.length === 0) return { score: 0 };
+    if (depth === 0) return { score: evaluate(game, b, player) };
+
+    // the best move from an earlier search of this position is the likeliest cut-off, try it first
+    if (hit && hit.index !== undefined && avail.includes(hit.index)) {
+      avail.splice(avail.indexOf(hit.index), 1);
+      avail.unshift(hit.index);
+    }
+
+    const next = Engine.nextTurn(player);
+    let best = { score: -Infinity };
+    for (const i of avail) {
+      b[i] = player;
+      const score = -search(game, b, next, depth - 1, -beta, -alpha).score;
+      b[i] = null;
+      if (score > best.score) best = { index: i, score };
+      alpha = Math.max(alpha, score);
+      if (alpha >= beta) break;
+    }
+
+    const flag = best.score <= alphaStart ? UPPER : (best.score >= beta ? LOWER : EXACT);
+    cache.set(key, { depth, score: best.score, index: best.index, flag });
+    return best;
+  }
+
+  function bestUltimateMove(state, difficulty) {
+    if (difficulty === 'easy') return pickRandom(Engine.legalMoves(state));
+    if (difficulty === 'hard' && Math.random() < HARD_MISTAKE_RATE) return pickRandom(Engine.legalMoves(state));
+    return searchUltimate(state, ULTIMATE_DEPTHS[difficulty] || ULTIMATE_DEPTHS.perfect, -Infinity, Infinity).index;
+  }
+
+  // negamax over whole engine states; only the player who just moved can have won, so a result is a win for them or a draw
+  function searchUltimate(state, depth, alpha, beta) {
+    let best = { score: -Infinity };
+    for (const i of Engine.legalMoves(state)) {
+      const { state: next, result } = Engine.applyMove(state, i);
+      let score;
+      if (result) score = result.result === 'win' ? WIN_SCORE + depth : 0;
+      else if (depth <= 1) score = evaluateUltimate(next, state.turn);
+      else score = -searchUltimate(next, depth - 1, -beta, -alpha).score;
+      if (score > best.score) best = { index: i, score };
+      alpha = Math.max(alpha, score);
+      if (alpha >= beta) break;
+    }
+    return best;
+  }
+
+  // small boards taken, open lines inside the boards still in play, and open lines on the big board
+  function evaluateUltimate(state, player) {
+    let score = 0;
+    state.boards.forEach((owner, i) => {
+      if (owner === player) score += SMALL_BOARD_WEIGHT;
+      else if (owner && owner !== 'D') score -= SMALL_BOARD_WEIGHT;
+      else if (!owner) score += evaluate(SMALL_BOARD, state.board.slice(i * 9, i * 9 + 9), player);
+    });
+    score += 10 * evaluate(SMALL_BOARD, state.boards, player);
+    return Math.max(-WIN_SCORE / 2, Math.min(WIN_SCORE / 2, score));
+  }
+
+  // notakto's boards sit side by side, so every legal cell is a candidate; other variants use candidateMoves
+  function variantMoves(state) {
+    const cells = state.variant === 'notakto' ? Engine.legalMoves(state) : candidateMoves(state, state.board);
+    return cells.flatMap(index => Engine.marks(state).map(mark => ({ index, mark })));
+  }
+
+  function bestVariantMove(state, difficulty) {
+    const moves = variantMoves(state);
+    if (difficulty === 'easy' || (difficulty === 'hard' && Math.random() < HARD_MISTAKE_RATE)) return pickRandom(moves);
+
+    // search to the end near the end of the game (the cache keeps that small), otherwise as deep as the budget allows
+    const cells = Engine.legalMoves(state).length;
+    let depth = cells;
+    if (cells > FULL_SEARCH_CELLS) {
+      for (let positions = 1, d = 0; d < cells; d++) {
+        positions *= (cells - d) * Engine.marks(state).length;
+        if (positions > VARIANT_BUDGET) {
+          depth = Math.max(1, d);
+          break;
+        }
+      }
+    }
+    if (difficulty === 'medium') depth = Math.min(depth, MEDIUM_DEPTH);
+
+    if (cache.size > CACHE_LIMIT) cache.clear();
+    let best = null, alpha = -Infinity;
+    for (const move of moves) {
+      const score = scoreVariantMove(state, move, depth, alpha, Infinity);
+      if (!best || score > best.score) best = { ...move, score };
+      alpha = Math.max(alpha, score);
+    }
+    return { index: best.index, mark: best.mark };
+  }
+
+  // the score of playing `move`, from the point of view of state.turn, who plays it
+  function scoreVariantMove(state, move, depth, alpha, beta) {
+    const { state: next, result } = Engine.applyMove(state, move.index, move.mark);
+    if (result) return result.result === 'draw' ? 0 : (result.winner === state.turn ? WIN_SCORE + depth : -WIN_SCORE - depth);
+    if (depth <= 1) return evaluateVariant(next, state.turn);
+    return -searchVariant(next, depth - 1, -beta, -alpha);
+  }
+
+  // negamax score of a variant position for the player to move, cached like search()
+  function searchVariant(state, depth, alpha, beta) {
+    const key = variantKey(state);
+    const alphaStart = alpha;
+    const hit = cache.get(key);
+    if (hit && hit.depth >= depth) {
+      if (hit.flag === EXACT) return hit.score;
+      if (hit.flag === LOWER) alpha = Math.max(alpha, hit.score);
+      else beta = Math.min(beta, hit.score);
+      if (alpha >= beta) return hit.score;
+    }
+
+    let best = -Infinity;
+    for (const move of variantMoves(state)) {
+      best = Math.max(best, scoreVariantMove(state, move, depth, alpha, beta));
+      alpha = Math.max(alpha, best);
+      if (alpha >= beta) break;
+    }
+    const flag = best <= alphaStart ? UPPER : (best >= beta ? LOWER : EXACT);
+    cache.set(key, { depth, score: best, flag });
+    return best;
+  }
+
+  // positions that play the same share a key: notakto doesn't care whose turn it is, which order
+  // the boards come in, or how each board is turned; wild scores the same for either player to move
+  function variantKey(state) {
+    if (state.variant !== 'notakto') {
+      const turn = state.variant === 'wild' ? '' : state.turn;
+      return `${state.variant}/${state.size}/${state.winLength}/${turn}/${state.board.map(c => c || '.').join('')}`;
+    }
+    const boards = [];
+    for (let b = 0; b < state.board.length / 9; b++) {
+      const cells = state.board.slice(b * 9, b * 9 + 9);
+      if (Engine.checkWin(cells, 3, 3)) continue; // dead boards can't be played, so they don't matter
+      boards.push(SYMMETRIES.map(map => map.map(i => (cells[i] ? 'X' : '.')).join('')).sort()[0]);
+    }
+    return `notakto/${boards.sort().join('|')}`;
+  }
+
+  // cut-off scores: misère turns the usual line count around, Order counts lines still open to one
+  // mark; wild and notakto have no useful guess short of the end, so they score even
+  function evaluateVariant(state, player) {
+    if (state.variant === 'misere') return -evaluate(state, state.board, player);
+    if (state.variant !== 'order-chaos') return 0;
+    const score = evaluate(state, state.board, 'X', true);
+    return player === 'X' ? score : -score;
+  }
+
+  // every empty cell near the end of the game, otherwise only cells touching a placed mark
+  function candidateMoves(game, b) {
+    const avail = freeCells(b);
+    if (avail.length <= FULL_SEARCH_CELLS) return avail;
+
+    const near = avail.filter(i => hasNeighbour(game.size, b, i));
+    if (near.length) return near;
+    const mid = Math.floor(game.size / 2);
+    return [mid * game.size + mid];
+  }
+
+  function hasNeighbour(size, b, i) {
+    const row = Math.floor(i / size), col = i % size;
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const r = row + dr, c = col + dc;
+        if ((dr || dc) && r >= 0 && r < size && c >= 0 && c < size && b[r * size + c]) return true;
+      }
+    }
+    return false;
+  }
+
+  // score a cut-off position: each K-long line still open to only one side counts for that side
+  // (any other mark, like an ultimate board's 'D', blocks the line for both).
+  // With eitherMark, a line counts for aiPlayer as long as it holds only one kind of mark (Order and Chaos).
+  function evaluate({ size, winLength }, b, aiPlayer, eitherMark = false) {
+    const opponent = Engine.nextTurn(aiPlayer);
+    const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+    let score = 0;
+    for (let i = 0; i < b.length; i++) {
+      const row = Math.floor(i / size), col = i % size;
+      for (const [dr, dc] of directions) {
+        const endR = row + dr * (winLength - 1), endC = col + dc * (winLength - 1);
+        if (endR < 0 || endR >= size || endC < 0 || endC >= size) continue;
+        let mine = 0, theirs = 0, blocked = false;
+        for (let s = 0; s < winLength; s++) {
+          const v = b[(row + dr * s) * size + col + dc * s];
+          if (v === aiPlayer) mine++;
+          else if (v === opponent) theirs++;
+          else if (v) blocked = true;
+        }
+        if (blocked) continue;
+        if (eitherMark) score += (mine && theirs) ? 0 : (mine + theirs) * (mine + theirs);
+        else if (mine && !theirs) score += mine * mine;
+        else if (theirs && !mine) score -= theirs * theirs;
+      }
+    }
+    return Math.max(-WIN_SCORE / 2, Math.min(WIN_SCORE / 2, score));
+  }
+
+  return { DIFFICULTIES, bestMove, chooseMove, candidateMoves };
+});
@@ -0,0 +1,637 @@
+#!/usr/bin/env node
+// cli.js
+/*
+Terminal client
+- Online:  node cli.js quickplay | create | join <room or invite link> | watch <room>
+  connects to the server (--server, default http://localhost:10000), draws the board as text and
+  reads moves and commands from the keyboard. Type "help" once connected for the commands.
+- Offline: node cli.js ai plays local AI-vs-AI games without a server and prints each game in
+  record notation, then the score, so scripts can drive the engine.
+- Bot:     node cli.js bot --token T connects as a registered bot and answers every yourTurn
+  with the built-in AI: a working example of the bot protocol (README, "Bot API").
+- Board options (quickplay, create, ai): --board 3..15|ultimate, --win K,
+  --rules standard|misere|wild|notakto|order-chaos, --boards N (notakto).
+- Moves are 1-9 on 3x3 boards (numpad layout, like the page's number keys) or coordinates as in
+  the notation: b2, Xb2 where the mark is a choice, 2b2 for a notakto board.
+*/
+
+const { parseArgs } = require('util');
+const readline = require('readline');
+const Engine = require('./engine');
+const AI = require('./ai');
+const GameRecord = require('./record');
+
+const DEFAULT_SERVER = 'http://localhost:10000';
+const NUMPAD = [6, 7, 8, 3, 4, 5, 0, 1, 2]; // key 1 is the bottom-left cell
+const ANSI = { X: '\x1b[33m', O: '\x1b[36m', win: '\x1b[7m', reset: '\x1b[0m' };
+const RESUME_RETRY_MS = 3000; // how soon to try a resume again while the room's server restarts
+
+const USAGE = `Usage:
+  node cli.js quickplay [board options] [--name NAME]
+  node cli.js create [board options] [--name NAME] [--private] [--password PW]
+                     [--move-time SECONDS | --clock MINUTES+INCREMENT] [--best-of N]
+  node cli.js join <room or invite link> [--name NAME] [--password PW]
+  node cli.js watch <room or invite link> [--name NAME] [--password PW]
+  node cli.js ai [board options] [--x LEVEL] [--o LEVEL] [--games N] [--quiet]
+  node cli.js bot --token TOKEN [--level LEVEL]
+
+Board options: --board 3..15|ultimate  --win K  --rules ${Engine.VARIANTS.join('|')}  --boards N
+Online options: --server URL (default ${DEFAULT_SERVER})
+AI levels: ${AI.DIFFICULTIES.join(', ')}`;
+
+const HELP = `Commands:
+  1-9, b2, Xb2, 2b2   play a move (1-9 on 3x3 boards, laid out like a numpad)
+  ready               toggle ready
+  resign | draw       resign, or offer a draw
+  undo                ask your opponent for a takeback
+  yes | no            answer a draw offer or takeback request
+  rematch             vote for a rematch (or the next game of a series)
+  say <text>          chat with the room
+  board               draw the board again
+  leave | quit        leave the room, or quit`;
+
+const CLI_OPTIONS = {
+  server: { type: 'string', default: DEFAULT_SERVER },
+  name: { type: 'string', default: 'Player' },
+  board: { type: 'string', default: '3' },
+  win: { type: 'string' },
+  rules: { type: 'string', default: Engine.STANDARD },
+  boards: { type: 'string' },
+  password: { type: 'string' },
+  private: { type: 'boolean', default: false },
+  'move-time': { type: 'string' },
+  clock: { type: 'string' },
+  'best-of': { type: 'string' },
+  x: { type: 'string', default: 'perfect' },
+  o: { type: 'string', default: 'perfect' },
+  games: { type: 'string', default: '1' },
+  quiet: { type: 'boolean', default: false },
+  token: { type: 'string' },
+  level: { type: 'string', default: 'perfect' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/* ============== Options ============== */
+
+// the board and rules asked for on the command line, in the shape the server and Engine.createState take
+function boardOptions({ board, win, rules, boards }) {
+  if (board === Engine.ULTIMATE) return Engine.normalizeOptions({ mode: Engine.ULTIMATE });
+  if (!Engine.VARIANTS.includes(rules)) throw new Error(`Unknown rules "${rules}"`);
+  const size = Number(board);
+  const winLength = win === undefined ? Math.min(size, 5) : Number(win);
+  const options = Engine.normalizeOptions({ variant: rules, size, winLength, boardCount: boards === undefined ? undefined : Number(boards) });
+  if (rules === Engine.STANDARD && (options.size !== size || options.winLength !== winLength)) throw new Error('Unsupported board size');
+  return { mode: 'classic', variant: Engine.STANDARD, boardCount: null, ...options };
+}
+
+// --move-time 30 or --clock 3+2 (minutes, then increment seconds), as the server's time control
+function timeControl({ 'move-time': moveTime, clock }) {
+  if (moveTime) return { type: 'move', moveMs: Number(moveTime) * 1000 };
+  if (!clock) return null;
+  const [minutes, increment = 0] = clock.split('+').map(Number);
+  return { type: 'clock', baseMs: minutes * 60000, incrementMs: increment * 1000 };
+}
+
+// a room ID, or the ID out of an invite link (/game?room=...)
+function roomFrom(text) {
+  if (!/^https?:\/\//.test(text)) return text;
+  return new URL(text).searchParams.get('room') || text;
+}
+
+/* ============== Board ============== */
+
+// where cells sit on screen: ultimate and notakto number their cells board by board (engine.js)
+function layout({ mode, variant, size, boardCount: count }) {
+  if (mode === Engine.ULTIMATE) return { cols: 9, rows: 9, block: 3, indexAt: Engine.nestedIndex };
+  if (variant === 'notakto') return { cols: 3 * count, rows: 3, block: 3, indexAt: (row, col) => Math.floor(col / 3) * 9 + row * 3 + col % 3 };
+  return { cols: size, rows: size, block: 0, indexAt: (row, col) => row * size + col };
+}
+
+// notakto: which boards have a line on them
+function deadBoards(board) {
+  return Array.from({ length: board.length / 9 }, (_, b) => b).filter(b => Engine.checkWin(board.slice(b * 9, b * 9 + 9), 3, 3));
+}
+
+// the board as lines of text: column letters across the top, row numbers down the side,
+// small boards split by | and -, and the cells of a winning line highlighted when colour is on
+function drawBoard(state, { combo = [], color = false } = {}) {
+  const { cols, rows, block, indexAt } = layout(state);
+  const notakto = state.variant === 'notakto';
+  const winning = new Set(state.mode === Engine.ULTIMATE ? combo.flatMap(b => Array.from({ length: 9 }, (_, i) => b * 9 + i)) : combo);
+  const paint = (text, ...codes) => (color ? codes.join('') + text + ANSI.reset : text);
+  const split = col => block && col > 0 && col % block === 0;
+  const line = cells => cells.flatMap((cell, col) => (split(col) ? ['|', cell] : [cell])).join(' ');
+  const pad = String(rows).length + 1;
+
+  const lines = [];
+  if (notakto && cols > 3) lines.push((' '.repeat(pad) + line(Array.from({ length: cols }, (_, col) => (col % 3 === 1 ? String((col - 1) / 3 + 1) : ' ')))).trimEnd());
+  lines.push(' '.repeat(pad) + line(Array.from({ length: cols }, (_, col) => String.fromCharCode(97 + (notakto ? col % 3 : col)))));
+  for (let row = 0; row < rows; row++) {
+    if (block && row > 0 && row % block === 0) lines.push(' '.repeat(pad) + line(Array(cols).fill('-')).replace(/ /g, '-').replace(/\|/g, '+'));
+    const cells = Array.from({ length: cols }, (_, col) => {
+      const index = indexAt(row, col);
+      const mark = state.board[index];
+      if (!mark) return '.';
+      return winning.has(index) ? paint(mark, ANSI[mark], ANSI.win) : paint(mark, ANSI[mark]);
+    });
+    lines.push(String(row + 1).padStart(pad - 1) + ' ' + line(cells));
+  }
+
+  if (state.mode === Engine.ULTIMATE) {
+    const taken = state.boards.map((b, i) => b && `${i + 1}:${b === 'D' ? 'drawn' : b}`).filter(Boolean);
+    if (taken.length) lines.push(`Small boards: ${taken.join(' ')}`);
+    lines.push(`Board to play: ${state.activeBoard === null ? 'any' : state.activeBoard + 1}`);
+  }
+  if (notakto) {
+    const dead = deadBoards(state.board);
+    if (dead.length) lines.push(`Dead boards: ${dead.map(b => b + 1).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+// { index, mark? } from what was typed: 1-9 on a nine-cell board, otherwise a coordinate as in the notation
+function parseInput(text, options) {
+  const typed = text.trim().toLowerCase();
+  const digit = /^([xo]?)([1-9])$/.exec(typed);
+  if (digit && Engine.createState(options).board.length === 9) {
+    const index = NUMPAD[Number(digit[2]) - 1];
+    return digit[1] ? { index, mark: digit[1].toUpperCase() } : { index };
+  }
+  return GameRecord.parseMove(typed, options);
+}
+
+// Order and Chaos names its seats after their goals
+function seatName(symbol, variant) {
+  if (variant !== 'order-chaos') return symbol;
+  return symbol === 'X' ? 'Order (X)' : 'Chaos (O)';
+}
+
+/* ============== Offline: AI vs AI ============== */
+
+// play `games` whole games between two AI levels; X moves first in every game
+function playAiGames(options, { x = 'perfect', o = 'perfect', games = 1 } = {}) {
+  const records = [];
+  for (let g = 0; g < games; g++) {
+    let state = Engine.createState(options);
+    const moves = [];
+    let result = null;
+    while (!result) {
+      const { index, mark } = AI.chooseMove(state, { difficulty: state.turn === 'X' ? x : o });
+      const played = Engine.applyMove(state, index, mark);
+      if (played.error) throw new Error(`AI played an illegal move: ${played.error}`);
+      moves.push(mark === undefined ? { index, symbol: state.turn } : { index, symbol: state.turn, mark });
+      state = played.state;
+      result = played.result;
+    }
+    records.push(GameRecord.normalize({ ...Engine.normalizeOptions(options), moves, result }));
+  }
+  return records;
+}
+
+function runAi(values) {
+  for (const level of [values.x, values.o]) {
+    if (!AI.DIFFICULTIES.includes(level)) throw new Error(`Unknown AI level "${level}"`);
+  }
+  const games = Number(values.games);
+  if (!Number.isInteger(games) || games < 1) throw new Error('--games must be a positive number');
+
+  const records = playAiGames(boardOptions(values), { x: values.x, o: values.o, games });
+  const score = { X: 0, O: 0, draw: 0 };
+  for (const record of records) {
+    score[record.result.winner || 'draw']++;
+    if (!values.quiet) console.log(GameRecord.toNotation(record));
+  }
+  console.log(`X (${values.x}) ${score.X}, O (${values.o}) ${score.O}, draws ${score.draw}`);
+}
+
+/* ============== Online ============== */
+
+function runOnline(command, target, values) {
+  const { io } = require('socket.io-client');
+  const color = process.stdout.isTTY && !process.env.NO_COLOR;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+  const socket = io(values.server, { transports: ['websocket'] });
+
+  let room = null; // the latest room as the server describes it
+  let mySymbol = null;
+  let isSpectator = command === 'watch';
+  let isReady = false;
+  let gameResult = null;
+  let pending = null; // 'draw' | 'takeback' while the opponent waits for an answer
+  let pendingJoin = null;
+  let sessionToken = null;
+  let resumeRetry = null;
+  let connected = false;
+  let lastQueue = '';
+
+  // print above the prompt, keeping whatever has been typed so far
+  function say(text) {
+    if (process.stdout.isTTY) {
+      readline.clearLine(process.stdout, 0);
+      readline.cursorTo(process.stdout, 0);
+    }
+    console.log(text);
+    rl.prompt(true);
+  }
+
+  function playerLabel(p) {
+    return `${p.name}(${p.symbol})${p.isBot ? ' [bot]' : ''}`;
+  }
+
+  function formatClock(ms) {
+    const secs = Math.ceil(ms / 1000);
+    return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+  }
+
+  function showBoard() {
+    if (!room) return say('Not in a room.');
+    const lines = [drawBoard(room, { combo: (gameResult && gameResult.combo) || [], color })];
+    if (room.clock) lines.push(`Clock: X ${formatClock(room.clock.X)}  O ${formatClock(room.clock.O)}`);
+    if (room.status === 'playing' && !gameResult) {
+      const mine = !isSpectator && room.turn === mySymbol;
+      lines.push(mine ? `Your move (${seatName(mySymbol, room.variant)})` : `Turn: ${seatName(room.turn, room.variant)}`);
+    }
+    say(lines.join('\n'));
+  }
+
+  function setRoom(next) {
+    room = { ...room, ...next };
+  }
+
+  function requestJoin(password) {
+    socket.emit('joinRoom', { ...pendingJoin, password });
+  }
+
+  function start() {
+    if (command === 'quickplay') {
+      socket.emit('quickplay', { name: values.name, ...boardOptions(values) });
+      say('Searching for match...');
+    } else if (command === 'create') {
+      socket.emit('createRoom', {
+        name: values.name,
+        ...boardOptions(values),
+        timeControl: timeControl(values),
+        bestOf: Number(values['best-of']) || null,
+        isPrivate: values.private,
+        password: values.password
+      });
+      say('Room being created...');
+    } else {
+      pendingJoin = { roomId: roomFrom(target), name: values.name, spectate: command === 'watch' };
+      requestJoin(values.password);
+    }
+  }
+
+  socket.on('connect', () => {
+    say('Server connected.');
+    // pick our seat back up if the connection dropped
+    if (sessionToken) socket.emit('resumeSession', { token: sessionToken });
+    else if (!connected) start();
+    connected = true;
+  });
+
+  socket.on('disconnect', (reason) => {
+    if (reason !== 'io client disconnect') say('Disconnected from server.'); // not when we quit
+  });
+
+  socket.on('connect_error', (error) => {
+    say('Connection failed: ' + (error.message || 'Unknown error'));
+    if (!connected) process.exit(1); // nothing to come back to
+  });
+
+  socket.on('queueJoined', showQueueStatus);
+  socket.on('queueStatus', showQueueStatus);
+  socket.on('queueLeft', () => say('Search cancelled.'));
+
+  function showQueueStatus({ position, queued: waiting, estimatedWaitMs }) {
+    const wait = estimatedWaitMs > 0 ? ` · about ${Math.ceil(estimatedWaitMs / 1000)}s` : '';
+    const text = `Searching for a match — position ${position} of ${waiting}`;
+    if (text !== lastQueue) say(text + wait); // the server repeats this every tick
+    lastQueue = text;
+  }
+
+  socket.on('session', ({ token }) => {
+    pendingJoin = null;
+    isSpectator = false;
+    sessionToken = token;
+  });
+
+  socket.on('sessionExpired', () => { sessionToken = null; });
+
+  socket.on('sessionResumed', ({ symbol, room: r }) => {
+    mySymbol = symbol;
+    room = r;
+    gameResult = null;
+    say(`Reconnected to room ${r.roomId} as ${symbol}.`);
+    showBoard();
+  });
+
+  socket.on('opponentDisconnected', ({ name, graceMs }) => {
+    say(`${name} disconnected — waiting for reconnect (${Math.ceil(graceMs / 1000)}s)`);
+  });
+
+  socket.on('opponentReconnected', ({ name }) => say(`${name} reconnected.`));
+
+  socket.on('spectating', (r) => {
+    pendingJoin = null;
+    isSpectator = true;
+    room = r;
+    say(`Spectating room ${r.roomId}: ${r.players.map(playerLabel).join(' vs ')}`);
+    showBoard();
+  });
+
+  socket.on('roomClosed', ({ message: m }) => {
+    room = null;
+    sessionToken = null;
+    say(m || 'Room closed.');
+  });
+
+  socket.on('roomCreated', ({ roomId: rid }) => {
+    say(values.private
+      ? `Private room created. Share the ID ${rid} so your friend can join.`
+      : 'Room created. Waiting for other player...');
+    say(`Invite link: ${values.server}/game?room=${encodeURIComponent(rid)}`);
+  });
+
+  socket.on('roomUpdate', (r) => {
+    if (!r) return;
+    const before = room && room.status;
+    room = r;
+    const me = r.players.find(p => p.socketId === socket.id);
+    if (me) mySymbol = me.symbol;
+    // the server sends this on every join, ready and spectator change: only report what moved on
+    if (r.status === before) return;
+    if (me) say(`You are ${me.symbol}. Players: ${r.players.map(playerLabel).join(' vs ')}`);
+    if (r.status === 'waiting') say(`Waiting for players... (${r.playerCount}/2)`);
+    else if (r.status === 'waitingReady') say(`Both players joined! Type "ready" to start. (${r.readyCount}/2 ready)`);
+    else if (r.status === 'playing') say(`Game in progress! ${r.turn}'s turn`);
+  });
+
+  socket.on('matchReady', () => {
+    isReady = false;
+    if (isSpectator) return say('Both players joined — waiting for them to get ready.');
+    say('Both players joined! Type "ready" to start the game.');
+  });
+
+  socket.on('gameStart', (r) => {
+    room = r;
+    const me = r.players.find(p => p.socketId === socket.id);
+    if (me) mySymbol = me.symbol; // seats can swap between games of a series
+    gameResult = null;
+    pending = null;
+    isReady = false;
+    say(isSpectator ? 'Game started!' : 'Game started! Good luck!');
+    showBoard();
+  });
+
+  socket.on('boardUpdate', ({ move, ...position }) => {
+    setRoom(position);
+    if (move) room.moves = [...room.moves, move];
+    if (move) say(`${seatName(move.symbol, room.variant)} played ${GameRecord.moveName(move.index, room, move.mark)}`);
+    showBoard();
+  });
+
+  socket.on('drawOffered', ({ name, symbol }) => {
+    if (symbol === mySymbol && !isSpectator) return say('Draw offered — waiting for your opponent.');
+    if (isSpectator) return say(`${name} offered a draw.`);
+    pending = 'draw';
+    say(`${name} offers a draw. Accept? (yes/no)`);
+  });
+
+  socket.on('drawDeclined', ({ symbol }) => {
+    if (pending === 'draw') pending = null;
+    say(symbol === mySymbol ? 'Your draw offer was declined.' : 'Draw offer declined.');
+  });
+
+  socket.on('drawOfferCancelled', () => { if (pending === 'draw') pending = null; });
+
+  socket.on('takebackRequested', ({ name, symbol, count }) => {
+    const what = count === 2 ? 'the last two moves' : 'their last move';
+    if (symbol === mySymbol && !isSpectator) return say('Takeback requested — waiting for your opponent.');
+    if (isSpectator) return say(`${name} asked to take back ${what}.`);
+    pending = 'takeback';
+    say(`${name} asks to take back ${what}. Accept? (yes/no)`);
+  });
+
+  socket.on('takebackDeclined', ({ symbol }) => {
+    if (pending === 'takeback') pending = null;
+    say(symbol === mySymbol ? 'Your takeback was declined.' : 'Takeback declined.');
+  });
+
+  socket.on('takebackCancelled', () => { if (pending === 'takeback') pending = null; });
+
+  socket.on('takeback', ({ moves, count, ...position }) => {
+    if (pending === 'takeback') pending = null;
+    setRoom({ ...position, moves });
+    say(`${count === 2 ? 'Two moves' : 'One move'} taken back. ${position.turn} to move.`);
+    showBoard();
+  });
+
+  socket.on('invalidMove', ({ reason }) => say('Invalid move: ' + reason));
+
+  socket.on('gameOver', ({ result, reason, winner, combo, room: r }) => {
+    room = r;
+    pending = null;
+    gameResult = { result, winner, combo, reason };
+    showBoard();
+    let text;
+    if (result === 'timeout') text = `${winner} wins on time!`;
+    else if (result === 'win') {
+      if (reason === 'forfeit') text = `${winner} wins — opponent did not reconnect.`;
+      else if (reason === 'resign') text = `${winner} wins — ${Engine.nextTurn(winner)} resigned.`;
+      else text = `${winner} wins!`;
+    } else {
+      text = reason === 'agreement' ? 'Draw agreed.' : 'Draw.';
+    }
+    if (r.series.winner) text += ` ${r.series.winner} takes the series!`;
+    say(text);
+    if (!isSpectator) say(`Score: X ${r.series.score.X} · O ${r.series.score.O} · draws ${r.series.score.D}. Type "rematch" to play again.`);
+  });
+
+  socket.on('chatHistory', ({ messages }) => messages.forEach(showChat));
+  socket.on('chat', showChat);
+
+  function showChat({ name, symbol, text, emote }) {
+    say(`[${symbol ? `${name}(${symbol})` : name}] ${text || emote}`);
+  }
+
+  socket.on('errorMsg', ({ error, code }) => {
+    if ((code === 'PASSWORD_REQUIRED' || code === 'WRONG_PASSWORD') && pendingJoin) {
+      rl.question(code === 'WRONG_PASSWORD' ? 'Wrong password. Try again: ' : 'This room needs a password: ', (password) => {
+        if (!password) {
+          pendingJoin = null;
+          return say('Join cancelled.');
+        }
+        requestJoin(password);
+      });
+      return;
+    }
+    // the server holding our room is restarting: keep asking for the seat until it is back
+    if (code === 'SERVER_RESTARTING' && sessionToken && !resumeRetry) {
+      resumeRetry = setTimeout(() => {
+        resumeRetry = null;
+        if (sessionToken && socket.connected) socket.emit('resumeSession', { token: sessionToken });
+      }, RESUME_RETRY_MS);
+    }
+    say(error || 'Server error');
+  });
+
+  socket.on('opponentLeft', ({ message: m }) => say(m || 'Opponent left'));
+
+  socket.on('rematchUpdate', ({ votes }) => say(`Rematch votes: ${votes}/2`));
+
+  socket.on('serverRestarting', ({ message: m }) => say(m));
+
+  socket.on('kicked', ({ message: m }) => {
+    say(m);
+    room = null;
+    quit();
+  });
+
+  function quit() {
+    clearTimeout(resumeRetry);
+    if (room) socket.emit('leaveRoom', { roomId: room.roomId });
+    socket.close();
+    rl.close();
+  }
+
+  rl.on('line', (line) => {
+    const text = line.trim();
+    const [word] = text.toLowerCase().split(/\s+/);
+    const roomId = room && room.roomId;
+    if (!text) return rl.prompt();
+
+    if (word === 'help') return say(HELP);
+    if (word === 'quit' || word === 'exit') return quit();
+    if (word === 'board') return showBoard();
+    if (!roomId) {
+      if (word === 'leave') return quit();
+      return say('Not in a room yet.');
+    }
+
+    if (word === 'say') socket.emit('sendChat', { roomId, text: text.slice(4).trim() });
+    else if (word === 'leave') quit();
+    else if (isSpectator) say('You are watching this game.');
+    else if (word === 'ready') {
+      isReady = !isReady;
+      socket.emit('setReady', { roomId, ready: isReady });
+      say(isReady ? 'You are ready!' : 'You are not ready.');
+    } else if (word === 'resign') socket.emit('resign', { roomId });
+    else if (word === 'draw') socket.emit('offerDraw', { roomId });
+    else if (word === 'undo') socket.emit('requestTakeback', { roomId });
+    else if (word === 'rematch') socket.emit('rematch', { roomId });
+    else if (word === 'yes' || word === 'no') {
+      if (!pending) return say('Nothing to answer.');
+      socket.emit(pending === 'draw' ? 'answerDraw' : 'answerTakeback', { roomId, accept: word === 'yes' });
+      pending = null;
+    } else {
+      let move;
+      try {
+        move = parseInput(text, room);
+      } catch (e) {
+        return say(`${e.message}. Type "help" for the commands.`);
+      }
+      socket.emit('playMove', { roomId, ...move });
+    }
+    rl.prompt();
+  });
+
+  rl.on('close', () => {
+    socket.close();
+    process.exit(0);
+  });
+}
+
+/* ============== Bot ============== */
+
+// play as a registered bot: say hello with the token, then answer every yourTurn with the AI
+function runBot(values) {
+  const { io } = require('socket.io-client');
+  const socket = io(values.server, { transports: ['websocket'] });
+  let name = null;
+  let roomId = null; // the room of the game being played
+
+  socket.on('connect', () => socket.emit('botHello', { token: values.token }));
+
+  socket.on('botWelcome', (welcome) => {
+    name = welcome.name;
+    console.log(`Connected as ${name}; waiting for league matches (${welcome.moveMs}ms per move).`);
+  });
+
+  socket.on('yourTurn', ({ roomId, state }) => {
+    const { index, mark } = AI.chooseMove(state, { difficulty: values.level });
+    socket.emit('playMove', { roomId, index, mark });
+  });
+
+  // like the server's own bot: take back on request, and play on rather than agree a draw
+  socket.on('takebackRequested', () => socket.emit('answerTakeback', { roomId, accept: true }));
+  socket.on('drawOffered', () => socket.emit('answerDraw', { roomId, accept: false }));
+
+  socket.on('gameStart', (room) => {
+    roomId = room.roomId;
+    console.log(`Game in room ${room.roomId}: ${room.players.map(p => `${p.name}(${p.symbol})`).join(' vs ')}`);
+  });
+
+  socket.on('gameOver', ({ result, winner, room }) => {
+    const by = winner && room.players.find(p => p.symbol === winner);
+    console.log(by ? `${by.name} wins${result === 'timeout' ? ' on time' : ''}.` : 'Draw.');
+  });
+
+  socket.on('leagueResult', ({ bots: names, points }) => {
+    console.log(`Match over: ${names.map(n => `${n} ${points[n]}`).join(', ')}`);
+  });
+
+  socket.on('invalidMove', ({ reason }) => console.log('Invalid move: ' + reason));
+
+  socket.on('errorMsg', ({ error, code }) => {
+    console.error(error || 'Server error');
+    if (code === 'BOT_AUTH_FAILED' || code === 'BOT_ALREADY_CONNECTED') process.exit(1);
+  });
+
+  socket.on('connect_error', (error) => {
+    console.error('Connection failed: ' + (error.message || 'Unknown error'));
+    if (!name) process.exit(1);
+  });
+
+  socket.on('serverRestarting', ({ message: m }) => console.log(m));
+
+  socket.on('kicked', ({ message: m }) => {
+    console.error(m);
+    process.exit(1);
+  });
+
+  socket.on('disconnect', () => console.log('Disconnected from server.'));
+}
+
+function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  const { values, positionals: [command, target] } = parsed;
+  if (values.help || !command) return console.log(USAGE);
+
+  try {
+    if (command === 'ai') return runAi(values);
+    if (command === 'bot') {
+      if (!values.token) throw new Error('bot needs --token');
+      if (!AI.DIFFICULTIES.includes(values.level)) throw new Error(`Unknown AI level "${values.level}"`);
+      return runBot(values);
+    }
+    if (command === 'quickplay' || command === 'create') boardOptions(values); // fail before connecting
+    else if (command === 'join' || command === 'watch') {
+      if (!target) throw new Error(`${command} needs a room ID or invite link`);
+    } else throw new Error(`Unknown command "${command}"`);
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  runOnline(command, target, values);
+}
+
+if (require.main === module) main();
+
+module.exports = { boardOptions, timeControl, roomFrom, drawBoard, parseInput, playAiGames };
@@ -0,0 +1,297 @@
+/*
+Rules engine shared by server.js, script.js and test.html
+- Pure functions: state in, move in, new state plus result out. No DOM, no sockets.
+- state = { size, winLength, board: Array(size*size) of 'X' | 'O' | null, turn: 'X' | 'O' }
+- Ultimate mode plays on a 3×3 grid of 3×3 boards, and adds to the state:
+    mode: 'ultimate', size 9, winLength 3,
+    board: 81 cells, nested: index = smallBoard * 9 + cell (use nestedIndex/gridPosition for rows and columns),
+    boards: Array(9) of 'X' | 'O' | 'D' (drawn) | null, who has taken each small board,
+    activeBoard: the small board the player to move must use, or null for a free choice.
+  The cell you play picks the opponent's board; a decided board gives them a free choice.
+  Three small boards in a row win; a win result's combo lists small boards, not cells.
+- Classic boards can play a rule variant (state.variant, see VARIANTS below; absent means standard).
+  turn is always the seat to move (X or O); the mark placed can differ from it:
+    misere        standard marks, but completing a line loses
+    wild          either player places X or O; whoever completes a line (of either mark) wins
+    notakto       both place X on boardCount 3×3 boards (board: boardCount*9 cells, board-major);
+                  a board with a line is dead, and whoever kills the last live board loses
+    order-chaos   6×6, either player places X or O; Order (X, moves first) wins with exactly five
+                  of one mark in a row, Chaos (O) wins if the board fills without one
+  Variants that let the player choose take the mark as a third argument to applyMove/validateMove.
+- Illegal moves have a stable code (MOVE_ERRORS) as well as an English reason; errors.js
+  lists them alongside the server's codes.
+- Loads as a CommonJS module in Node and as window.Engine in the browser.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Engine = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MIN_SIZE = 3;
+  const MAX_SIZE = 15;
+  const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+  const ULTIMATE = 'ultimate';
+  const STANDARD = 'standard';
+  const MAX_NOTAKTO_BOARDS = 4;
+  const MOVE_ERRORS = { // code -> reason, with {placeholders} for params
+    GAME_OVER: 'Game is over',
+    INVALID_CELL: 'Invalid cell',
+    CELL_TAKEN: 'Cell already taken',
+    MARK_REQUIRED: 'Choose X or O to place',
+    MARK_NOT_ALLOWED: 'You can only place {marks}',
+    BOARD_DECIDED: 'That board is already decided',
+    WRONG_BOARD: 'You must play in board {board}',
+    BOARD_DEAD: 'That board is dead'
+  };
+
+  // clamp requested board options; K defaults to N, capped at 5 (gomoku) on big boards.
+  // Ultimate and the fixed-board variants ignore the size they are given.
+  function normalizeOptions({ mode, variant, size, winLength, boardCount } = {}) {
+    if (mode === ULTIMATE) return { mode: ULTIMATE, size: 9, winLength: 3 };
+    if (variant === 'notakto') {
+      const count = Math.min(MAX_NOTAKTO_BOARDS, Math.max(1, Math.floor(Number(boardCount)) || 3));
+      return { variant, size: 3, winLength: 3, boardCount: count };
+    }
+    if (variant === 'order-chaos') return { variant, size: 6, winLength: 5 };
+    const n = Math.min(MAX_SIZE, Math.max(MIN_SIZE, Math.floor(Number(size)) || MIN_SIZE));
+    const k = Math.min(n, Math.max(3, Math.floor(Number(winLength)) || Math.min(n, 5)));
+    return VARIANTS[variant] && variant !== STANDARD ? { variant, size: n, winLength: k } : { size: n, winLength: k };
+  }
+
+  function createState(options) {
+    const { mode, variant, size, winLength, boardCount = 1 } = normalizeOptions(options);
+    const state = { size, winLength, board: Array(size * size * boardCount).fill(null), turn: 'X' };
+    if (mode === ULTIMATE) Object.assign(state, { mode, boards: Array(9).fill(null), activeBoard: null });
+    if (variant) state.variant = variant;
+    if (variant === 'notakto') state.boardCount = boardCount;
+    return state;
+  }
+
+  // ultimate boards are stored nested; these convert to and from rows/columns of the 9×9 grid
+  function nestedIndex(row, col) {
+    return (Math.floor(row / 3) * 3 + Math.floor(col / 3)) * 9 + (row % 3) * 3 + col % 3;
+  }
+
+  function gridPosition(index) {
+    const big = Math.floor(index / 9), cell = index % 9;
+    return [Math.floor(big / 3) * 3 + Math.floor(cell / 3), (big % 3) * 3 + cell % 3];
+  }
+
+  // the big board as a 3×3 board of winners, with drawn boards counting for nobody
+  function bigBoard(boards) {
+    return boards.map(b => (b === 'X' || b === 'O' ? b : null));
+  }
+
+  function nextTurn(symbol) {
+    return symbol === 'X' ? 'O' : 'X';
+  }
+
+  // scan every cell for K in a row to the right, down, and along both diagonals
+  function checkWin(board, size, winLength) {
+    for (let i = 0; i < board.length; i++) {
+      if (!board[i]) continue;
+      const row = Math.floor(i / size), col = i % size;
+      for (const [dr, dc] of DIRECTIONS) {
+        const combo = [i];
+        let r = row + dr, c = col + dc;
+        while (combo.length < winLength && r >= 0 && r < size && c >= 0 && c < size && board[r * size + c] === board[i]) {
+          combo.push(r * size + c);
+          r += dr;
+          c += dc;
+        }
+        if (combo.length === winLength) return { player: board[i], combo };
+      }
+    }
+    return null;
+  }
+
+  // like checkWin, but only runs of exactly K count (Order and Chaos: six in a row is no win)
+  function checkExactRun(board, size, winLength) {
+    for (let i = 0; i < board.length; i++) {
+      if (!board[i]) continue;
+      const row = Math.floor(i / size), col = i % size;
+      for (const [dr, dc] of DIRECTIONS) {
+        const pr = row - dr, pc = col - dc;
+        if (pr >= 0 && pr < size && pc >= 0 && pc < size && board[pr * size + pc] === board[i]) continue; // not the start of a run
+        const combo = [i];
+        let r = row + dr, c = col + dc;
+        while (r >= 0 && r < size && c >= 0 && c < size && board[r * size + c] === board[i]) {
+          combo.push(r * size + c);
+          r += dr;
+          c += dc;
+        }
+        if (combo.length === winLength) return { player: board[i], combo };
+      }
+    }
+    return null;
+  }
+
+  // notakto: the line on each 3×3 board (in board cells), or null while that board is live
+  function notaktoLines(board) {
+    const lines = [];
+    for (let b = 0; b < board.length / 9; b++) {
+      const win = checkWin(board.slice(b * 9, b * 9 + 9), 3, 3);
+      lines.push(win && win.combo.map(i => b * 9 + i));
+    }
+    return lines;
+  }
+
+  /*
+  Rule variants for classic boards.
+    marks(state)                 the marks state.turn may place
+    outcome(state, board, index) after state.turn placed at index:
+                                 { winner, combo } | { draw: true } | null while the game goes on
+  */
+  const VARIANTS = {
+    standard: {
+      marks: state => [state.turn],
+      outcome(state, board) {
+        const win = checkWin(board, state.size, state.winLength);
+        if (win) return { winner: win.player, combo: win.combo };
+        return board.every(Boolean) ? { draw: true } : null;
+      }
+    },
+    misere: {
+      marks: state => [state.turn],
+      outcome(state, board) {
+        const win = checkWin(board, state.size, state.winLength);
+        if (win) return { winner: nextTurn(win.player), combo: win.combo };
+        return board.every(Boolean) ? { draw: true } : null;
+      }
+    },
+    wild: {
+      marks: () => ['X', 'O'],
+      outcome(state, board) {
+        const win = checkWin(board, state.size, state.winLength);
+        if (win) return { winner: state.turn, combo: win.combo };
+        return board.every(Boolean) ? { draw: true } : null;
+      }
+    },
+    notakto: {
+      marks: () => ['X'],
+      outcome(state, board, index) {
+        const lines = notaktoLines(board);
+        if (!lines.every(Boolean)) return null;
+        const last = index === undefined ? lines[lines.length - 1] : lines[Math.floor(index / 9)];
+        return { winner: nextTurn(state.turn), combo: last };
+      }
+    },
+    'order-chaos': {
+      marks: () => ['X', 'O'],
+      outcome(state, board) {
+        const run = checkExactRun(board, state.size, state.winLength);
+        if (run) return { winner: 'X', combo: run.combo };
+        return board.every(Boolean) ? { winner: 'O', combo: [] } : null;
+      }
+    }
+  };
+
+  function variantOf(state) {
+    return VARIANTS[state.variant] || VARIANTS.standard;
+  }
+
+  // the marks the player to move may place: one for most games, X or O in wild and order-chaos
+  function marks(state) {
+    return state.mode === ULTIMATE ? [state.turn] : variantOf(state).marks(state);
+  }
+
+  function isDraw(board, size, winLength) {
+    return board.every(Boolean) && !checkWin(board, size, winLength);
+  }
+
+  function isOver(state) {
+    if (state.mode === ULTIMATE) return Boolean(checkWin(bigBoard(state.boards), 3, 3)) || state.boards.every(Boolean);
+    return Boolean(variantOf(state).outcome(state, state.board));
+  }
+
+  // null when the current player may place `mark` here, otherwise { code, params } saying why not.
+  // mark may be left out whenever the player has only one to choose from.
+  function moveError(state, index, mark) {
+    if (isOver(state)) return { code: 'GAME_OVER' };
+    if (!Number.isInteger(index) || index < 0 || index >= state.board.length) return { code: 'INVALID_CELL' };
+    if (state.board[index]) return { code: 'CELL_TAKEN' };
+    const allowed = marks(state);
+    if (mark === undefined && allowed.length > 1) return { code: 'MARK_REQUIRED' };
+    if (mark !== undefined && !allowed.includes(mark)) return { code: 'MARK_NOT_ALLOWED', params: { marks: allowed.join(' or ') } };
+    if (state.mode === ULTIMATE) {
+      const big = Math.floor(index / 9);
+      if (state.boards[big]) return { code: 'BOARD_DECIDED' };
+      if (state.activeBoard !== null && big !== state.activeBoard) return { code: 'WRONG_BOARD', params: { board: state.activeBoard + 1 } };
+    }
+    if (state.variant === 'notakto' && notaktoLines(state.board)[Math.floor(index / 9)]) return { code: 'BOARD_DEAD' };
+    return null;
+  }
+
+  function reason({ code, params = {} }) {
+    return MOVE_ERRORS[code].replace(/\{(\w+)\}/g, (_, key) => params[key]);
+  }
+
+  // null when the move is legal, otherwise the reason it is not, in English
+  function validateMove(state, index, mark) {
+    const problem = moveError(state, index, mark);
+    return problem && reason(problem);
+  }
+
+  // the cells the player to move may play (with any of marks(state))
+  function legalMoves(state) {
+    const mark = marks(state)[0];
+    return state.board.reduce((a, c, i) => { if (!moveError(state, i, mark)) a.push(i); return a; }, []);
+  }
+
+  /*
+  Play `index` for state.turn, placing `mark` (defaults to the only mark they may place).
+  Returns { error, code, params } for an illegal move (see moveError), otherwise { state, result }
+  where result is { result: 'win', winner, combo }, { result: 'draw' } or null while the game goes on.
+  */
+  function applyMove(state, index, mark) {
+    const problem = moveError(state, index, mark);
+    if (problem) return { error: reason(problem), ...problem };
+
+    const board = state.board.slice();
+    board[index] = mark === undefined ? marks(state)[0] : mark;
+    if (state.mode === ULTIMATE) return applyUltimateMove(state, board, index);
+
+    const outcome = variantOf(state).outcome(state, board, index);
+    if (outcome && outcome.draw) return { state: { ...state, board }, result: { result: 'draw' } };
+    if (outcome) return { state: { ...state, board }, result: { result: 'win', winner: outcome.winner, combo: outcome.combo } };
+    return { state: { ...state, board, turn: nextTurn(state.turn) }, result: null };
+  }
+
+  function applyUltimateMove(state, board, index) {
+    const big = Math.floor(index / 9);
+    const boards = state.boards.slice();
+    const small = board.slice(big * 9, big * 9 + 9);
+    if (checkWin(small, 3, 3)) boards[big] = state.turn;
+    else if (small.every(Boolean)) boards[big] = 'D';
+
+    const next = index % 9;
+    const activeBoard = boards[next] ? null : next;
+    const win = checkWin(bigBoard(boards), 3, 3);
+    if (win) return { state: { ...state, board, boards, activeBoard: null }, result: { result: 'win', winner: win.player, combo: win.combo } };
+    if (boards.every(Boolean)) return { state: { ...state, board, boards, activeBoard: null }, result: { result: 'draw' } };
+    return { state: { ...state, board, boards, activeBoard, turn: nextTurn(state.turn) }, result: null };
+  }
+
+  return {
+    ULTIMATE,
+    STANDARD,
+    VARIANTS: Object.keys(VARIANTS),
+    MIN_SIZE,
+    MAX_SIZE,
+    MAX_NOTAKTO_BOARDS,
+    MOVE_ERRORS,
+    normalizeOptions,
+    createState,
+    nextTurn,
+    checkWin,
+    isDraw,
+    isOver,
+    moveError,
+    validateMove,
+    marks,
+    legalMoves,
+    applyMove,
+    nestedIndex,
+    gridPosition
+  };
+});
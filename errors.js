@@ -0,0 +1,114 @@
+/*
+Error codes shared by the server, the page and the terminal client
+- Every errorMsg and invalidMove the server sends is
+    { v: VERSION, code, params?, error | reason }
+  code is stable and listed below; params fill the {placeholders} of its message; error (errorMsg)
+  and reason (invalidMove) hold the English text for clients that only display it.
+- VERSION goes up whenever a code is removed or its params change shape. New codes can be
+  added without a new version, so clients should fall back to the English text for codes they
+  do not know.
+- message(code, params, locale) gives the text in one of MESSAGES' locales, falling back to English.
+- Move codes come from the rules engine (Engine.MOVE_ERRORS).
+- Loads as a CommonJS module in Node and as window.ErrorCodes in the browser (after engine.js).
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine'));
+  else root.ErrorCodes = factory(root.Engine);
+})(typeof self !== 'undefined' ? self : this, function (Engine) {
+  const VERSION = 1;
+
+  const en = {
+    BAD_REQUEST: 'Bad request: {detail}',
+    RATE_LIMITED: 'Too many requests — try again in {seconds}s',
+    SERVER_FULL: 'The server is full — try again later',
+    SERVER_RESTARTING: 'The server is restarting — try again in a moment',
+    SERVER_ERROR: 'Something went wrong on the server',
+    TOO_MANY_ROOMS: 'You already have {max} rooms open',
+    ROOM_NOT_FOUND: 'Room not found',
+    ROOM_FULL: 'Room is full',
+    NOT_IN_ROOM: 'You are not in this room',
+    ALREADY_IN_ROOM: 'You are already in a room',
+    ALREADY_PLAYING: 'You are already playing in this room',
+    SPECTATOR: 'Spectators cannot {action}',
+    PASSWORD_REQUIRED: 'This room needs a password',
+    WRONG_PASSWORD: 'Wrong password',
+    SESSION_EXPIRED: 'Session expired',
+    GAME_NOT_IN_PROGRESS: 'Game is not in progress',
+    GAME_NOT_FINISHED: 'Game is not finished yet',
+    NOT_WAITING_FOR_READY: 'The game is not waiting for players to get ready',
+    NOT_YOUR_TURN: 'Not your turn',
+    OUT_OF_TIME: 'Out of time',
+    TAKEBACK_PENDING: 'A takeback is already pending',
+    NOTHING_TO_TAKE_BACK: 'Nothing to take back',
+    NO_TAKEBACK: 'No takeback to answer',
+    DRAW_OFFER_PENDING: 'A draw offer is already pending',
+    NO_DRAW_OFFER: 'No draw offer to answer',
+    CHAT_RATE_LIMITED: 'Slow down — too many chat messages',
+    UNKNOWN_EMOTE: 'Unknown emote',
+    MESSAGE_TOO_LONG: 'Messages are limited to {max} characters',
+    BOT_AUTH_FAILED: 'Unknown bot token',
+    BOT_ALREADY_CONNECTED: '{name} is already connected',
+    ...Engine.MOVE_ERRORS
+  };
+
+  const fr = {
+    BAD_REQUEST: 'Requête invalide : {detail}',
+    RATE_LIMITED: 'Trop de requêtes — réessayez dans {seconds} s',
+    SERVER_FULL: 'Le serveur est plein — réessayez plus tard',
+    SERVER_RESTARTING: 'Le serveur redémarre — réessayez dans un instant',
+    SERVER_ERROR: 'Une erreur est survenue sur le serveur',
+    TOO_MANY_ROOMS: 'Vous avez déjà {max} salles ouvertes',
+    ROOM_NOT_FOUND: 'Salle introuvable',
+    ROOM_FULL: 'La salle est pleine',
+    NOT_IN_ROOM: 'Vous n’êtes pas dans cette salle',
+    ALREADY_IN_ROOM: 'Vous êtes déjà dans une salle',
+    ALREADY_PLAYING: 'Vous jouez déjà dans cette salle',
+    SPECTATOR: 'Action réservée aux joueurs',
+    PASSWORD_REQUIRED: 'Cette salle demande un mot de passe',
+    WRONG_PASSWORD: 'Mot de passe incorrect',
+    SESSION_EXPIRED: 'Session expirée',
+    GAME_NOT_IN_PROGRESS: 'Aucune partie en cours',
+    GAME_NOT_FINISHED: 'La partie n’est pas terminée',
+    NOT_WAITING_FOR_READY: 'La partie n’attend pas que les joueurs soient prêts',
+    NOT_YOUR_TURN: 'Ce n’est pas votre tour',
+    OUT_OF_TIME: 'Temps écoulé',
+    TAKEBACK_PENDING: 'Une demande d’annulation est déjà en attente',
+    NOTHING_TO_TAKE_BACK: 'Aucun coup à annuler',
+    NO_TAKEBACK: 'Aucune demande d’annulation à laquelle répondre',
+    DRAW_OFFER_PENDING: 'Une proposition de nulle est déjà en attente',
+    NO_DRAW_OFFER: 'Aucune proposition de nulle à laquelle répondre',
+    CHAT_RATE_LIMITED: 'Doucement — trop de messages',
+    UNKNOWN_EMOTE: 'Emote inconnue',
+    MESSAGE_TOO_LONG: 'Les messages sont limités à {max} caractères',
+    BOT_AUTH_FAILED: 'Jeton de bot inconnu',
+    BOT_ALREADY_CONNECTED: '{name} est déjà connecté',
+    GAME_OVER: 'La partie est terminée',
+    INVALID_CELL: 'Case invalide',
+    CELL_TAKEN: 'Case déjà prise',
+    MARK_REQUIRED: 'Choisissez X ou O',
+    MARK_NOT_ALLOWED: 'Vous ne pouvez placer que {marks}',
+    BOARD_DECIDED: 'Ce plateau est déjà joué',
+    WRONG_BOARD: 'Vous devez jouer sur le plateau {board}',
+    BOARD_DEAD: 'Ce plateau est mort'
+  };
+
+  const MESSAGES = { en, fr };
+  const CODES = Object.keys(en);
+
+  // the text for a code in `locale` (e.g. 'fr' or 'fr-CA'), falling back to English; null for unknown codes
+  function message(code, params = {}, locale = 'en') {
+    const table = MESSAGES[String(locale).slice(0, 2).toLowerCase()] || en;
+    const template = table[code] || en[code];
+    if (!template) return null;
+    return template.replace(/\{(\w+)\}/g, (_, key) => (params[key] === undefined ? '' : params[key]));
+  }
+
+  // an errorMsg payload; invalidMove sends the same with the text as reason instead of error
+  function payload(code, params) {
+    if (!en[code]) throw new Error(`Unknown error code ${code}`);
+    return params ? { v: VERSION, code, params, error: message(code, params) } : { v: VERSION, code, error: message(code) };
+  }
+
+  return { VERSION, CODES, MESSAGES, message, payload };
+});
@@ -0,0 +1,48 @@
+// lib/adapter.js
+/*
+A Socket.IO adapter that carries broadcasts between server instances over the shared backend
+- Built on socket.io-adapter's ClusterAdapterWithHeartbeat, which does the Socket.IO side: an
+  io.to(room).emit(), socketsJoin() or socketsLeave() on one instance reaches the sockets on
+  every instance. This file only moves its messages through backend publish/subscribe.
+- Each namespace publishes on `${channel}#${nsp}#`, and answers requests (fetchSockets,
+  serverSideEmit) on that plus the asking instance's uid.
+- Messages go as JSON, so packets must be JSON too (the game sends nothing binary).
+- createSharedAdapter(backend, options) is passed to new Server(httpServer, { adapter }).
+*/
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+class SharedAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, backend, { channel = 'socket.io', ...options } = {}) {
+    super(nsp, options);
+    this.backend = backend;
+    this.channel = `${channel}#${nsp.name}#`;
+    this.subscriptions = Promise.all([
+      backend.subscribe(this.channel, raw => this.onMessage(JSON.parse(raw))),
+      backend.subscribe(`${this.channel}${this.uid}#`, raw => this.onResponse(JSON.parse(raw)))
+    ]);
+  }
+
+  async doPublish(message) {
+    await this.backend.publish(this.channel, JSON.stringify(message));
+    return ''; // no offsets: connection state recovery is not supported
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.backend.publish(`${this.channel}${requesterUid}#`, JSON.stringify(response));
+  }
+
+  close() {
+    super.close();
+    this.subscriptions.then(unsubscribes => unsubscribes.forEach(unsubscribe => unsubscribe()));
+  }
+}
+
+// Socket.IO calls this with `new`, so it cannot be an arrow function
+function createSharedAdapter(backend, options) {
+  return function (nsp) {
+    return new SharedAdapter(nsp, backend, options);
+  };
+}
+
+module.exports = { createSharedAdapter };
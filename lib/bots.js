@@ -0,0 +1,131 @@
+// lib/bots.js
+/*
+Registered bots and their league results, kept in a JSON file (lib/jsonfile.js)
+- A bot is registered once by name and gets a token back. Only a SHA-256 hash of the token is
+  stored, so a lost token means registering again under a new name.
+- Bots authenticate with their token (the botHello socket event) and then play through the
+  normal room events; the server owns the rooms, this store only knows names and results.
+- League matches between bots are kept with a summary of each game. Every game counts toward
+  the standings: 1 point for a win, ½ for a draw.
+- pairings() picks the next league matches among idle bots, least-met pairs first.
+*/
+
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonfile');
+
+const NAME_PATTERN = /^[\w .-]{1,32}$/;
+
+function botKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// the key two bots' meetings are counted under, whichever order they come in
+function pairKey(a, b) {
+  return [botKey(a), botKey(b)].sort().join('|');
+}
+
+function createBotRegistry(file) {
+  const jsonFile = createJsonFile(file, 'bots');
+  const stored = jsonFile.load();
+  const data = stored || { bots: {}, matches: [], meetings: {} };
+  if (stored) console.log(`Loaded ${Object.keys(data.bots).length} bots from ${file}`);
+
+  function publicBot({ tokenHash, ...bot }) {
+    return bot;
+  }
+
+  // { name, token }; the token is only ever returned here
+  function register(name) {
+    const clean = String(name || '').trim();
+    if (!NAME_PATTERN.test(clean)) throw new Error('Bot names are 1-32 letters, digits, spaces, dots, dashes or underscores');
+    if (data.bots[botKey(clean)]) throw new Error(`A bot called ${clean} is already registered`);
+    const token = crypto.randomBytes(24).toString('hex');
+    data.bots[botKey(clean)] = {
+      name: clean,
+      tokenHash: hashToken(token),
+      createdAt: Date.now(),
+      games: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      points: 0
+    };
+    jsonFile.save(data);
+    return { name: clean, token };
+  }
+
+  // the bot a token belongs to, or null
+  function authenticate(token) {
+    if (typeof token !== 'string' || !token) return null;
+    const hash = hashToken(token);
+    const bot = Object.values(data.bots).find(b => b.tokenHash === hash);
+    return bot ? publicBot(bot) : null;
+  }
+
+  /*
+  match = { roomId, options, games: [{ X, O, firstTurn, result, winner, reason, moves }], startedAt, endedAt }
+  X, O and winner are bot names (winner null for a draw); moves is how many were played
+  */
+  function recordMatch(match) {
+    const names = [match.games[0].X, match.games[0].O];
+    const points = { [names[0]]: 0, [names[1]]: 0 };
+    for (const game of match.games) {
+      for (const name of [game.X, game.O]) {
+        const bot = data.bots[botKey(name)];
+        const score = !game.winner ? 0.5 : (game.winner === name ? 1 : 0);
+        points[name] += score;
+        if (!bot) continue;
+        bot.games += 1;
+        bot.points += score;
+        if (score === 1) bot.wins += 1;
+        else if (score === 0) bot.losses += 1;
+        else bot.draws += 1;
+      }
+    }
+    const key = pairKey(names[0], names[1]);
+    data.meetings[key] = (data.meetings[key] || 0) + 1;
+    const entry = { id: data.matches.length + 1, bots: names, ...match, points };
+    data.matches.push(entry);
+    jsonFile.save(data);
+    return entry;
+  }
+
+  function standings() {
+    return Object.values(data.bots)
+      .map(publicBot)
+      .sort((x, y) => y.points - x.points || y.wins - x.wins || x.games - y.games);
+  }
+
+  function matches(limit = 50) {
+    return data.matches.slice(-limit).reverse();
+  }
+
+  // pair off idle bots, the pairs that have met least often first
+  function pairings(names) {
+    const candidates = [];
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        candidates.push({ pair: [names[i], names[j]], met: data.meetings[pairKey(names[i], names[j])] || 0 });
+      }
+    }
+    candidates.sort((a, b) => a.met - b.met);
+
+    const taken = new Set();
+    const pairs = [];
+    for (const { pair: [a, b] } of candidates) {
+      if (taken.has(a) || taken.has(b)) continue;
+      taken.add(a);
+      taken.add(b);
+      pairs.push([a, b]);
+    }
+    return pairs;
+  }
+
+  return { register, authenticate, recordMatch, standings, matches, pairings, flush: jsonFile.flush };
+}
+
+module.exports = { createBotRegistry };
@@ -0,0 +1,141 @@
+// lib/cluster.js
+/*
+What server instances know about each other, kept in the shared backend (lib/shared.js)
+- Every instance has an id and writes a heartbeat every heartbeatMs. One not heard from for
+  three heartbeats is down; one down for longer than goneMs is gone for good.
+- A room lives on the instance that created it (its owner), which keeps the room's state and
+  timers. The backend records the owner of every room and the room of every session token, so
+  an event about a room can be handed to its owner from any instance.
+- ownerOfRoom(roomId) and ownerOfSession(token) -> { id, live } or null when nobody has the room
+  (any more). live is false while the owner is down but not yet gone, e.g. restarting.
+- The backend also records the room each seated socket plays in, wherever the socket is
+  connected; seatOf(socketId) -> that room's id, or null when it has none (any more).
+- leader(name) -> the id of the instance holding a named lock (the quickplay matchmaker),
+  taking the lock when nobody holds it. Holders keep their locks with each heartbeat.
+- send(id, message) reaches one instance, broadcast(message) every other one; onMessage(handler)
+  gets both. Messages are plain JSON objects.
+- setLobby(entries) publishes this instance's lobby rooms; lobby() gathers those of every
+  instance that is up.
+*/
+
+const crypto = require('crypto');
+
+const HEARTBEAT_MS = 5000;
+const GONE_MS = 60000; // long enough for a restart
+const KEYS = {
+  instances: 'tictacpro:instances', // id -> last heartbeat
+  rooms: 'tictacpro:rooms', // roomId -> owner id
+  sessions: 'tictacpro:sessions', // token -> roomId
+  seats: 'tictacpro:seats', // socket id of a seated player -> roomId
+  lobby: 'tictacpro:lobby', // id -> JSON lobby entries
+  lock: name => `tictacpro:lock:${name}`,
+  inbox: id => `tictacpro:to:${id}`,
+  everyone: 'tictacpro:all'
+};
+
+function createCluster(backend, { id = crypto.randomBytes(4).toString('hex'), heartbeatMs = HEARTBEAT_MS, goneMs = GONE_MS } = {}) {
+  const locks = new Set(); // names of the locks this instance holds
+  const handlers = [];
+  let unsubscribes = [];
+  let heartbeatTimer = null;
+
+  // writes nobody waits for: a failure is logged, and the next write or heartbeat puts it right
+  function write(promise) {
+    return promise.catch(e => console.error('Shared backend write failed:', e.message));
+  }
+
+  function deliver(raw) {
+    const message = JSON.parse(raw);
+    if (message.from !== id) handlers.forEach(handler => handler(message));
+  }
+
+  async function heartbeat() {
+    await backend.hset(KEYS.instances, id, Date.now());
+    for (const name of locks) {
+      if (!(await backend.renew(KEYS.lock(name), id, heartbeatMs * 3))) locks.delete(name);
+    }
+  }
+
+  async function start() {
+    unsubscribes = await Promise.all([
+      backend.subscribe(KEYS.inbox(id), deliver),
+      backend.subscribe(KEYS.everyone, deliver)
+    ]);
+    await heartbeat();
+    heartbeatTimer = setInterval(() => heartbeat().catch(e => console.error('Cluster heartbeat failed:', e.message)), heartbeatMs);
+  }
+
+  // the rooms and heartbeat stay behind, so other instances wait for this one to come back
+  async function stop() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    await Promise.all(unsubscribes.map(unsubscribe => unsubscribe()));
+    unsubscribes = [];
+    await backend.hdel(KEYS.lobby, id);
+  }
+
+  // { id, live } for an owner that is up or may still come back, null for one that is gone
+  async function whereIs(owner) {
+    if (!owner) return null;
+    if (owner === id) return { id, live: true };
+    const downMs = Date.now() - Number(await backend.hget(KEYS.instances, owner));
+    if (downMs < heartbeatMs * 3) return { id: owner, live: true };
+    return downMs < goneMs ? { id: owner, live: false } : null;
+  }
+
+  async function ownerOfRoom(roomId) {
+    const owner = await whereIs(await backend.hget(KEYS.rooms, roomId));
+    if (!owner) await backend.hdel(KEYS.rooms, roomId);
+    return owner;
+  }
+
+  async function ownerOfSession(token) {
+    const roomId = await backend.hget(KEYS.sessions, token);
+    const owner = roomId && await ownerOfRoom(roomId);
+    if (!owner) await backend.hdel(KEYS.sessions, token);
+    return owner;
+  }
+
+  async function seatOf(socketId) {
+    const roomId = await backend.hget(KEYS.seats, socketId);
+    const owner = roomId && await ownerOfRoom(roomId);
+    if (roomId && !owner) await backend.hdel(KEYS.seats, socketId);
+    return owner ? roomId : null;
+  }
+
+  async function leader(name) {
+    if (await backend.setIfAbsent(KEYS.lock(name), id, heartbeatMs * 3)) locks.add(name);
+    return backend.get(KEYS.lock(name));
+  }
+
+  async function lobby() {
+    const [published, instances] = await Promise.all([backend.hgetall(KEYS.lobby), backend.hgetall(KEYS.instances)]);
+    const now = Date.now();
+    return Object.entries(published)
+      .filter(([owner]) => owner === id || now - Number(instances[owner]) < heartbeatMs * 3)
+      .flatMap(([, entries]) => JSON.parse(entries));
+  }
+
+  return {
+    id,
+    start,
+    stop,
+    claimRoom: roomId => write(backend.hset(KEYS.rooms, roomId, id)),
+    releaseRoom: roomId => write(backend.hdel(KEYS.rooms, roomId)),
+    setSession: (token, roomId) => write(backend.hset(KEYS.sessions, token, roomId)),
+    dropSession: token => write(backend.hdel(KEYS.sessions, token)),
+    setSeat: (socketId, roomId) => write(backend.hset(KEYS.seats, socketId, roomId)),
+    dropSeat: socketId => write(backend.hdel(KEYS.seats, socketId)),
+    ownerOfRoom,
+    ownerOfSession,
+    seatOf,
+    leader,
+    send: (to, message) => write(backend.publish(KEYS.inbox(to), JSON.stringify({ ...message, from: id }))),
+    broadcast: message => write(backend.publish(KEYS.everyone, JSON.stringify({ ...message, from: id }))),
+    onMessage: handler => handlers.push(handler),
+    setLobby: entries => backend.hset(KEYS.lobby, id, JSON.stringify(entries)),
+    lobby
+  };
+}
+
+module.exports = { createCluster };
@@ -0,0 +1,104 @@
+// lib/history.js
+/*
+Match history and ELO ratings, kept in a JSON file (lib/jsonfile.js)
+- Every finished multiplayer game is appended with its players, moves and result.
+- Ratings only move for games between two humans; bot games are recorded but unrated.
+- Players are keyed by lowercased name: there are no accounts, a name is an identity. The
+  players map has no prototype, so names like `__proto__` or `constructor` are players like any other.
+- Every server instance keeps its own store, so with several instances ratings diverge.
+- Only the last maxGames games are kept, so the file does not grow forever; players' ratings and
+  win/loss/draw counts still cover every game they played.
+*/
+
+const { createJsonFile } = require('./jsonfile');
+
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+const MAX_GAMES = 10000;
+
+function playerKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+// chance that a player rated `a` beats one rated `b`
+function expectedScore(a, b) {
+  return 1 / (1 + Math.pow(10, (b - a) / 400));
+}
+
+function createHistoryStore(file, { maxGames = MAX_GAMES } = {}) {
+  const jsonFile = createJsonFile(file, 'match history');
+  const stored = jsonFile.load();
+  const data = { games: [], ...stored, players: Object.assign(Object.create(null), stored && stored.players) };
+  if (stored) console.log(`Loaded ${data.games.length} games from ${file}`);
+  const last = data.games[data.games.length - 1];
+  let nextId = last ? last.id + 1 : 1; // ids keep counting after old games are dropped
+
+  function getPlayer(name) {
+    const key = playerKey(name);
+    if (!data.players[key]) {
+      data.players[key] = { name, rating: DEFAULT_RATING, games: 0, wins: 0, losses: 0, draws: 0 };
+    }
+    data.players[key].name = name; // keep the latest spelling
+    return data.players[key];
+  }
+
+  /*
+  game = { roomId, mode, variant, size, winLength, players: [{ name, symbol, isBot }], moves: [{ index, symbol, at }],
+           result, winner, reason, startedAt, endedAt }
+  */
+  function recordGame(game) {
+    const [a, b] = game.players;
+    const rated = game.players.length === 2 && !a.isBot && !b.isBot && playerKey(a.name) !== playerKey(b.name);
+    const entry = { id: nextId++, ...game, rated, ratingChanges: {} };
+
+    for (const p of game.players) {
+      if (p.isBot) continue;
+      const stats = getPlayer(p.name);
+      stats.games += 1;
+      if (!game.winner) stats.draws += 1;
+      else if (game.winner === p.symbol) stats.wins += 1;
+      else stats.losses += 1;
+    }
+
+    if (rated) {
+      const pa = getPlayer(a.name), pb = getPlayer(b.name);
+      const scoreA = !game.winner ? 0.5 : (game.winner === a.symbol ? 1 : 0);
+      const delta = Math.round(K_FACTOR * (scoreA - expectedScore(pa.rating, pb.rating)));
+      pa.rating += delta;
+      pb.rating -= delta;
+      entry.ratingChanges = { [a.symbol]: delta, [b.symbol]: -delta };
+    }
+
+    data.games.push(entry);
+    if (data.games.length > maxGames) data.games.splice(0, data.games.length - maxGames);
+    jsonFile.save(data);
+    return entry;
+  }
+
+  function leaderboard(limit = 20) {
+    return Object.values(data.players)
+      .filter(p => p.games > 0)
+      .sort((x, y) => y.rating - x.rating || y.wins - x.wins)
+      .slice(0, limit);
+  }
+
+  function playerHistory(name, limit = 50) {
+    const player = data.players[playerKey(name)];
+    if (!player) return null;
+    const key = playerKey(name);
+    const games = data.games
+      .filter(g => g.players.some(p => !p.isBot && playerKey(p.name) === key))
+      .slice(-limit)
+      .reverse();
+    return { player, games };
+  }
+
+  function rating(name) {
+    const player = data.players[playerKey(name)];
+    return player ? player.rating : DEFAULT_RATING;
+  }
+
+  return { recordGame, leaderboard, playerHistory, rating, flush: jsonFile.flush };
+}
+
+module.exports = { createHistoryStore, expectedScore, DEFAULT_RATING, K_FACTOR };
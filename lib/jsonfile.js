@@ -0,0 +1,55 @@
+// lib/jsonfile.js
+/*
+The JSON file a store keeps its data in (the match history, the bot registry)
+- load() returns what the file holds, or null if there is nothing to load yet. A file that
+  cannot be read or parsed is logged and loads as null too, so the store starts empty.
+- save(data) writes data a moment later (SAVE_DELAY_MS), so a burst of changes is one write. It
+  goes to a temporary file that is renamed over the old one, so a crash never leaves half a file.
+- flush() writes a pending save straight away, for shutdown.
+- `what` names the data in log messages.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY_MS = 500; // batch writes when several changes come together
+
+function createJsonFile(file, what) {
+  let pending = null;
+  let saveTimer = null;
+
+  function load() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`Could not read ${file}, starting empty:`, e.message);
+      return null;
+    }
+  }
+
+  function save(data) {
+    pending = data;
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      const tmp = `${file}.tmp`;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFile(tmp, JSON.stringify(pending), err => {
+        if (err) return console.error(`Could not save ${what}:`, err.message);
+        fs.rename(tmp, file, e => { if (e) console.error(`Could not save ${what}:`, e.message); });
+      });
+    }, SAVE_DELAY_MS);
+  }
+
+  function flush() {
+    if (!saveTimer) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(pending));
+  }
+
+  return { load, save, flush };
+}
+
+module.exports = { createJsonFile, SAVE_DELAY_MS };
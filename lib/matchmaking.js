@@ -0,0 +1,108 @@
+// lib/matchmaking.js
+/*
+Quickplay matchmaking queue
+- Players wait for an opponent on the same board (mode, rule variant, size and win length).
+- Each is paired with the closest rating in reach. Reach starts at BASE_GAP rating points
+  and widens by GAP_PER_SECOND for every second the longer-waiting player has been queued.
+- Anyone still unmatched after maxWaitMs is handed back for a bot game.
+- Pure bookkeeping: the caller owns the timers and the sockets, and passes `now` in.
+*/
+
+const BASE_GAP = 100;
+const GAP_PER_SECOND = 25;
+const WAIT_SAMPLES = 20; // recent match waits kept for the wait estimate
+const BOARD_KEYS = ['mode', 'variant', 'size', 'winLength', 'boardCount']; // must all match to be paired
+
+function createMatchQueue({ maxWaitMs, baseGap = BASE_GAP, gapPerSecond = GAP_PER_SECOND }) {
+  const entries = []; // { id, name, mode, variant, size, winLength, boardCount, rating, joinedAt }, oldest first
+  const recentWaits = [];
+
+  function add(entry, now = Date.now()) {
+    entries.push({ ...entry, joinedAt: now });
+  }
+
+  function remove(id) {
+    const i = entries.findIndex(e => e.id === id);
+    return i === -1 ? null : entries.splice(i, 1)[0];
+  }
+
+  function has(id) {
+    return entries.some(e => e.id === id);
+  }
+
+  function reach(entry, now) {
+    return baseGap + gapPerSecond * (now - entry.joinedAt) / 1000;
+  }
+
+  function sameBoard(a, b) {
+    return BOARD_KEYS.every(key => a[key] === b[key]);
+  }
+
+  function noteWait(entry, now) {
+    recentWaits.push(now - entry.joinedAt);
+    if (recentWaits.length > WAIT_SAMPLES) recentWaits.shift();
+  }
+
+  // pair off everyone who can be matched, oldest first, each with the closest rating in reach
+  function takePairs(now = Date.now()) {
+    const pairs = [];
+    for (let i = 0; i < entries.length; i++) {
+      const a = entries[i];
+      let best = -1, bestGap = Infinity;
+      for (let j = i + 1; j < entries.length; j++) {
+        const b = entries[j];
+        const gap = Math.abs(a.rating - b.rating);
+        if (!sameBoard(a, b) || gap > Math.max(reach(a, now), reach(b, now))) continue;
+        if (gap < bestGap) {
+          best = j;
+          bestGap = gap;
+        }
+      }
+      if (best === -1) continue;
+      const b = entries.splice(best, 1)[0];
+      entries.splice(i, 1);
+      i--;
+      noteWait(a, now);
+      noteWait(b, now);
+      pairs.push([a, b]);
+    }
+    return pairs;
+  }
+
+  // everyone who has waited out maxWaitMs, removed from the queue
+  function takeExpired(now = Date.now()) {
+    const expired = entries.filter(e => now - e.joinedAt >= maxWaitMs);
+    for (const e of expired) remove(e.id);
+    return expired;
+  }
+
+  // where a player stands among those waiting for the same board, and roughly how long is left
+  function status(id, now = Date.now()) {
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return null;
+    const sameQueue = entries.filter(e => sameBoard(e, entry));
+    const waitedMs = now - entry.joinedAt;
+    const typical = recentWaits.length ? recentWaits.reduce((a, b) => a + b, 0) / recentWaits.length : maxWaitMs;
+    // past the typical wait, the bot fallback is the only thing left to promise
+    const left = Math.min(typical > waitedMs ? typical : maxWaitMs, maxWaitMs) - waitedMs;
+    return {
+      position: sameQueue.indexOf(entry) + 1,
+      queued: sameQueue.length,
+      waitedMs,
+      estimatedWaitMs: Math.max(0, Math.round(left))
+    };
+  }
+
+  return {
+    add,
+    remove,
+    has,
+    takePairs,
+    takeExpired,
+    status,
+    ids: () => entries.map(e => e.id),
+    size: () => entries.length
+  };
+}
+
+module.exports = { createMatchQueue, BASE_GAP, GAP_PER_SECOND };
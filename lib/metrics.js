@@ -0,0 +1,104 @@
+// lib/metrics.js
+/*
+A small metrics registry, rendered in the Prometheus text format for GET /metrics
+- counter(name, help, collect?) -> { inc(labels?, by = 1) }; with collect, the values come from
+  collect() at render time instead (for counts another module keeps)
+- gauge(name, help, collect) -> collect() is called at render time
+- histogram(name, help, buckets) -> { observe(labels, value) }; buckets are upper bounds in the
+  metric's unit, and +Inf is added
+- rate(name, help, windowMs) -> { mark() }, a gauge of marks per second over the last windowMs
+- collect() returns a number, or [{ labels, value }] for a labelled metric
+- render() is the /metrics body. Every name gets the registry's prefix.
+*/
+
+const DEFAULT_BUCKETS = [0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels = {}) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// a collect() result as [{ labels, value }]
+function samples(result) {
+  return typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+}
+
+function createMetrics(prefix = '') {
+  const metrics = []; // { name, help, type, lines() }
+
+  function add(name, help, type, lines) {
+    metrics.push({ name: prefix + name, help, type, lines });
+  }
+
+  function counter(name, help, collect) {
+    const values = new Map(); // label text -> count
+    add(name, help, 'counter', () => {
+      if (collect) return samples(collect()).map(s => `${prefix}${name}${labelText(s.labels)} ${s.value}`);
+      if (!values.size) return [`${prefix}${name} 0`];
+      return [...values].map(([labels, value]) => `${prefix}${name}${labels} ${value}`);
+    });
+    return {
+      inc(labels, by = 1) {
+        const key = labelText(labels);
+        values.set(key, (values.get(key) || 0) + by);
+      }
+    };
+  }
+
+  function gauge(name, help, collect) {
+    add(name, help, 'gauge', () => samples(collect()).map(s => `${prefix}${name}${labelText(s.labels)} ${s.value}`));
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // label text -> { labels, counts per bucket, sum, count }
+    add(name, help, 'histogram', () => {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((le, i) => lines.push(`${prefix}${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`));
+        lines.push(`${prefix}${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${prefix}${name}_sum${labelText(labels)} ${sum}`);
+        lines.push(`${prefix}${name}_count${labelText(labels)} ${count}`);
+      }
+      return lines;
+    });
+    return {
+      observe(labels, value) {
+        const key = labelText(labels);
+        if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const entry = series.get(key);
+        buckets.forEach((le, i) => { if (value <= le) entry.counts[i] += 1; });
+        entry.sum += value;
+        entry.count += 1;
+      }
+    };
+  }
+
+  function rate(name, help, windowMs = 60000) {
+    const marks = []; // times within the window, oldest first
+    const trim = now => { while (marks.length && now - marks[0] >= windowMs) marks.shift(); };
+    gauge(name, help, () => {
+      trim(Date.now());
+      return marks.length / (windowMs / 1000);
+    });
+    return {
+      mark(now = Date.now()) {
+        trim(now);
+        marks.push(now);
+      }
+    };
+  }
+
+  function render() {
+    return metrics
+      .map(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n'))
+      .join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, rate, render };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,59 @@
+// lib/ratelimit.js
+/*
+Sliding-window limits on how often a client may send each socket event
+- rules map an event name to { count, windowMs }: at most count of that event in any windowMs.
+  The '*' rule counts every event together, on top of the event's own rule.
+- Keys are whatever is being limited (a socket id, an IP address), each with its own windows.
+- hit(key, event) records the event and returns 0, or refuses it and returns how many ms until
+  it would be allowed. Refused events are not recorded, so a client that backs off gets through.
+- prune() drops keys with nothing left in their windows; forget(key) drops one key straight away.
+- stats() counts refusals per event since the limiter was created.
+*/
+
+function createRateLimiter(rules) {
+  const hits = new Map(); // key -> { rule name: [times within its window, oldest first] }
+  const refused = {}; // event -> count
+
+  function waitFor(times, rule, now) {
+    while (times.length && now - times[0] >= rule.windowMs) times.shift();
+    return times.length >= rule.count ? times[0] + rule.windowMs - now : 0;
+  }
+
+  function hit(key, event, now = Date.now()) {
+    const names = [event, '*'].filter(name => rules[name]);
+    if (!names.length) return 0;
+    if (!hits.has(key)) hits.set(key, {});
+    const windows = hits.get(key);
+
+    let waitMs = 0;
+    for (const name of names) {
+      windows[name] = windows[name] || [];
+      waitMs = Math.max(waitMs, waitFor(windows[name], rules[name], now));
+    }
+    if (waitMs) {
+      refused[event] = (refused[event] || 0) + 1;
+      return waitMs;
+    }
+    for (const name of names) windows[name].push(now);
+    return 0;
+  }
+
+  function prune(now = Date.now()) {
+    for (const [key, windows] of hits) {
+      for (const [name, times] of Object.entries(windows)) waitFor(times, rules[name], now); // drops expired times
+      if (Object.values(windows).every(times => !times.length)) hits.delete(key);
+    }
+  }
+
+  function forget(key) {
+    hits.delete(key);
+  }
+
+  function stats() {
+    return { keys: hits.size, refused: { ...refused } };
+  }
+
+  return { hit, prune, forget, stats };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,106 @@
+// lib/roomstore.js
+/*
+Where open rooms are kept while the server restarts
+- The server keeps its live rooms and sessions in memory. Every so often if a room has changed,
+  and on shutdown, it hands a store a snapshot of them; on startup it loads the last snapshot
+  and carries on.
+- A store is { load(), save(snapshot), saveNow(snapshot) }. load() returns the last snapshot
+  saved (or null); save() may batch writes; saveNow() must be done by the time it returns.
+- createMemoryRoomStore keeps the snapshot in memory, so nothing outlives the process.
+- createFileRoomStore writes it to a JSON file (a temporary file, then a rename).
+- toSnapshot(rooms, sessions) and fromSnapshot(snapshot) turn rooms into plain JSON and back:
+  Sets become arrays, password hashes hex strings, and spectators are dropped (they just rejoin).
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY_MS = 500; // batch writes when several saves come together
+
+function toSnapshot(rooms, sessions) {
+  const saved = {};
+  for (const [roomId, room] of Object.entries(rooms)) {
+    saved[roomId] = {
+      ...room,
+      ready: [...room.ready],
+      rematchVotes: [...room.rematchVotes],
+      password: room.password && { salt: room.password.salt.toString('hex'), hash: room.password.hash.toString('hex') },
+      spectators: {}
+    };
+  }
+  return { savedAt: Date.now(), rooms: saved, sessions: { ...sessions } };
+}
+
+function fromSnapshot(snapshot) {
+  const rooms = {};
+  for (const [roomId, room] of Object.entries(snapshot.rooms)) {
+    rooms[roomId] = {
+      ...room,
+      ready: new Set(room.ready),
+      rematchVotes: new Set(room.rematchVotes),
+      password: room.password && { salt: Buffer.from(room.password.salt, 'hex'), hash: Buffer.from(room.password.hash, 'hex') }
+    };
+  }
+  return { savedAt: snapshot.savedAt, rooms, sessions: { ...snapshot.sessions } };
+}
+
+function createMemoryRoomStore() {
+  let last = null;
+  return {
+    load: () => last,
+    save(snapshot) { last = snapshot; },
+    saveNow(snapshot) { last = snapshot; }
+  };
+}
+
+function createFileRoomStore(file) {
+  let pending = null;
+  let saveTimer = null;
+  let generation = 0; // bumped by every write, so a slow batched write never lands over a newer one
+
+  function write(snapshot, done) {
+    const mine = ++generation;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (!done) {
+      fs.writeFileSync(`${file}.now.tmp`, JSON.stringify(snapshot));
+      fs.renameSync(`${file}.now.tmp`, file);
+      return;
+    }
+    const tmp = `${file}.tmp`;
+    fs.writeFile(tmp, JSON.stringify(snapshot), err => {
+      if (err) return done(err);
+      if (mine !== generation) return done(null);
+      fs.rename(tmp, file, done);
+    });
+  }
+
+  function load() {
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+      console.log(`Loaded ${Object.keys(snapshot.rooms).length} rooms from ${file}`);
+      return snapshot;
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`Could not read ${file}, starting with no rooms:`, e.message);
+      return null;
+    }
+  }
+
+  function save(snapshot) {
+    pending = snapshot;
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      write(pending, err => { if (err) console.error('Could not save rooms:', err.message); });
+    }, SAVE_DELAY_MS);
+  }
+
+  function saveNow(snapshot) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    write(snapshot);
+  }
+
+  return { load, save, saveNow };
+}
+
+module.exports = { createMemoryRoomStore, createFileRoomStore, toSnapshot, fromSnapshot };
@@ -0,0 +1,116 @@
+// lib/schema.js
+/*
+The payload every socket event a client can send is expected to have
+- An event maps to its fields, or to null when it takes no payload. A field is
+    { type, required?, nullable?, min?, max?, pattern?, oneOf?, fields? }
+  type is 'string' | 'integer' | 'number' | 'boolean' | 'object'; min/max bound a number's value or
+  a string's length; fields describes the fields of an object.
+- Fields that are not declared are ignored (no handler reads them), so newer clients can send
+  more than an older server knows about.
+- validate(event, payload) returns null for a good payload, otherwise { event, field, detail },
+  which the server sends back as a BAD_REQUEST error without calling the handler.
+*/
+
+const Engine = require('../engine');
+
+const NO_CONTROL_CHARS = /^[^\u0000-\u001f\u007f]*$/;
+const ROOM_ID = /^[a-z0-9]*$/; // what the server's room ids are made of
+
+const roomId = { type: 'string', required: true, min: 1, max: 16, pattern: ROOM_ID };
+const name = { type: 'string', max: 24, pattern: NO_CONTROL_CHARS };
+const password = { type: 'string', nullable: true, max: 64 };
+const token = { type: 'string', required: true, min: 1, max: 128 };
+const board = {
+  mode: { type: 'string', oneOf: ['classic', Engine.ULTIMATE] },
+  variant: { type: 'string', nullable: true, oneOf: Engine.VARIANTS },
+  size: { type: 'integer', nullable: true },
+  winLength: { type: 'integer', nullable: true },
+  boardCount: { type: 'integer', nullable: true }
+};
+const inRoom = { roomId };
+
+const SCHEMAS = {
+  pingServer: null,
+  subscribeLobby: null,
+  unsubscribeLobby: null,
+  cancelQueue: null,
+  botHello: { token },
+  quickplay: { name, ...board, rating: { type: 'number', nullable: true } },
+  createRoom: {
+    name,
+    ...board,
+    timeControl: {
+      type: 'object',
+      nullable: true,
+      fields: {
+        type: { type: 'string', required: true, oneOf: ['move', 'clock'] },
+        moveMs: { type: 'number' },
+        baseMs: { type: 'number' },
+        incrementMs: { type: 'number' }
+      }
+    },
+    bestOf: { type: 'integer', nullable: true },
+    isPrivate: { type: 'boolean' },
+    password
+  },
+  joinRoom: { roomId, name, spectate: { type: 'boolean' }, password },
+  setReady: { roomId, ready: { type: 'boolean', required: true } },
+  playMove: { roomId, index: { type: 'integer', required: true }, mark: { type: 'string', oneOf: ['X', 'O'] } },
+  rematch: inRoom,
+  requestTakeback: inRoom,
+  answerTakeback: { roomId, accept: { type: 'boolean', required: true } },
+  resign: inRoom,
+  offerDraw: inRoom,
+  answerDraw: { roomId, accept: { type: 'boolean', required: true } },
+  leaveRoom: inRoom,
+  // the length limit for text is checked after cleaning it up; this only bounds what gets sent
+  sendChat: { roomId, text: { type: 'string', max: 1000 }, emote: { type: 'string', max: 16 } },
+  resumeSession: { token }
+};
+
+function typeOk(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  if (type === 'object') return typeof value === 'object' && value !== null && !Array.isArray(value);
+  return typeof value === type;
+}
+
+// the first problem with one field's value, as a sentence about `path`, or null
+function fieldProblem(path, rule, value) {
+  if (value === undefined) return rule.required ? `${path} is required` : null;
+  if (value === null) return rule.nullable ? null : `${path} must not be null`;
+  if (!typeOk(rule.type, value)) return `${path} must be ${rule.type === 'integer' ? 'an' : 'a'} ${rule.type}`;
+  if (rule.oneOf && !rule.oneOf.includes(value)) return `${path} must be one of ${rule.oneOf.join(', ')}`;
+  const size = typeof value === 'string' ? value.length : value;
+  const unit = typeof value === 'string' ? ' characters' : '';
+  if (rule.min !== undefined && size < rule.min) return `${path} must be at least ${rule.min}${unit}`;
+  if (rule.max !== undefined && size > rule.max) return `${path} must be at most ${rule.max}${unit}`;
+  if (rule.pattern && !rule.pattern.test(value)) return `${path} has characters that are not allowed`;
+  return null;
+}
+
+// { field, detail } for the first bad field of an object, or null
+function checkFields(fields, value, prefix = '') {
+  for (const [key, rule] of Object.entries(fields)) {
+    const detail = fieldProblem(prefix + key, rule, value[key]);
+    if (detail) return { field: prefix + key, detail };
+    const nested = rule.fields && value[key] ? checkFields(rule.fields, value[key], `${prefix}${key}.`) : null;
+    if (nested) return nested;
+  }
+  return null;
+}
+
+function validate(event, payload) {
+  const fields = SCHEMAS[event];
+  if (fields === undefined) return { event, field: null, detail: `unknown event ${event}` };
+  if (fields === null || payload === undefined || payload === null) {
+    // events without a payload ignore whatever comes with them; the rest check their required fields
+    const problem = fields && checkFields(fields, {});
+    return problem && { event, ...problem };
+  }
+  if (!typeOk('object', payload)) return { event, field: null, detail: `${event} takes an object` };
+  const problem = checkFields(fields, payload);
+  return problem && { event, ...problem };
+}
+
+module.exports = { SCHEMAS, validate };
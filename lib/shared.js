@@ -0,0 +1,123 @@
+// lib/shared.js
+/*
+The backend that server instances share: a few Redis commands, and nothing Redis does not have
+- hget/hset/hdel/hgetall(key, field, value): hashes of strings
+- get(key); setIfAbsent(key, value, ttlMs) takes a key nobody holds (SET NX PX) and says whether
+  it did; renew(key, value, ttlMs) extends a key only while it still holds value (for locks)
+- publish(channel, message) and subscribe(channel, handler) -> unsubscribe(); messages are strings,
+  delivered to every subscriber (the publisher's own included) in the order they were published
+- Every call returns a promise, and values go in and come out as strings, so anything that works
+  against the in-process stand-in works against Redis.
+- createLocalBackend() is that stand-in: one object in memory, shared by whatever is given it
+  (the only instance of a single-process server, or several in a test).
+- createRedisBackend(url) talks to Redis through ioredis, an optional dependency that is only
+  loaded when it is used; without it installed, it fails saying so.
+*/
+
+// extend the lock only if it is still ours
+const RENEW_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+
+function createLocalBackend() {
+  const hashes = new Map(); // key -> Map(field -> value)
+  const keys = new Map(); // key -> { value, expiresAt }
+  const channels = new Map(); // channel -> Set(handler)
+
+  function live(key, now = Date.now()) {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt <= now) keys.delete(key);
+    return keys.get(key) || null;
+  }
+
+  return {
+    async hget(key, field) {
+      const hash = hashes.get(key);
+      return hash && hash.has(field) ? hash.get(field) : null;
+    },
+    async hset(key, field, value) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      hashes.get(key).set(field, String(value));
+    },
+    async hdel(key, field) {
+      const hash = hashes.get(key);
+      if (hash) hash.delete(field);
+    },
+    async hgetall(key) {
+      return Object.fromEntries(hashes.get(key) || []);
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      if (live(key)) return false;
+      keys.set(key, { value: String(value), expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    async renew(key, value, ttlMs) {
+      const entry = live(key);
+      if (!entry || entry.value !== String(value)) return false;
+      entry.expiresAt = Date.now() + ttlMs;
+      return true;
+    },
+    async publish(channel, message) {
+      const handlers = [...(channels.get(channel) || [])];
+      // like Redis, deliver later rather than inside the publisher's call
+      setImmediate(() => handlers.forEach(handler => handler(String(message))));
+      return handlers.length;
+    },
+    async subscribe(channel, handler) {
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(handler);
+      return async () => { channels.get(channel).delete(handler); };
+    },
+    async close() {}
+  };
+}
+
+function loadRedis() {
+  try {
+    return require('ioredis');
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') throw e;
+    throw new Error('REDIS_URL is set but ioredis is not installed; run npm install ioredis, or unset REDIS_URL to run a single instance');
+  }
+}
+
+function createRedisBackend(url) {
+  const Redis = loadRedis();
+  const client = new Redis(url);
+  const subscriber = new Redis(url); // a subscribed connection can do nothing else
+  const channels = new Map(); // channel -> Set(handler)
+  subscriber.on('message', (channel, message) => (channels.get(channel) || []).forEach(handler => handler(message)));
+
+  return {
+    hget: (key, field) => client.hget(key, field),
+    hset: (key, field, value) => client.hset(key, field, value).then(() => {}),
+    hdel: (key, field) => client.hdel(key, field).then(() => {}),
+    hgetall: key => client.hgetall(key),
+    get: key => client.get(key),
+    setIfAbsent: (key, value, ttlMs) => client.set(key, value, 'PX', ttlMs, 'NX').then(reply => reply === 'OK'),
+    renew: (key, value, ttlMs) => client.eval(RENEW_SCRIPT, 1, key, value, ttlMs).then(reply => reply === 1),
+    publish: (channel, message) => client.publish(channel, message),
+    async subscribe(channel, handler) {
+      if (!channels.has(channel)) {
+        channels.set(channel, new Set());
+        await subscriber.subscribe(channel);
+      }
+      channels.get(channel).add(handler);
+      return async () => {
+        const handlers = channels.get(channel);
+        handlers.delete(handler);
+        if (!handlers.size) {
+          channels.delete(channel);
+          await subscriber.unsubscribe(channel);
+        }
+      };
+    },
+    async close() {
+      await Promise.all([client.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+module.exports = { createLocalBackend, createRedisBackend };
@@ -0,0 +1,163 @@
+/*
+Game records: export, import and replay, shared by the page and the server
+- record = { mode?, variant?, boardCount?, size, winLength, firstTurn, moves: [{ index, symbol, mark?, at }],
+             result: { result, winner, reason } | null }
+  mark is only there in variants where the player picks the mark to place (wild, order-chaos).
+- Compact notation: "<N>x<N>/<K>" then one coordinate per move, then the result, e.g.
+    3x3/3 b2 a1 c3 a3 a2 c2 b1 b3 c1 1/2
+  Games where O moves first (later games of a series) add it to the board: "3x3/3/O b2 a1 ...".
+  Columns are letters from the left (a, b, c...), rows are numbers from the top.
+  Ultimate games start with "ultimate" (or "ultimate/O") and name cells on the whole 9x9 grid: "ultimate e5 e4 ...".
+  Rule variants follow the board: "3x3/3/misere", "3x3/3/wild", "6x6/5/order-chaos", and "3x3/3/notakto2"
+  for notakto on two boards. Where the mark is a choice it comes first ("Ob2"); notakto cells
+  lead with their board number ("2b2").
+  Results: "1-0" X won, "0-1" O won, "1/2" draw, "*" unfinished. Timestamps only survive in JSON.
+- Every import is replayed through engine.js, so a record that loads is a legal game.
+- Loads as a CommonJS module in Node and as window.GameRecord in the browser (after engine.js).
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine'));
+  else root.GameRecord = factory(root.Engine);
+})(typeof self !== 'undefined' ? self : this, function (Engine) {
+  const FORMAT_VERSION = 1;
+  const RESULT_TOKENS = { X: '1-0', O: '0-1', draw: '1/2', none: '*' };
+
+  function cellName(index, size) {
+    return String.fromCharCode(97 + (index % size)) + (Math.floor(index / size) + 1);
+  }
+
+  function choosesMark(options) {
+    return Engine.marks(Engine.createState(options)).length > 1;
+  }
+
+  // the name of a move: ultimate reads its nested board as one 9x9 grid, notakto names the board
+  // then the cell, and a chosen mark goes in front
+  function moveName(index, options, mark) {
+    let name;
+    if (options.mode === Engine.ULTIMATE) {
+      const [row, col] = Engine.gridPosition(index);
+      name = cellName(row * 9 + col, 9);
+    } else if (options.variant === 'notakto') {
+      name = `${Math.floor(index / 9) + 1}${cellName(index % 9, 3)}`;
+    } else {
+      name = cellName(index, options.size);
+    }
+    return mark && choosesMark(options) ? mark + name : name;
+  }
+
+  // { index, mark? } from a (lower-cased) move name
+  function parseMove(name, options) {
+    let mark;
+    if (choosesMark(options)) {
+      if (!/^[xo]/.test(name)) throw new Error(`Move "${name}" needs the mark placed, e.g. X${name}`);
+      mark = name[0].toUpperCase();
+      name = name.slice(1);
+    }
+    if (options.mode === Engine.ULTIMATE) {
+      const index = parseCell(name, 9);
+      return { index: Engine.nestedIndex(Math.floor(index / 9), index % 9) };
+    }
+    if (options.variant === 'notakto') {
+      const board = Number(name[0]);
+      if (!(board >= 1 && board <= options.boardCount)) throw new Error(`Move "${name}" is off the board`);
+      return { index: (board - 1) * 9 + parseCell(name.slice(1), 3) };
+    }
+    return { index: parseCell(name, options.size), mark };
+  }
+
+  function parseCell(name, size) {
+    const match = /^([a-z])(\d{1,2})$/.exec(name);
+    if (!match) throw new Error(`Bad move "${name}"`);
+    const col = match[1].charCodeAt(0) - 97, row = Number(match[2]) - 1;
+    if (col >= size || row < 0 || row >= size) throw new Error(`Move "${name}" is off the board`);
+    return row * size + col;
+  }
+
+  // board state after each move: positions[0] is the empty board, positions[n] is after move n
+  function positions(record) {
+    let state = { ...Engine.createState(record), turn: record.firstTurn || 'X' };
+    const list = [state];
+    let result = null;
+    record.moves.forEach((move, i) => {
+      if (move.symbol && move.symbol !== state.turn) throw new Error(`Move ${i + 1} should be ${state.turn}`);
+      const next = Engine.applyMove(state, move.index, move.mark);
+      if (next.error) throw new Error(`Move ${i + 1} (${moveName(move.index, state, move.mark)}): ${next.error}`);
+      state = next.state;
+      result = next.result;
+      list.push(state);
+    });
+    return { positions: list, result };
+  }
+
+  // rebuild a record from plain moves, filling in symbols and checking it is legal
+  function normalize({ mode, variant, boardCount, size, winLength, firstTurn = 'X', moves, result = null }) {
+    const options = Engine.normalizeOptions({ mode, variant, size, winLength, boardCount });
+    if (options.size !== size || options.winLength !== winLength) throw new Error('Unsupported board size');
+    if ((options.variant || Engine.STANDARD) !== (variant || Engine.STANDARD) && mode !== Engine.ULTIMATE) throw new Error(`Unsupported variant ${variant}`);
+    if (options.variant === 'notakto' && boardCount !== undefined && options.boardCount !== boardCount) throw new Error('Unsupported number of boards');
+    if (firstTurn !== 'X' && firstTurn !== 'O') throw new Error('First turn must be X or O');
+    if (!Array.isArray(moves)) throw new Error('Missing move list');
+    const withMark = choosesMark(options);
+    const record = {
+      ...options,
+      firstTurn,
+      moves: moves.map(m => (withMark ? { index: m.index, symbol: m.symbol, mark: m.mark, at: m.at || null } : { index: m.index, symbol: m.symbol, at: m.at || null })),
+      result
+    };
+    const played = positions(record);
+    record.moves.forEach((m, i) => { m.symbol = played.positions[i].turn; });
+    // a finished board decides its own result; otherwise keep what the record says (timeout, resign...)
+    if (played.result) record.result = { ...played.result, reason: (result && result.reason) || null };
+    return record;
+  }
+
+  function toNotation(record) {
+    const moves = record.moves.map(m => moveName(m.index, record, m.mark));
+    const r = record.result;
+    const token = !r ? RESULT_TOKENS.none : (r.winner ? RESULT_TOKENS[r.winner] : RESULT_TOKENS.draw);
+    const shape = record.mode === Engine.ULTIMATE ? Engine.ULTIMATE : `${record.size}x${record.size}/${record.winLength}`;
+    const variant = record.variant ? `/${record.variant}${record.variant === 'notakto' ? record.boardCount : ''}` : '';
+    const board = `${shape}${variant}${record.firstTurn === 'O' ? '/O' : ''}`;
+    return [board, ...moves, token].join(' ');
+  }
+
+  function fromNotation(text) {
+    const tokens = String(text).trim().toLowerCase().split(/\s+/);
+    // the board (NxN/K or ultimate), then an optional variant, then /O when O moved first
+    const header = /^(?:(\d{1,2})x(\d{1,2})\/(\d{1,2})|(ultimate))(?:\/(misere|wild|order-chaos|notakto)(\d)?)?(\/[xo])?$/.exec(tokens.shift() || '');
+    if (!header || header[1] !== header[2] || (header[4] && header[5])) throw new Error('Notation must start with a board like 3x3/3');
+    const options = header[4]
+      ? { mode: Engine.ULTIMATE, size: 9, winLength: 3 }
+      : { variant: header[5], size: Number(header[1]), winLength: Number(header[3]), boardCount: header[6] && Number(header[6]) };
+    const firstTurn = header[7] ? header[7].slice(1).toUpperCase() : 'X';
+
+    let result = null;
+    const last = tokens[tokens.length - 1];
+    if (Object.values(RESULT_TOKENS).includes(last)) {
+      tokens.pop();
+      if (last === RESULT_TOKENS.X) result = { result: 'win', winner: 'X' };
+      else if (last === RESULT_TOKENS.O) result = { result: 'win', winner: 'O' };
+      else if (last === RESULT_TOKENS.draw) result = { result: 'draw' };
+    }
+    const moves = tokens.map(t => parseMove(t, Engine.normalizeOptions(options)));
+    return normalize({ ...options, firstTurn, moves, result });
+  }
+
+  function toJSON(record) {
+    return JSON.stringify({ version: FORMAT_VERSION, ...record }, null, 2);
+  }
+
+  function fromJSON(text) {
+    const data = JSON.parse(text);
+    if (data.version !== FORMAT_VERSION) throw new Error(`Unsupported record version ${data.version}`);
+    return normalize(data);
+  }
+
+  // accept either format, whichever the text looks like
+  function parse(text) {
+    return String(text).trim().startsWith('{') ? fromJSON(text) : fromNotation(text);
+  }
+
+  return { cellName, parseCell, moveName, parseMove, positions, normalize, toNotation, fromNotation, toJSON, fromJSON, parse };
+});
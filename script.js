@@ -1,9 +1,12 @@
 /*
 Client script for TicTacPro Multiplayer
+- Game rules come from engine.js (window.Engine) and the AI from ai.js (window.AI), the same modules the server uses
+- Every game keeps a move log; record.js (window.GameRecord) exports, imports and replays it
+- Server errors come with a code from errors.js (window.ErrorCodes), shown in the browser's language
 - Connects to SERVER_URL via Socket.IO
 - Fallback if server unreachable:
    - local2p: local hotseat
-   - vsai: local 1-player (minimax)
+   - vsai: local 1-player (minimax, see ai.js)
 - Update SERVER_URL if needed
 */
 
@@ -11,23 +14,66 @@ const SERVER_URL = location.hostname === 'localhost'
   ? 'http://localhost:10000'  // local backend with port
   : 'https://ticky-tacky.onrender.com';  // deployed backend URL without port
 
+// per-tab so two tabs on one machine can still play each other
+const SESSION_KEY = 'tickyTackySession';
+const RESUME_RETRY_MS = 3000; // how soon to try a resume again while the room's server restarts
+
 /* ============== UI elements ============== */
 const gridEl = document.getElementById('grid');
 const turnText = document.getElementById('turnText');
 const turnPill = document.getElementById('turnPill');
 const message = document.getElementById('message');
 const roomIdEl = document.getElementById('roomId');
+const spectatorCountEl = document.getElementById('spectatorCount');
 const connStatus = document.getElementById('connStatus');
 const nameInput = document.getElementById('nameInput');
 const quickBtn = document.getElementById('quickBtn');
 const createBtn = document.getElementById('createBtn');
 const joinBtn = document.getElementById('joinBtn');
+const watchBtn = document.getElementById('watchBtn');
 const roomInput = document.getElementById('roomInput');
+const privateRoomInput = document.getElementById('privateRoom');
+const roomPasswordInput = document.getElementById('roomPassword');
+const inviteBtn = document.getElementById('inviteBtn');
+const lobbyList = document.getElementById('lobbyList');
 const readyBtn = document.getElementById('readyBtn');
 const rematchBtn = document.getElementById('rematchBtn');
 const leaveBtn = document.getElementById('leaveBtn');
 const local2pBtn = document.getElementById('local2p');
 const vsaiBtn = document.getElementById('vsai');
+const sizeSelect = document.getElementById('sizeSelect');
+const winSelect = document.getElementById('winSelect');
+const variantSelect = document.getElementById('variantSelect');
+const markPicker = document.getElementById('markPicker');
+const markButtons = { X: document.getElementById('markX'), O: document.getElementById('markO') };
+const aiLevelSelect = document.getElementById('aiLevel');
+const aiSymbolSelect = document.getElementById('aiSymbol');
+const timeControlSelect = document.getElementById('timeControl');
+const seriesSelect = document.getElementById('seriesSelect');
+const seriesInfo = document.getElementById('seriesInfo');
+const chatLog = document.getElementById('chatLog');
+const chatForm = document.getElementById('chatForm');
+const chatInput = document.getElementById('chatInput');
+const emotesEl = document.getElementById('emotes');
+const leaderboardBtn = document.getElementById('leaderboardBtn');
+const leaderboardList = document.getElementById('leaderboardList');
+const resignBtn = document.getElementById('resignBtn');
+const drawBtn = document.getElementById('drawBtn');
+const drawPrompt = document.getElementById('drawPrompt');
+const drawText = document.getElementById('drawText');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const takebackPrompt = document.getElementById('takebackPrompt');
+const takebackText = document.getElementById('takebackText');
+const replayBtn = document.getElementById('replayBtn');
+const copyNotationBtn = document.getElementById('copyNotationBtn');
+const saveJsonBtn = document.getElementById('saveJsonBtn');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
+const replayControls = document.getElementById('replayControls');
+const replayStepEl = document.getElementById('replayStep');
+const replayAutoBtn = document.getElementById('replayAuto');
+const clockEls = { X: document.getElementById('clockX'), O: document.getElementById('clockO') };
 
 const scoreXEl = document.getElementById('scoreX');
 const scoreOEl = document.getElementById('scoreO');
@@ -37,45 +83,201 @@ const winnerOverlay = document.getElementById('winnerOverlay');
 const winnerName = document.getElementById('winnerName');
 const confetti = document.getElementById('confetti');
 
+const EMOTES = ['👍', '👏', '😂', '😮', '🤔', '😅', '🔥', '🤝']; // keep in sync with server.js
+const REPLAY_STEP_MS = 800; // autoplay speed
+const VARIANT_LABELS = { misere: 'Misère', wild: 'Wild', notakto: 'Notakto', 'order-chaos': 'Order and Chaos' };
+
 /* ============== Game state ============== */
+let gameMode = 'classic'; // 'classic' | 'ultimate'
+let gameVariant = Engine.STANDARD; // rule variant on classic boards (engine.js)
+let boardCount = null; // notakto: how many boards
+let boardSize = 3;
+let winLength = 3;
+let placeMark = 'X'; // wild and order-chaos: the mark the next click places
 let board = Array(9).fill(null);
+let boards = null; // ultimate: who has taken each small board
+let activeBoard = null; // ultimate: the small board the player to move must use, null for any
 let localMode = null; // 'multiplayer' | 'local2p' | 'ai' | null
 let mySymbol = null;
 let currentTurn = 'X';
 let roomId = null;
 let socket = null;
-let scores = { X: 0, O: 0, D: 0 };
+let scores = { X: 0, O: 0, D: 0 }; // kept locally in local/AI modes, taken from the server's series in multiplayer
 let gameOver = false;
 let isReady = false;
+let isSpectator = false;
+let reconnectCountdown = null;
+let pingTimer = null; // keep-alive ping while connected
+let aiTimer = null;
+let clock = null; // { X, O, running } ms left from the server, counted down locally
+let clockReceivedAt = 0;
+let moveLog = []; // { index, symbol, at } for the current game, in any mode
+let gameResult = null; // { result, winner, combo, reason } once the current game is over
+let queued = false; // waiting in the quickplay queue
+let pendingJoin = null; // { roomId, name, spectate } until the server accepts it, so a password can be asked for
+let resumeRetry = null; // pending resumeSession retry
+let inviteRoom = new URLSearchParams(location.search).get('room'); // from an invite link, joined once connected
+let redoStack = []; // moves undone in local/AI games, most recently undone last
+let replay = null; // { record, positions, step, timer } while the replay viewer is open
 
 /* ============== Helpers ============== */
-const winningCombos = [[0, 1, 2], [3, 4, 5], [6, 7, 8], [0, 3, 6], [1, 4, 7], [2, 5, 8], [0, 4, 8], [2, 4, 6]];
 
-function createGrid() {
+// the board and rules being played, in the shape rooms, records and Engine.createState use
+function currentOptions() {
+  return { mode: gameMode, variant: gameVariant, size: boardSize, winLength, boardCount };
+}
+
+// how a board is laid out on screen: notakto's boards sit side by side
+function gridLayout({ mode, variant, size, boardCount: count }) {
+  if (variant === 'notakto') return { cols: 3 * count, rows: 3, key: `notakto${count}` };
+  return { cols: size, rows: size, key: mode === Engine.ULTIMATE ? Engine.ULTIMATE : String(size) };
+}
+
+function createGrid(options = currentOptions()) {
+  const { cols, rows, key } = gridLayout(options);
+  const ultimate = options.mode === Engine.ULTIMATE, notakto = options.variant === 'notakto';
   gridEl.innerHTML = '';
-  for (let i = 0; i < 9; i++) {
+  gridEl.dataset.layout = key;
+  gridEl.style.setProperty('--size', cols);
+  gridEl.style.aspectRatio = `${cols} / ${rows}`;
+  for (let i = 0; i < cols * rows; i++) {
+    const row = Math.floor(i / cols), col = i % cols;
     const btn = document.createElement('button');
     btn.className = 'cell';
-    btn.dataset.index = i;
-    btn.setAttribute('aria-label', `Cell ${i + 1}`);
+    // ultimate and notakto cells are laid out row by row but numbered board by board (engine.js)
+    if (ultimate) btn.dataset.index = Engine.nestedIndex(row, col);
+    else if (notakto) btn.dataset.index = Math.floor(col / 3) * 9 + row * 3 + col % 3;
+    else btn.dataset.index = i;
+    if (ultimate || notakto) {
+      btn.dataset.board = Math.floor(btn.dataset.index / 9);
+      if (col % 3 === 2 && col < cols - 1) btn.classList.add('block-end');
+      if (row % 3 === 2 && row < rows - 1) btn.classList.add('block-bottom');
+    }
+    const where = `Row ${row + 1}, column ${(notakto ? col % 3 : col) + 1}`;
+    btn.setAttribute('aria-label', notakto ? `Board ${Number(btn.dataset.board) + 1}, ${where.toLowerCase()}` : where);
     btn.addEventListener('click', onCellClick);
     gridEl.appendChild(btn);
   }
 }
 
+function gridMatches(options) {
+  return gridEl.dataset.layout === gridLayout(options).key;
+}
+
+function cellAt(index) {
+  return gridEl.querySelector(`[data-index="${index}"]`);
+}
+
+// switch to the board and rules in `options` (a room, or selectedBoardOptions());
+// rebuilds the grid only when its layout changes (and not under an open replay)
+function setBoardOptions({ mode = 'classic', variant = Engine.STANDARD, size, winLength: k, boardCount: count = null }) {
+  gameMode = mode;
+  gameVariant = variant;
+  boardSize = size;
+  winLength = k;
+  boardCount = count;
+  if (!replay && !gridMatches(currentOptions())) createGrid();
+}
+
+// the engine state for what is on the board now
+function localState() {
+  const state = { ...Engine.createState(currentOptions()), board, turn: currentTurn };
+  if (gameMode === Engine.ULTIMATE) Object.assign(state, { boards, activeBoard });
+  return state;
+}
+
+// the mark to send with a move: only variants where it is a choice (wild, order-chaos) take one
+function selectedMark() {
+  return Engine.marks(localState()).length > 1 ? placeMark : undefined;
+}
+
+// notakto: which boards have a line on them, as decided boards for markSmallBoard
+function deadBoards(cells) {
+  return Array.from({ length: cells.length / 9 }, (_, b) => (Engine.checkWin(cells.slice(b * 9, b * 9 + 9), 3, 3) ? 'D' : null));
+}
+
+// Order and Chaos names its seats after their goals
+function seatName(symbol, variant = gameVariant) {
+  if (variant !== 'order-chaos') return symbol;
+  return symbol === 'X' ? 'Order (X)' : 'Chaos (O)';
+}
+
+// take the board from an engine state or a server payload (boards and activeBoard only come with ultimate)
+function setBoardState({ board: b, boards: small = null, activeBoard: active = null }) {
+  board = b.slice();
+  boards = small && small.slice();
+  activeBoard = active;
+}
+
+function fillWinOptions() {
+  const ultimate = sizeSelect.value === Engine.ULTIMATE;
+  const size = ultimate ? 3 : Number(sizeSelect.value); // ultimate is always three in a row
+  const current = Number(winSelect.value) || Math.min(size, 5);
+  winSelect.innerHTML = '';
+  for (let k = 3; k <= size; k++) winSelect.add(new Option(k, k));
+  winSelect.value = Math.min(current, size);
+
+  // ultimate plays standard rules, and notakto and order-chaos bring their own board
+  const fixedBoard = ['notakto', 'order-chaos'].includes(variantSelect.value.split(':')[0]);
+  variantSelect.disabled = ultimate;
+  sizeSelect.disabled = fixedBoard;
+  winSelect.disabled = ultimate || fixedBoard;
+}
+
+function fillSizeOptions() {
+  for (let n = Engine.MIN_SIZE; n <= Engine.MAX_SIZE; n++) sizeSelect.add(new Option(`${n}×${n}`, n));
+  sizeSelect.add(new Option('Ultimate (3×3 of 3×3)', Engine.ULTIMATE));
+  sizeSelect.value = boardSize;
+  fillWinOptions();
+}
+
+function selectedBoardOptions() {
+  if (sizeSelect.value === Engine.ULTIMATE) return Engine.normalizeOptions({ mode: Engine.ULTIMATE });
+  const [variant, count] = variantSelect.value.split(':'); // e.g. 'notakto:3'
+  const options = Engine.normalizeOptions({ variant, size: Number(sizeSelect.value), winLength: Number(winSelect.value), boardCount: count });
+  return { mode: 'classic', variant: Engine.STANDARD, boardCount: null, ...options };
+}
+
+function renderMarkPicker() {
+  markPicker.hidden = Boolean(replay) || selectedMark() === undefined;
+  for (const [mark, btn] of Object.entries(markButtons)) btn.className = mark === placeMark ? 'btn' : 'btn ghost';
+}
+
+// a winning line's cells; an ultimate win lists small boards, so those light up whole
+function comboCells(combo, mode = gameMode) {
+  if (mode !== Engine.ULTIMATE) return combo;
+  return combo.flatMap(b => Array.from({ length: 9 }, (_, i) => b * 9 + i));
+}
+
+// ultimate: shade the small boards someone has taken and outline the one that must be played
+function markSmallBoard(cell, small, active, over) {
+  const b = Number(cell.dataset.board);
+  if (small[b]) cell.classList.add(`won-${small[b].toLowerCase()}`);
+  if (!over && active === b) cell.classList.add('forced');
+}
+
 function render() {
+  if (replay) return renderReplay();
   const cells = [...gridEl.children];
-  cells.forEach((c, i) => {
-    c.classList.remove('x', 'o', 'disabled', 'winning');
+  const combo = gameResult && gameResult.combo ? comboCells(gameResult.combo) : [];
+  const small = boards || (gameVariant === 'notakto' ? deadBoards(board) : null);
+  cells.forEach(c => {
+    const i = Number(c.dataset.index);
+    c.classList.remove('x', 'o', 'disabled', 'winning', 'forced', 'won-x', 'won-o', 'won-d');
     c.textContent = '';
     if (board[i]) {
       c.textContent = board[i];
       c.classList.add(board[i].toLowerCase());
       c.classList.add('disabled');
     }
+    if (isSpectator) c.classList.add('disabled');
+    if (combo.includes(i)) c.classList.add('winning');
+    if (small) markSmallBoard(c, small, activeBoard, gameOver);
   });
 
-  turnText.textContent = gameOver ? 'Match complete' : `Turn: ${currentTurn}`;
+  turnText.textContent = gameOver ? 'Match complete' : `Turn: ${seatName(currentTurn)}`;
+  renderMarkPicker();
+  inviteBtn.hidden = !(localMode === 'multiplayer' && roomId && !isSpectator);
 
   // Add winner glow to turn pill
   if (gameOver) {
@@ -89,10 +291,19 @@ function render() {
   scoreDEl.textContent = scores.D;
 }
 
+function playerLabel(p) {
+  return `${p.name}(${p.symbol})${p.isBot ? ' 🤖' : ''}`;
+}
+
 function updateMessage(txt) {
   message.textContent = txt;
 }
 
+// a server error in the browser's language when errors.js knows its code, else the server's own text
+function errorText({ code, params, error, reason }) {
+  return (code && ErrorCodes.message(code, params, navigator.language)) || error || reason || 'Server error';
+}
+
 function showWinnerPopup(winner, combo, isDraw = false) {
   gameOver = true;
 
@@ -100,8 +311,8 @@ function showWinnerPopup(winner, combo, isDraw = false) {
 
   if (!isDraw) {
     // Add winning class to winning cells
-    combo.forEach(index => {
-      const cell = gridEl.children[index];
+    comboCells(combo).forEach(index => {
+      const cell = cellAt(index);
       if (cell) cell.classList.add('winning');
     });
 
@@ -126,32 +337,308 @@ function closeWinnerPopup() {
   winnerOverlay.style.display = 'none';
 }
 
-function checkWin(b) {
-  for (const combo of winningCombos) {
-    const [a, b1, c] = combo;
-    if (b[a] && b[a] === b[b1] && b[a] === b[c]) return { player: b[a], combo };
-  }
+function startReconnectCountdown(name, graceMs) {
+  stopReconnectCountdown();
+  const deadline = Date.now() + graceMs;
+  const tick = () => {
+    const secs = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    updateMessage(`${name} disconnected — waiting for reconnect (${secs}s)`);
+    if (secs === 0) stopReconnectCountdown();
+  };
+  tick();
+  reconnectCountdown = setInterval(tick, 1000);
+}
+
+// time control picked in the sidebar, in the shape the server expects
+function selectedTimeControl() {
+  const [type, a, b] = timeControlSelect.value.split(':');
+  if (type === 'move') return { type, moveMs: Number(a) };
+  if (type === 'clock') return { type, baseMs: Number(a), incrementMs: Number(b) };
   return null;
 }
 
-function isDraw(b) {
-  return b.every(Boolean) && !checkWin(b);
+// the server's running score for the room; a best-of-N series also shows its progress
+function setSeries(series) {
+  scores = series ? { ...series.score } : { X: 0, O: 0, D: 0 };
+  rematchBtn.textContent = series && series.bestOf && !series.winner && series.games ? 'Next game' : 'Rematch';
+  seriesInfo.hidden = !(series && series.bestOf);
+  if (seriesInfo.hidden) return;
+  seriesInfo.textContent = series.winner
+    ? `${series.winner} won the best of ${series.bestOf}. Rematch starts a new series.`
+    : `Best of ${series.bestOf} — game ${series.games + (gameOver ? 0 : 1)}`;
+}
+
+function setClock(next) {
+  clock = next || null;
+  clockReceivedAt = Date.now();
+  renderClocks();
+}
+
+function formatClock(ms) {
+  const secs = Math.ceil(ms / 1000);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+}
+
+function renderClocks() {
+  for (const symbol of ['X', 'O']) {
+    const el = clockEls[symbol];
+    if (!clock) {
+      el.style.display = 'none';
+      continue;
+    }
+    const running = clock.running === symbol;
+    const left = Math.max(0, clock[symbol] - (running ? Date.now() - clockReceivedAt : 0));
+    el.style.display = '';
+    el.querySelector('span').textContent = formatClock(left);
+    el.classList.toggle('running', running);
+    el.classList.toggle('low', left < 10000);
+  }
+}
+
+/* ============== Quickplay queue ============== */
+function setQueued(next) {
+  queued = next;
+  quickBtn.textContent = queued ? 'Cancel Search' : 'Quick Play (Auto Match)';
+}
+
+function showQueueStatus({ position, queued: waiting, estimatedWaitMs }) {
+  setQueued(true);
+  const wait = estimatedWaitMs > 0 ? ` · about ${Math.ceil(estimatedWaitMs / 1000)}s` : '';
+  updateMessage(`Searching for a match — position ${position} of ${waiting}${wait}`);
+}
+
+/* ============== Lobby ============== */
+const STATUS_LABELS = { waiting: 'Waiting for a player', waitingReady: 'Getting ready', playing: 'Playing', finished: 'Finished' };
+
+function renderLobby(rooms) {
+  lobbyList.innerHTML = '';
+  if (!rooms.length) {
+    const li = document.createElement('li');
+    li.className = 'small fade';
+    li.textContent = 'No open rooms. Create one!';
+    lobbyList.appendChild(li);
+    return;
+  }
+  for (const r of rooms) {
+    const li = document.createElement('li');
+    const meta = document.createElement('span');
+    meta.className = 'room-meta';
+    const who = document.createElement('strong');
+    who.textContent = r.players.map(p => p.name + (p.isBot ? ' 🤖' : '')).join(' vs ');
+    const details = document.createElement('span');
+    details.className = 'fade';
+    const extras = [boardLabel(r), STATUS_LABELS[r.status]];
+    if (r.bestOf) extras.push(`best of ${r.bestOf}`);
+    if (r.timeControl) extras.push('timed');
+    if (r.hasPassword) extras.push('🔒 password');
+    if (r.spectatorCount) extras.push(`${r.spectatorCount} watching`);
+    details.textContent = extras.join(' · ');
+    meta.append(who, details);
+    li.appendChild(meta);
+
+    if (r.roomId !== roomId) {
+      if (r.canJoin) li.appendChild(lobbyButton('Join', r.roomId, joinBtn));
+      if (r.canWatch) li.appendChild(lobbyButton('Watch', r.roomId, watchBtn));
+    }
+    lobbyList.appendChild(li);
+  }
+}
+
+function boardLabel({ mode, variant, size, winLength: k, boardCount: count }) {
+  if (mode === Engine.ULTIMATE) return 'Ultimate';
+  if (variant === 'notakto') return `Notakto, ${count} board${count === 1 ? '' : 's'}`;
+  if (variant === 'order-chaos') return VARIANT_LABELS[variant];
+  const board = `${size}×${size}, ${k} in a row`;
+  return VARIANT_LABELS[variant] ? `${board}, ${VARIANT_LABELS[variant]}` : board;
+}
+
+// lobby entries reuse the Join/Watch buttons with the room ID filled in
+function lobbyButton(label, rid, target) {
+  const btn = document.createElement('button');
+  btn.className = 'btn ghost';
+  btn.textContent = label;
+  btn.addEventListener('click', () => {
+    roomInput.value = rid;
+    target.click();
+  });
+  return btn;
+}
+
+/* ============== Leaderboard ============== */
+async function loadLeaderboard() {
+  leaderboardList.innerHTML = '';
+  try {
+    const res = await fetch(`${SERVER_URL}/api/leaderboard`);
+    const { players } = await res.json();
+    if (!players.length) {
+      leaderboardList.textContent = 'No rated games yet.';
+      return;
+    }
+    for (const p of players) {
+      const li = document.createElement('li');
+      const who = document.createElement('span');
+      who.textContent = `${p.name} (${p.wins}-${p.losses}-${p.draws})`;
+      const rating = document.createElement('span');
+      rating.className = 'rating';
+      rating.textContent = p.rating;
+      li.append(who, rating);
+      leaderboardList.appendChild(li);
+    }
+  } catch (error) {
+    leaderboardList.textContent = 'Leaderboard unavailable.';
+    console.error('Leaderboard error:', error);
+  }
 }
 
-function playLocalMove(idx, symbol) {
-  if (gameOver || board[idx]) return;
+/* ============== Game records & replay ============== */
+function currentRecord() {
+  const firstTurn = moveLog.length ? moveLog[0].symbol : 'X';
+  return { ...Engine.normalizeOptions(currentOptions()), firstTurn, moves: moveLog.slice(), result: gameResult };
+}
 
-  board[idx] = symbol;
-  const win = checkWin(board);
+// remember the server's move log for the room we are looking at
+function syncMoves(room) {
+  moveLog = (room.moves || []).slice();
+  if (room.status !== 'finished') gameResult = null;
+}
 
-  if (win) {
+function openReplay(record) {
+  closeReplay();
+  const { positions } = GameRecord.positions(record);
+  replay = { record, positions, step: positions.length - 1, timer: null };
+  replayControls.hidden = false;
+  render();
+}
+
+function closeReplay() {
+  if (!replay) return;
+  clearInterval(replay.timer);
+  replay = null;
+  replayControls.hidden = true;
+  replayAutoBtn.textContent = 'Autoplay';
+  if (!gridMatches(currentOptions())) createGrid();
+  render();
+}
+
+function stepReplay(step) {
+  replay.step = Math.max(0, Math.min(replay.positions.length - 1, step));
+  render();
+}
+
+function toggleAutoplay() {
+  if (replay.timer) {
+    clearInterval(replay.timer);
+    replay.timer = null;
+  } else {
+    if (replay.step === replay.positions.length - 1) replay.step = 0;
+    replay.timer = setInterval(() => {
+      stepReplay(replay.step + 1);
+      if (replay.step === replay.positions.length - 1) toggleAutoplay();
+    }, REPLAY_STEP_MS);
+    render();
+  }
+  replayAutoBtn.textContent = replay.timer ? 'Pause' : 'Autoplay';
+}
+
+// the board as it stood after replay.step moves; new marks pop in and the last position shows the winning line
+function renderReplay() {
+  const { record, positions, step } = replay;
+  const position = positions[step];
+  const shown = position.board;
+  const last = step === positions.length - 1;
+  const combo = last && record.result && record.result.combo ? comboCells(record.result.combo, record.mode) : [];
+  const small = position.boards || (record.variant === 'notakto' ? deadBoards(shown) : null);
+  if (!gridMatches(record)) createGrid(record);
+  [...gridEl.children].forEach(c => {
+    const i = Number(c.dataset.index);
+    c.classList.remove('x', 'o', 'winning', 'forced', 'won-x', 'won-o', 'won-d');
+    c.classList.add('disabled');
+    c.textContent = shown[i] || '';
+    if (shown[i]) c.classList.add(shown[i].toLowerCase());
+    if (combo.includes(i)) c.classList.add('winning');
+    if (small) markSmallBoard(c, small, position.activeBoard, last && Boolean(record.result));
+  });
+
+  const move = record.moves[step - 1];
+  replayStepEl.textContent = `${step} / ${record.moves.length}`;
+  turnText.textContent = move ? `Replay: ${seatName(move.symbol, record.variant)} ${GameRecord.moveName(move.index, record, move.mark)}` : 'Replay: start';
+  renderMarkPicker();
+  turnPill.classList.toggle('winner', last && Boolean(record.result));
+}
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/* ============== Chat ============== */
+// text only ever goes through textContent, so nothing a player types is parsed as HTML
+function appendChat({ name, symbol, text, emote }) {
+  const line = document.createElement('div');
+  line.className = emote ? 'chat-line emote' : 'chat-line';
+  const who = document.createElement('span');
+  who.className = symbol ? `who ${symbol.toLowerCase()}` : 'who';
+  who.textContent = symbol ? `${name} (${symbol})` : `${name} 👀`;
+  const what = document.createElement('span');
+  what.className = 'what';
+  what.textContent = emote || text;
+  line.append(who, what);
+  chatLog.appendChild(line);
+  chatLog.scrollTop = chatLog.scrollHeight;
+}
+
+function resetChat(messages = []) {
+  chatLog.innerHTML = '';
+  messages.forEach(appendChat);
+}
+
+function sendChat(payload) {
+  if (localMode !== 'multiplayer' || !socket || !roomId) {
+    updateMessage('Join a room to chat.');
+    return;
+  }
+  socket.emit('sendChat', { roomId, ...payload });
+}
+
+function createEmoteButtons() {
+  for (const emote of EMOTES) {
+    const btn = document.createElement('button');
+    btn.className = 'emote-btn';
+    btn.type = 'button';
+    btn.textContent = emote;
+    btn.addEventListener('click', () => sendChat({ emote }));
+    emotesEl.appendChild(btn);
+  }
+}
+
+function stopReconnectCountdown() {
+  clearInterval(reconnectCountdown);
+  reconnectCountdown = null;
+}
+
+// fromRedo replays an undone move: the redo stack is kept and the AI is not asked to answer
+function playLocalMove(idx, fromRedo = false, mark = selectedMark()) {
+  if (gameOver) return;
+
+  const { error, state, result } = Engine.applyMove(localState(), idx, mark);
+  if (error) return updateMessage(error);
+  setBoardState(state);
+  moveLog.push(mark === undefined ? { index: idx, symbol: currentTurn, at: Date.now() } : { index: idx, symbol: currentTurn, mark, at: Date.now() });
+  gameResult = result;
+  if (!fromRedo) redoStack = [];
+
+  if (result && result.result === 'win') {
     gameOver = true;
-    updateMessage(`${win.player} wins (local)!`);
-    scores[win.player] += 1;
-    showWinnerPopup(win.player, win.combo);
+    updateMessage(`${result.winner} wins (local)!`);
+    scores[result.winner] += 1;
+    showWinnerPopup(result.winner, result.combo);
     render();
     return;
-  } else if (isDraw(board)) {
+  } else if (result && result.result === 'draw') {
     gameOver = true;
     updateMessage("Draw (local).");
     scores.D += 1;
@@ -160,79 +647,74 @@ function playLocalMove(idx, symbol) {
     return;
   }
 
-  currentTurn = (currentTurn === 'X') ? 'O' : 'X';
+  currentTurn = state.turn;
   render();
-
-  if (localMode === 'ai' && !gameOver && currentTurn !== mySymbol) {
-    // AI move
-    setTimeout(() => {
-      const aiIndex = aiBestMove();
-      playLocalMove(aiIndex, currentTurn);
-    }, 240);
-  }
+  if (!fromRedo) scheduleAiMove();
 }
 
-/* ============== Minimax AI ============== */
-function aiBestMove() {
-  const ai = mySymbol === 'X' ? 'O' : 'X';
-  const move = minimax(board.slice(), ai, ai);
-  return move.index;
+// vs AI, undo goes back to your own last move so the AI's reply is undone with it
+function undoLocal() {
+  const undoable = localMode === 'ai' ? moveLog.some(m => m.symbol === mySymbol) : moveLog.length > 0;
+  if (!undoable) return updateMessage('Nothing to undo.');
+  clearTimeout(aiTimer);
+  if (gameResult) scores[gameResult.winner || 'D'] -= 1;
+
+  let move;
+  do {
+    move = moveLog.pop();
+    redoStack.push(move);
+  } while (localMode === 'ai' && move.symbol !== mySymbol);
+
+  const { positions } = GameRecord.positions(currentRecord());
+  setBoardState(positions[positions.length - 1]);
+  currentTurn = move.symbol;
+  gameOver = false;
+  gameResult = null;
+  winnerOverlay.style.display = 'none';
+  updateMessage(`Undone. ${currentTurn} to move.`);
+  render();
 }
 
-function minimax(newBoard, player, aiPlayer) {
-  const avail = newBoard.reduce((a, c, i) => { if (!c) a.push(i); return a; }, []);
-  const win = checkWin(newBoard);
-
-  if (win) return { score: (win.player === aiPlayer) ? 10 : -10 };
-  if (avail.length === 0) return { score: 0 };
-
-  const moves = [];
-  for (const i of avail) {
-    const mv = { index: i };
-    newBoard[i] = player;
-    const next = (player === 'X') ? 'O' : 'X';
-    const res = minimax(newBoard, next, aiPlayer);
-    mv.score = res.score;
-    newBoard[i] = null;
-    moves.push(mv);
-  }
-
-  let best;
-  if (player === aiPlayer) {
-    let bestScore = -Infinity;
-    for (const m of moves) if (m.score > bestScore) { bestScore = m.score; best = m; }
-  } else {
-    let bestScore = Infinity;
-    for (const m of moves) if (m.score < bestScore) { bestScore = m.score; best = m; }
-  }
+function redoLocal() {
+  if (!redoStack.length) return updateMessage('Nothing to redo.');
+  do {
+    const move = redoStack.pop();
+    playLocalMove(move.index, true, move.mark);
+  } while (localMode === 'ai' && redoStack.length && currentTurn !== mySymbol && !gameOver);
+  scheduleAiMove(); // in case the stack ran out on the AI's turn
+}
 
-  return best;
+function scheduleAiMove() {
+  if (localMode !== 'ai' || gameOver || currentTurn === mySymbol) return;
+  clearTimeout(aiTimer);
+  aiTimer = setTimeout(() => {
+    const { index, mark } = AI.chooseMove(localState(), { difficulty: aiLevelSelect.value });
+    playLocalMove(index, false, Engine.marks(localState()).length > 1 ? mark : undefined);
+  }, 240);
 }
 
 /* ============== UI events ============== */
 function onCellClick(e) {
   const idx = Number(e.currentTarget.dataset.index);
+  if (replay) return updateMessage('Close the replay to keep playing.');
 
   if (localMode === 'local2p' || localMode === 'ai') {
     // local hotseat or AI
-    if (localMode === 'ai') {
-      if (currentTurn !== mySymbol) return;
-      playLocalMove(idx, currentTurn);
-    } else {
-      playLocalMove(idx, currentTurn);
-    }
+    if (localMode === 'ai' && currentTurn !== mySymbol) return;
+    playLocalMove(idx);
     render();
     return;
   }
 
   // multiplayer
+  if (isSpectator) return;
   if (!socket || socket.disconnected) {
     updateMessage('Not connected to server.');
     return;
   }
   if (gameOver) return;
 
-  socket.emit('playMove', { roomId, index: idx });
+  socket.emit('playMove', { roomId, index: idx, mark: selectedMark() });
 }
 
 /* ============== Socket handling ============== */
@@ -279,13 +761,22 @@ function initSocket() {
       console.log("Connected to server");
       connStatus.innerHTML = 'Server: <span style="color:#22c55e">connected</span>';
       updateMessage('Server connected.');
-      setInterval(() => socket.emit("pingServer"), 25000); // keep alive ping
+      clearInterval(pingTimer); // one ping however often we reconnect, or pingServer's rate limit refuses them
+      pingTimer = setInterval(() => socket.emit("pingServer"), 25000); // keep alive ping
+
+      // pick our seat back up if we dropped out of a room
+      const token = sessionStorage.getItem(SESSION_KEY);
+      if (token) socket.emit('resumeSession', { token });
+      socket.emit('subscribeLobby');
+      if (inviteRoom && !token) joinFromInvite();
     });
 
 
-    socket.on('disconnect', () => {
+    socket.on('disconnect', (reason) => {
+      clearInterval(pingTimer);
+      setQueued(false);
       connStatus.innerHTML = 'Server: <span style="color:#ef4444">disconnected</span>';
-      updateMessage('Disconnected from server — fallback available.');
+      if (reason !== 'io server disconnect') updateMessage('Disconnected from server — fallback available.'); // a kick says why itself
     });
 
     socket.on('connect_error', (error) => {
@@ -294,36 +785,127 @@ function initSocket() {
       console.error('Socket connection error:', error);
     });
 
+    socket.on('lobby', ({ rooms }) => renderLobby(rooms));
+
+    socket.on('queueJoined', showQueueStatus);
+    socket.on('queueStatus', showQueueStatus);
+    socket.on('queueLeft', () => {
+      setQueued(false);
+      updateMessage('Search cancelled.');
+    });
+
+    socket.on('session', ({ token }) => {
+      pendingJoin = null;
+      setQueued(false);
+      sessionStorage.setItem(SESSION_KEY, token);
+    });
+
+    socket.on('sessionExpired', () => sessionStorage.removeItem(SESSION_KEY));
+    // the seat is kept across the restart: the session token resumes it once we reconnect
+    socket.on('serverRestarting', ({ message: m }) => updateMessage(m));
+
+    socket.on('kicked', ({ message: m }) => {
+      sessionStorage.removeItem(SESSION_KEY);
+      roomId = null;
+      roomIdEl.textContent = '—';
+      updateMessage(m);
+    });
+
+    socket.on('sessionResumed', ({ symbol, room }) => {
+      localMode = 'multiplayer';
+      mySymbol = symbol;
+      roomId = room.roomId;
+      roomIdEl.textContent = room.roomId;
+      setBoardOptions(room);
+      setClock(room.clock);
+      setBoardState(room);
+      syncMoves(room);
+      currentTurn = room.turn;
+      gameOver = room.status === 'finished';
+      setSeries(room.series);
+      readyBtn.style.display = room.status === 'waitingReady' ? 'inline-block' : 'none';
+      updateMessage(`Reconnected to room ${room.roomId} as ${symbol}.`);
+      render();
+    });
+
+    socket.on('opponentDisconnected', ({ name, graceMs }) => startReconnectCountdown(name, graceMs));
+
+    socket.on('opponentReconnected', ({ name }) => {
+      stopReconnectCountdown();
+      updateMessage(`${name} reconnected.`);
+    });
+
+    socket.on('spectating', (room) => {
+      pendingJoin = null;
+      isSpectator = true;
+      localMode = 'multiplayer';
+      roomId = room.roomId;
+      roomIdEl.textContent = room.roomId;
+      setBoardOptions(room);
+      setClock(room.clock);
+      setBoardState(room);
+      syncMoves(room);
+      currentTurn = room.turn;
+      gameOver = room.status === 'finished';
+      setSeries(room.series);
+      readyBtn.style.display = 'none';
+      updateMessage(`Spectating room ${room.roomId}: ${room.players.map(playerLabel).join(' vs ')}`);
+      render();
+    });
+
+    socket.on('roomClosed', ({ message: m }) => {
+      sessionStorage.removeItem(SESSION_KEY);
+      stopReconnectCountdown();
+      roomId = null;
+      mySymbol = null;
+      roomIdEl.textContent = '—';
+      spectatorCountEl.textContent = 0;
+      isSpectator = false;
+      takebackPrompt.hidden = true;
+      drawPrompt.hidden = true;
+      setClock(null);
+      setSeries(null);
+      resetChat();
+      updateMessage(m || 'Room closed.');
+    });
+
     socket.on('roomCreated', ({ roomId: rid }) => {
       roomId = rid;
       roomIdEl.textContent = rid;
-      updateMessage('Room created. Waiting for other player...');
+      updateMessage(privateRoomInput.checked
+        ? `Private room created. Share the ID ${rid} so your friend can join.`
+        : 'Room created. Waiting for other player...');
     });
 
     socket.on('roomUpdate', (room) => {
       if (!room) return;
       roomId = room.roomId;
       roomIdEl.textContent = room.roomId;
+      spectatorCountEl.textContent = room.spectatorCount;
 
       // Update player information
       const me = room.players.find(p => p.socketId === socket.id);
       if (me) {
         mySymbol = me.symbol;
-        updateMessage(`You are ${me.symbol}. Players: ${room.players.map(p => p.name + '(' + p.symbol + ')').join(' vs ')}`);
+        updateMessage(`You are ${me.symbol}. Players: ${room.players.map(playerLabel).join(' vs ')}`);
       } else {
-        updateMessage(`Players: ${room.players.map(p => p.name + '(' + p.symbol + ')').join(' vs ')}`);
+        updateMessage(`Players: ${room.players.map(playerLabel).join(' vs ')}`);
       }
 
       // Update game state
+      setBoardOptions(room);
+      setClock(room.clock);
       currentTurn = room.turn;
-      board = room.board.slice();
+      setBoardState(room);
+      syncMoves(room);
+      setSeries(room.series);
 
       // Update UI based on room status
       if (room.status === 'waiting') {
         updateMessage(`Waiting for players... (${room.playerCount}/2)`);
       } else if (room.status === 'waitingReady') {
         updateMessage(`Both players joined! Press Ready to start. (${room.readyCount}/2 ready)`);
-        readyBtn.style.display = 'inline-block';
+        readyBtn.style.display = isSpectator ? 'none' : 'inline-block';
       } else if (room.status === 'playing') {
         updateMessage(`Game in progress! ${currentTurn}'s turn`);
         readyBtn.style.display = 'none';
@@ -337,6 +919,7 @@ function initSocket() {
 
     socket.on('matchReady', (room) => {
       // two players joined, waiting for ready
+      if (isSpectator) return updateMessage('Both players joined — waiting for them to get ready.');
       updateMessage('Both players joined! Press Ready to start the game.');
       roomIdEl.textContent = room.roomId;
       readyBtn.style.display = 'inline-block';
@@ -345,40 +928,121 @@ function initSocket() {
     });
 
     socket.on('gameStart', (room) => {
-      board = room.board.slice();
+      closeReplay();
+      setBoardOptions(room);
+      setClock(room.clock);
+      setBoardState(room);
+      syncMoves(room);
       currentTurn = room.turn;
       gameOver = false;
       isReady = false;
+      takebackPrompt.hidden = true;
+      drawPrompt.hidden = true;
+      setSeries(room.series);
       readyBtn.style.display = 'none';
-      updateMessage('Game started! Good luck!');
+      updateMessage(isSpectator ? 'Game started!' : 'Game started! Good luck!');
       render();
     });
 
-    socket.on('boardUpdate', ({ board: b, turn }) => {
-      board = b.slice();
+    socket.on('boardUpdate', ({ turn, move, clock: c, ...position }) => {
+      setBoardState(position);
+      if (move) moveLog.push(move);
       currentTurn = turn;
+      setClock(c);
       render();
     });
 
-    socket.on('invalidMove', ({ reason }) => updateMessage('Invalid move: ' + reason));
+    socket.on('drawOffered', ({ name, symbol }) => {
+      if (symbol === mySymbol && !isSpectator) return updateMessage('Draw offered — waiting for your opponent.');
+      if (isSpectator) return updateMessage(`${name} offered a draw.`);
+      drawText.textContent = `${name} offers a draw.`;
+      drawPrompt.hidden = false;
+    });
 
-    socket.on('gameOver', ({ result, winner, combo, room }) => {
+    socket.on('drawDeclined', ({ symbol }) => {
+      drawPrompt.hidden = true;
+      updateMessage(symbol === mySymbol ? 'Your draw offer was declined.' : 'Draw offer declined.');
+    });
+
+    socket.on('drawOfferCancelled', () => { drawPrompt.hidden = true; });
+
+    socket.on('takebackRequested', ({ name, symbol, count }) => {
+      const what = count === 2 ? 'the last two moves' : 'their last move';
+      if (symbol === mySymbol && !isSpectator) return updateMessage('Takeback requested — waiting for your opponent.');
+      if (isSpectator) return updateMessage(`${name} asked to take back ${what}.`);
+      takebackText.textContent = `${name} asks to take back ${what}.`;
+      takebackPrompt.hidden = false;
+    });
+
+    socket.on('takebackDeclined', ({ symbol }) => {
+      takebackPrompt.hidden = true;
+      updateMessage(symbol === mySymbol ? 'Your takeback was declined.' : 'Takeback declined.');
+    });
+
+    socket.on('takebackCancelled', () => { takebackPrompt.hidden = true; });
+
+    socket.on('takeback', ({ turn, moves, count, clock: c, ...position }) => {
+      takebackPrompt.hidden = true;
+      setBoardState(position);
+      moveLog = moves.slice();
+      currentTurn = turn;
+      setClock(c);
+      updateMessage(`${count === 2 ? 'Two moves' : 'One move'} taken back. ${turn} to move.`);
+      render();
+    });
+
+    socket.on('invalidMove', (payload) => updateMessage('Invalid move: ' + errorText(payload)));
+
+    socket.on('gameOver', ({ result, reason, winner, combo, room }) => {
       gameOver = true;
-      if (result === 'win') {
-        updateMessage(`${winner} wins!`);
-        scores[winner] += 1;
+      takebackPrompt.hidden = true;
+      drawPrompt.hidden = true;
+      stopReconnectCountdown();
+      setClock(room.clock);
+      setBoardState(room); // the last move only arrives here
+      moveLog = room.moves.slice();
+      gameResult = { result, winner, combo, reason };
+      setSeries(room.series);
+      if (result === 'timeout') {
+        updateMessage(`${winner} wins on time!`);
+        showWinnerPopup(winner, []);
+      } else if (result === 'win') {
+        if (reason === 'forfeit') updateMessage(`${winner} wins — opponent did not reconnect.`);
+        else if (reason === 'resign') updateMessage(`${winner} wins — ${Engine.nextTurn(winner)} resigned.`);
+        else updateMessage(`${winner} wins!`);
         showWinnerPopup(winner, combo);
         burstConfetti();
       } else {
-        updateMessage('Draw.');
-        scores.D += 1;
+        updateMessage(reason === 'agreement' ? 'Draw agreed.' : 'Draw.');
         showWinnerPopup(winner, combo, true); // Pass true for draw
       }
+      if (room.series.winner) updateMessage(`${message.textContent} ${room.series.winner} takes the series!`);
+      if (!leaderboardList.hidden) loadLeaderboard();
       render();
     });
 
-    socket.on('errorMsg', ({ error }) => updateMessage(error || 'Server error'));
-    socket.on('opponentLeft', ({ message: m }) => updateMessage(m || 'Opponent left'));
+    socket.on('chatHistory', ({ messages }) => resetChat(messages));
+    socket.on('chat', appendChat);
+
+    socket.on('errorMsg', (payload) => {
+      const { code } = payload;
+      if ((code === 'PASSWORD_REQUIRED' || code === 'WRONG_PASSWORD') && pendingJoin) return askRoomPassword(code);
+      if (code === 'ROOM_NOT_FOUND' || code === 'ROOM_FULL') pendingJoin = null;
+      if (code === 'BAD_REQUEST') console.warn('Server rejected a request:', payload.params);
+      // the server holding our room is restarting: keep asking for the seat until it is back
+      if (code === 'SERVER_RESTARTING' && sessionStorage.getItem(SESSION_KEY) && !resumeRetry) {
+        resumeRetry = setTimeout(() => {
+          resumeRetry = null;
+          const token = sessionStorage.getItem(SESSION_KEY);
+          if (token && socket.connected) socket.emit('resumeSession', { token });
+        }, RESUME_RETRY_MS);
+      }
+      updateMessage(errorText(payload));
+    });
+    socket.on('opponentLeft', ({ message: m }) => {
+      stopReconnectCountdown();
+      updateMessage(m || 'Opponent left');
+    });
 
     socket.on('rematchUpdate', ({ votes }) => {
       updateMessage(`Rematch votes: ${votes}/2`);
@@ -394,27 +1058,87 @@ function initSocket() {
 /* ============== Buttons wiring ============== */
 quickBtn.addEventListener('click', () => {
   connectSocket();
-  socket.emit('quickplay', { name: nameInput.value || 'Player' });
+  if (queued) {
+    socket.emit('cancelQueue');
+    return;
+  }
+  isSpectator = false;
+  socket.emit('quickplay', { name: nameInput.value || 'Player', ...selectedBoardOptions() });
   localMode = 'multiplayer';
   updateMessage('Searching for match...');
 });
 
 createBtn.addEventListener('click', () => {
+  isSpectator = false;
   connectSocket();
-  socket.emit('createRoom', { name: nameInput.value || 'Player' });
+  socket.emit('createRoom', {
+    name: nameInput.value || 'Player',
+    ...selectedBoardOptions(),
+    timeControl: selectedTimeControl(),
+    bestOf: Number(seriesSelect.value) || null,
+    isPrivate: privateRoomInput.checked,
+    password: roomPasswordInput.value || undefined
+  });
   localMode = 'multiplayer';
   updateMessage('Room being created...');
 });
 
+function requestJoin(password) {
+  socket.emit('joinRoom', { ...pendingJoin, password });
+  localMode = 'multiplayer';
+}
+
+// the room is password protected: ask, then try again with the same join request
+function askRoomPassword(code) {
+  const password = prompt(code === 'WRONG_PASSWORD' ? 'Wrong password. Try again:' : 'This room needs a password:');
+  if (!password) {
+    pendingJoin = null;
+    return updateMessage('Join cancelled.');
+  }
+  requestJoin(password);
+}
+
+// opened from /game?room=...: ask for a name and join, then drop the query so a reload does not join twice
+function joinFromInvite() {
+  const name = prompt('Enter your name to join the game:', nameInput.value || '');
+  const rid = inviteRoom;
+  inviteRoom = null;
+  history.replaceState(null, '', location.pathname);
+  if (name === null) return updateMessage('Invite ignored.');
+  nameInput.value = name.trim().slice(0, 24);
+  roomInput.value = rid;
+  joinBtn.click();
+}
+
 joinBtn.addEventListener('click', () => {
   const rid = roomInput.value.trim();
   if (!rid) return updateMessage('Enter a room ID to join.');
+  isSpectator = false;
   connectSocket();
-  socket.emit('joinRoom', { roomId: rid, name: nameInput.value || 'Player' });
-  localMode = 'multiplayer';
+  pendingJoin = { roomId: rid, name: nameInput.value || 'Player' };
+  requestJoin();
   updateMessage('Joining room...');
 });
 
+watchBtn.addEventListener('click', () => {
+  const rid = roomInput.value.trim();
+  if (!rid) return updateMessage('Enter a room ID to watch.');
+  connectSocket();
+  pendingJoin = { roomId: rid, name: nameInput.value || 'Spectator', spectate: true };
+  requestJoin();
+  updateMessage('Joining as spectator...');
+});
+
+inviteBtn.addEventListener('click', async () => {
+  const link = `${location.origin}/game?room=${encodeURIComponent(roomId)}`;
+  try {
+    await navigator.clipboard.writeText(link);
+    updateMessage(`Invite link copied: ${link}`);
+  } catch (error) {
+    updateMessage(`Invite link: ${link}`);
+  }
+});
+
 readyBtn.addEventListener('click', () => {
   if (localMode !== 'multiplayer' || !socket) {
     updateMessage('Not in a multiplayer room.');
@@ -439,19 +1163,58 @@ rematchBtn.addEventListener('click', () => {
     updateMessage('No multiplayer room — rematch local');
     return;
   }
+  if (isSpectator) return updateMessage('Spectators cannot vote for a rematch.');
   socket.emit('rematch', { roomId });
   updateMessage('Rematch requested.');
 });
 
+// resign and draw offers only make sense against an opponent on the server
+function inMultiplayerGame(action) {
+  if (localMode !== 'multiplayer' || !socket || !roomId) {
+    updateMessage(`You can only ${action} in a multiplayer game.`);
+    return false;
+  }
+  if (isSpectator) {
+    updateMessage(`Spectators cannot ${action}.`);
+    return false;
+  }
+  return true;
+}
+
+resignBtn.addEventListener('click', () => {
+  if (!inMultiplayerGame('resign') || gameOver) return;
+  if (!confirm('Resign this game?')) return;
+  socket.emit('resign', { roomId });
+});
+
+drawBtn.addEventListener('click', () => {
+  if (!inMultiplayerGame('offer a draw') || gameOver) return;
+  socket.emit('offerDraw', { roomId });
+});
+
+function answerDraw(accept) {
+  drawPrompt.hidden = true;
+  if (socket && roomId) socket.emit('answerDraw', { roomId, accept });
+}
+
+document.getElementById('acceptDrawBtn').addEventListener('click', () => answerDraw(true));
+document.getElementById('declineDrawBtn').addEventListener('click', () => answerDraw(false));
+
 leaveBtn.addEventListener('click', () => {
   if (localMode === 'multiplayer' && socket && roomId) {
     socket.emit('leaveRoom', { roomId });
+    sessionStorage.removeItem(SESSION_KEY);
+    resetChat();
+    stopReconnectCountdown();
     updateMessage('Left room.');
     roomId = null;
     roomIdEl.textContent = '—';
+    spectatorCountEl.textContent = 0;
   }
   // reset local state
+  closeReplay();
   localMode = null;
+  isSpectator = false;
   resetLocal();
 });
 
@@ -464,30 +1227,69 @@ local2pBtn.addEventListener('click', () => {
 
 vsaiBtn.addEventListener('click', () => {
   localMode = 'ai';
-  mySymbol = 'X';
+  mySymbol = aiSymbolSelect.value;
+  const level = aiLevelSelect.options[aiLevelSelect.selectedIndex].text;
+  updateMessage(`Playing vs AI (${level}, you = ${mySymbol}). ${mySymbol === 'X' ? 'You start.' : 'AI opens.'}`);
   resetLocal();
-  updateMessage('Playing vs AI (you = X). You start.');
-  render();
 });
 
 function resetLocal() {
-  board = Array(9).fill(null);
+  const options = selectedBoardOptions();
+  setBoardOptions(options);
+  setBoardState(Engine.createState(options));
+  moveLog = [];
+  redoStack = [];
+  gameResult = null;
   gameOver = false;
   currentTurn = 'X';
-  scores = { X: 0, O: 0, D: 0 };
+  setSeries(null);
+  clearTimeout(aiTimer);
+  closeReplay();
+  takebackPrompt.hidden = true;
+  drawPrompt.hidden = true;
+  setClock(null);
   render();
   roomIdEl.textContent = '—';
   winnerOverlay.style.display = 'none';
   turnPill.classList.remove('winner');
+  scheduleAiMove(); // the AI opens when you play O
 }
 
 /* ============== Keyboard support ============== */
+const arrowSteps = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
 window.addEventListener('keydown', (e) => {
-  if (e.key >= '1' && e.key <= '9') {
+  if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+
+  if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'y')) {
+    e.preventDefault();
+    (e.key === 'z' ? undoBtn : redoBtn).click();
+    return;
+  }
+
+  if (replay && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+    e.preventDefault();
+    stepReplay(replay.step + (e.key === 'ArrowLeft' ? -1 : 1));
+    return;
+  }
+  if (gridEl.children.length === 9 && e.key >= '1' && e.key <= '9') {
     const mapping = [6, 7, 8, 3, 4, 5, 0, 1, 2];
     const idx = mapping[Number(e.key) - 1];
     const cell = gridEl.children[idx];
     if (cell) cell.click();
+  } else if (arrowSteps[e.key]) {
+    // move focus around the board; Enter/Space on a focused cell plays it
+    e.preventDefault();
+    const focused = document.activeElement;
+    const cols = Number(gridEl.style.getPropertyValue('--size')), rows = gridEl.children.length / cols;
+    let row = Math.floor(rows / 2), col = Math.floor(cols / 2);
+    if (focused && focused.parentElement === gridEl) {
+      const idx = [...gridEl.children].indexOf(focused); // grid position, which ultimate and notakto number differently
+      const [dr, dc] = arrowSteps[e.key];
+      row = Math.min(rows - 1, Math.max(0, Math.floor(idx / cols) + dr));
+      col = Math.min(cols - 1, Math.max(0, idx % cols + dc));
+    }
+    gridEl.children[row * cols + col].focus();
   } else if (e.key === 'r' || e.key === 'R') {
     if (localMode === 'local2p' || localMode === 'ai') resetLocal();
     else updateMessage('Press Rematch in multiplayer.');
@@ -514,7 +1316,108 @@ function burstConfetti() {
   setTimeout(() => confetti.innerHTML = '', 1200);
 }
 
+undoBtn.addEventListener('click', () => {
+  if (localMode === 'local2p' || localMode === 'ai') return undoLocal();
+  if (localMode !== 'multiplayer' || !socket || !roomId) return updateMessage('Start a game to undo moves.');
+  if (isSpectator) return updateMessage('Spectators cannot request a takeback.');
+  socket.emit('requestTakeback', { roomId });
+});
+
+redoBtn.addEventListener('click', () => {
+  if (localMode === 'local2p' || localMode === 'ai') return redoLocal();
+  updateMessage('Redo is only available in local and AI games.');
+});
+
+function answerTakeback(accept) {
+  takebackPrompt.hidden = true;
+  if (socket && roomId) socket.emit('answerTakeback', { roomId, accept });
+}
+
+document.getElementById('acceptTakebackBtn').addEventListener('click', () => answerTakeback(true));
+document.getElementById('declineTakebackBtn').addEventListener('click', () => answerTakeback(false));
+
+replayBtn.addEventListener('click', () => {
+  if (replay) return closeReplay();
+  if (!moveLog.length) return updateMessage('No moves to replay yet.');
+  openReplay(currentRecord());
+  updateMessage('Replay: step through with the controls, or press Autoplay.');
+});
+
+copyNotationBtn.addEventListener('click', async () => {
+  const text = GameRecord.toNotation(replay ? replay.record : currentRecord());
+  try {
+    await navigator.clipboard.writeText(text);
+    updateMessage(`Copied: ${text}`);
+  } catch (error) {
+    updateMessage(text);
+  }
+});
+
+saveJsonBtn.addEventListener('click', () => {
+  const record = replay ? replay.record : currentRecord();
+  downloadFile(`tictactoe-${record.size}x${record.size}-${Date.now()}.json`, GameRecord.toJSON(record), 'application/json');
+});
+
+importBtn.addEventListener('click', () => importFile.click());
+
+importFile.addEventListener('change', async () => {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+  try {
+    openReplay(GameRecord.parse(await file.text()));
+    updateMessage(`Loaded ${file.name}.`);
+  } catch (error) {
+    updateMessage('Could not import game: ' + error.message);
+  }
+});
+
+document.getElementById('replayFirst').addEventListener('click', () => stepReplay(0));
+document.getElementById('replayPrev').addEventListener('click', () => stepReplay(replay.step - 1));
+document.getElementById('replayNext').addEventListener('click', () => stepReplay(replay.step + 1));
+document.getElementById('replayLast').addEventListener('click', () => stepReplay(replay.positions.length - 1));
+replayAutoBtn.addEventListener('click', toggleAutoplay);
+document.getElementById('replayClose').addEventListener('click', closeReplay);
+
+leaderboardBtn.addEventListener('click', () => {
+  leaderboardList.hidden = !leaderboardList.hidden;
+  leaderboardBtn.textContent = leaderboardList.hidden ? 'Show Leaderboard' : 'Hide Leaderboard';
+  if (!leaderboardList.hidden) loadLeaderboard();
+});
+
+chatForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const text = chatInput.value.trim();
+  if (!text) return;
+  sendChat({ text });
+  chatInput.value = '';
+});
+
+sizeSelect.addEventListener('change', () => {
+  fillWinOptions();
+  if (localMode === 'local2p' || localMode === 'ai') resetLocal();
+});
+
+winSelect.addEventListener('change', () => {
+  if (localMode === 'local2p' || localMode === 'ai') resetLocal();
+});
+
+variantSelect.addEventListener('change', () => {
+  fillWinOptions();
+  if (localMode === 'local2p' || localMode === 'ai') resetLocal();
+});
+
+for (const [mark, btn] of Object.entries(markButtons)) {
+  btn.addEventListener('click', () => {
+    placeMark = mark;
+    renderMarkPicker();
+  });
+}
+
 /* ============== Init ============== */
+setInterval(() => { if (clock && clock.running) renderClocks(); }, 250);
+fillSizeOptions();
+createEmoteButtons();
 createGrid();
 render();
 connectSocket(); // attempt connect but no harm if server not present
@@ -4,362 +4,1934 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
-
-const app = express();
-app.use(cors());
-
-// Serve the main HTML file
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-app.get('/game', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-// Serve CSS and JS files specifically
-app.get('/styles.css', (req, res) => {
-  res.sendFile(path.join(__dirname, 'styles.css'));
-});
-
-app.get('/script.js', (req, res) => {
-  res.sendFile(path.join(__dirname, 'script.js'));
-});
-
-const server = http.createServer(app);
-const io = new Server(server, {
-  cors: {
-    origin: '*',
-    methods: ["GET", "POST"],
-    credentials: true
-  }
-});
+const crypto = require('crypto');
+const { promisify } = require('util');
+const Engine = require('./engine');
+const AI = require('./ai');
+const GameRecord = require('./record');
+const ErrorCodes = require('./errors');
+const { createHistoryStore } = require('./lib/history');
+const { createMatchQueue } = require('./lib/matchmaking');
+const { createBotRegistry } = require('./lib/bots');
+const { SCHEMAS, validate } = require('./lib/schema');
+const { createRateLimiter } = require('./lib/ratelimit');
+const { createMetrics } = require('./lib/metrics');
+const { createMemoryRoomStore, createFileRoomStore, toSnapshot, fromSnapshot } = require('./lib/roomstore');
+const { createLocalBackend, createRedisBackend } = require('./lib/shared');
+const { createSharedAdapter } = require('./lib/adapter');
+const { createCluster } = require('./lib/cluster');
 
 const PORT = process.env.PORT || 10000; // fallback for local dev
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 30000; // how long a dropped player keeps their seat
+const BOT_WAIT_MS = Number(process.env.BOT_WAIT_MS) || 15000; // how long quickplay waits for a human before seating a bot
+const BOT_DIFFICULTY = AI.DIFFICULTIES.includes(process.env.BOT_DIFFICULTY) ? process.env.BOT_DIFFICULTY : 'perfect';
+const BOT_MOVE_DELAY_MS = 600; // so the bot doesn't answer instantly
+const BOT_MOVE_MS = Number(process.env.BOT_MOVE_MS) || 5000; // per-move time budget for registered bots in league matches
+const BOT_LEAGUE_MS = Number(process.env.BOT_LEAGUE_MS) || 30000; // how often idle registered bots are paired for league matches
+const LEAGUE_OPTIONS = Engine.normalizeOptions(GameRecord.fromNotation(process.env.BOT_LEAGUE_BOARD || '3x3/3')); // a notation board header
+const LEAGUE_GAMES = 2; // games per league match, so each bot moves first once
+const LEAGUE_GAP_MS = 1000; // pause between the games of a league match
+const MATCH_TICK_MS = 1000; // how often the quickplay queue is re-checked and told where it stands
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY = 50; // messages kept per room for late joiners
+const HISTORY_MAX_GAMES = Number(process.env.HISTORY_MAX_GAMES) || 10000; // finished games kept in the match history
+const CHAT_RATE = { count: 5, windowMs: 10000 }; // per socket
+const EMOTES = ['👍', '👏', '😂', '😮', '🤔', '😅', '🔥', '🤝']; // keep in sync with script.js
+const SERIES_LENGTHS = [3, 5, 7]; // best-of-N options for createRoom
+const PASSWORD_MAX_LENGTH = 64;
+const LOBBY_CHANNEL = 'lobby'; // socket.io room for lobby subscribers (room ids are 7 characters, so no clash)
+const LOBBY_THROTTLE_MS = 250; // bursts of room changes go out as one lobby update
+const LOBBY_LIMIT = 50; // rooms listed at most
+const TIME_LIMITS = { // [min, max] ms for each time control setting
+  moveMs: [5000, 5 * 60000],
+  baseMs: [30000, 60 * 60000],
+  incrementMs: [0, 60000]
+};
+const MAX_ROOMS = Number(process.env.MAX_ROOMS) || 1000; // open rooms at most, server-wide
+const MAX_ROOMS_PER_IP = Number(process.env.MAX_ROOMS_PER_IP) || 5; // open rooms created from one address
+const ROOM_IDLE_MS = Number(process.env.ROOM_IDLE_MS) || 30 * 60000; // rooms nobody has used for this long are closed
+const WAITING_ROOM_TTL_MS = Number(process.env.WAITING_ROOM_TTL_MS) || 10 * 60000; // rooms still waiting for an opponent after this long are closed
+const ROOM_SWEEP_MS = Number(process.env.ROOM_SWEEP_MS) || 60000; // how often idle rooms are looked for
+const ROOM_SNAPSHOT_MS = Number(process.env.ROOM_SNAPSHOT_MS) || 10000; // how often open rooms are saved, so a crash loses little
+const SHUTDOWN_NOTICE_MS = 500; // between warning clients of a restart and closing their connections
+const SHUTDOWN_TIMEOUT_MS = 5000; // exit anyway if connections have not closed by then
+const TRUST_PROXY = process.env.TRUST_PROXY === '1'; // take the client address from X-Forwarded-For
+const scrypt = promisify(crypto.scrypt); // in the thread pool, so hashing a password holds up no other room
+const SOCKET_RATE_LIMITS = { // at most count events per windowMs from one socket ('*' counts them all)
+  '*': { count: 40, windowMs: 10000 },
+  createRoom: { count: 5, windowMs: 60000 },
+  joinRoom: { count: 10, windowMs: 60000 },
+  quickplay: { count: 10, windowMs: 60000 },
+  playMove: { count: 15, windowMs: 5000 },
+  pingServer: { count: 2, windowMs: 20000 },
+  botHello: { count: 3, windowMs: 60000 }
+};
+const IP_RATE_LIMITS = { // the same across every socket from one address (tabs, or players behind one NAT)
+  '*': { count: 200, windowMs: 10000 },
+  createRoom: { count: 20, windowMs: 60000 }
+};
 
 /*
 Room matchmaking model:
-- Each room holds exactly 2 players max.
+- Each room has a board size N (3-15) and a win length K (3-N), fixed when the room is created.
+  A room can instead be created in Ultimate mode (room.mode 'ultimate'): nine small boards on
+  a 9x9 grid, with room.boards and room.activeBoard alongside the board (see engine.js).
+  Classic rooms can also pick a rule variant (room.variant: misere, wild, notakto with
+  room.boardCount boards, or order-chaos). The engine checks each move's cell and, in wild and
+  order-chaos, the mark the player chose to place; those moves are logged with their mark.
+- Each room holds exactly 2 players max. Anyone joining a full room watches as a read-only spectator.
 - Server keeps authoritative game state per room: board array, current turn (X/O), ready flags.
 - Players are assigned symbol X or O by server.
-- Server enforces valid moves and broadcasts updates.
+- Server enforces valid moves (rules live in engine.js) and broadcasts updates.
+- Quickplay puts players in a matchmaking queue (lib/matchmaking.js) that pairs similar ratings
+  on the same board. Anyone still unmatched after BOT_WAIT_MS gets a room with a bot, as does a
+  quickplay room whose human opponent left. The bot is a seat like any other (no socket, no
+  token) and plays through playMove with the shared AI.
+- Rooms can be created with a time control: a fixed limit per move, or a chess clock (base time
+  plus an increment per move). The server owns the clocks; a player whose time runs out loses.
+  The clock of a player who drops stops until they are back.
+- Players and spectators can chat inside a room; the last CHAT_HISTORY messages are kept
+  and sent to anyone who joins later.
+- Rooms are listed in a live lobby (waiting rooms first) for anyone who subscribes; rooms
+  created as private stay out of the lobby and out of quickplay, and are joined by ID only.
+- A room can have a password. Only a salted scrypt hash is kept, and joining or watching
+  needs the password (errorMsg code PASSWORD_REQUIRED or WRONG_PASSWORD otherwise).
+  Reconnecting with a session token does not.
+- Every room keeps the running score between its two players (room.series). A room can be
+  created as a best-of-3/5/7 series, which ends once someone has won a majority of the games.
+  The first move alternates between X and O from one game to the next. The series starts
+  over when a player leaves or when a rematch follows a finished series.
+- A player can ask to take back their last move (and the reply to it, if the opponent has
+  already answered). The opponent accepts or declines; the built-in bot always accepts, and a
+  registered bot is asked like anyone. Playing a move while a request is pending cancels it.
+- A player can resign (the opponent wins, reason 'resign') or offer a draw, which the opponent
+  accepts (a draw, reason 'agreement') or declines. The built-in bot declines draw offers; a
+  registered bot answers them itself. An offer lapses when the opponent plays a move instead of
+  answering.
+- Every move is logged with a timestamp (room.moves) and sent with room updates, so clients
+  can keep the game record for export and replay (record.js).
+- Every finished game is written to the match history (lib/history.js), which also keeps ELO ratings.
+  It keeps the last HISTORY_MAX_GAMES games; ratings and player stats cover every game.
+- Each seated player gets a session token. If their socket drops, the seat and board are
+  held for RECONNECT_GRACE_MS; a client that comes back with the token takes the seat over.
+- External programs can play as registered bots (lib/bots.js): a socket that sends botHello
+  with its bot token takes seats as a bot under the bot's name (remote: true, unrated), and is
+  sent yourTurn with the game state whenever it is to move. Its moves go through playMove like
+  anyone else's. Idle connected bots are paired every BOT_LEAGUE_MS for league matches of
+  LEAGUE_GAMES games, played with a BOT_MOVE_MS move clock; the results go to the bot registry.
+- Every event a client sends is checked against its schema (lib/schema.js) before the handler
+  runs; a bad payload gets errorMsg BAD_REQUEST. errorMsg and invalidMove always carry a
+  stable code from errors.js, so clients can react to them and show them in their language.
+- Events are rate limited per socket and per client address (lib/ratelimit.js; RATE_LIMITED
+  when refused). A registered bot's move in answer to yourTurn is exempt, so a bot is never
+  refused the move it was asked for; its other moves are limited where its room is. At most
+  MAX_ROOMS rooms are open, MAX_ROOMS_PER_IP of them created from one address.
+- Every ROOM_SWEEP_MS, rooms nobody has used for ROOM_IDLE_MS are closed, as are rooms still
+  waiting for an opponent after WAITING_ROOM_TTL_MS. Everyone in them gets roomClosed first.
+- Operators get /healthz, /readyz and Prometheus metrics at /metrics, and an /admin API (behind
+  ADMIN_KEY) to list, inspect and close rooms and to kick sockets.
+- Open rooms and sessions are saved to the room store (lib/roomstore.js) every ROOM_SNAPSHOT_MS
+  if any has changed, and on SIGTERM/SIGINT. Shutting down, the server refuses every event with
+  SERVER_RESTARTING, sends everyone serverRestarting, saves and closes. On startup it loads the
+  saved rooms and holds every seat for RECONNECT_GRACE_MS, so players resume with their session
+  tokens as after any dropped connection. Clocks run again as their players come back. League
+  rooms are not kept.
+- Several instances can serve one game behind a load balancer. They share a backend
+  (lib/shared.js: Redis, or an in-process stand-in) and a Socket.IO adapter (lib/adapter.js),
+  so io.to(...).emit(), socketsJoin() and socketsLeave() reach sockets on every instance.
+- A room stays on the instance that created it (lib/cluster.js keeps the directory). An event
+  about a room that arrives on another instance is sent on to the owner, which runs it for a
+  remoteSocket stand-in of the sender. Session tokens are looked up the same way, and the
+  quickplay queue runs on whichever instance holds the matchmaker lock; the directory's seats
+  keep players seated on other instances out of it. While a room's owner is down (restarting),
+  its events get SERVER_RESTARTING. The lobby lists every instance's rooms.
+- Room caps, rate limits, the bot league, match history, metrics and the admin API are per
+  instance. Each instance rates the games in its own rooms, so ratings, the leaderboard and the
+  ratings quickplay pairs by differ from one instance to the next.
 */
 
-const rooms = {}; // { roomId: { players: { socketId: {name, symbol}}, board: Array(9), turn, ready: Set, status } }
+// one server instance: the web app, Socket.IO and the rooms it owns. options can hand it the
+// shared backend, the stores and an instance id (tests run two instances in one process);
+// otherwise they come from the environment as described in the README
+function createGameServer(options = {}) {
+  const app = express();
+  app.use(cors());
 
-function createRoomId() {
-  return Math.random().toString(36).slice(2, 9);
-}
+  // Serve the main HTML file
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+  });
+
+  app.get('/game', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+  });
+
+  // for the hosting platform: the process is alive, and it is taking connections
+  app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  app.get('/readyz', (req, res) => {
+    if (shuttingDown) return res.status(503).json({ status: 'shutting down' });
+    if (!server.listening) return res.status(503).json({ status: 'starting' });
+    res.json({ status: 'ready' });
+  });
+
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
+
+  // Serve CSS and JS files specifically
+  app.get('/styles.css', (req, res) => {
+    res.sendFile(path.join(__dirname, 'styles.css'));
+  });
+
+  app.get('/script.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'script.js'));
+  });
+
+  app.get('/engine.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'engine.js'));
+  });
+
+  app.get('/ai.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'ai.js'));
+  });
+
+  app.get('/record.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'record.js'));
+  });
+
+  app.get('/errors.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'errors.js'));
+  });
+
+  // Match history and ratings
+  const history = options.history || createHistoryStore(process.env.HISTORY_FILE || path.join(__dirname, 'data', 'history.json'), { maxGames: HISTORY_MAX_GAMES });
+
+  app.get('/api/leaderboard', (req, res) => {
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    res.json({ players: history.leaderboard(limit) });
+  });
 
-io.on('connection', socket => {
-  console.log(`sock connected ${socket.id}`);
-  socket.on("pingServer", () => {
-    // Optional: log or just ignore
-    console.log(`Ping received from ${socket.id}`);
+  app.get('/api/players/:name/history', (req, res) => {
+    const found = history.playerHistory(req.params.name);
+    if (!found) return res.status(404).json({ error: 'Player not found' });
+    res.json(found);
   });
-  // helper
-  function safeEmit(ev, payload) {
-    try { socket.emit(ev, payload); } catch (e) { }
+
+  // Registered bots and their league
+  const bots = options.bots || createBotRegistry(process.env.BOTS_FILE || path.join(__dirname, 'data', 'bots.json'));
+
+  // compare secrets without leaking how much of them matched
+  function sameSecret(a, b) {
+    const digest = s => crypto.createHash('sha256').update(String(s)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+  }
+
+  // routes that take the key in the environment variable `name` as a bearer token; without the key set they are off
+  function requireKey(name, what) {
+    return (req, res, next) => {
+      const key = process.env[name];
+      if (!key) return res.status(403).json({ error: `${what} is disabled` });
+      if (!sameSecret(req.get('authorization') || '', `Bearer ${key}`)) return res.status(401).json({ error: `Wrong ${name}` });
+      next();
+    };
   }
 
-  // find or create room and join
-  socket.on('quickplay', ({ name }) => {
-    // look for a room with one slot
-    let target = null;
-    for (const [rid, room] of Object.entries(rooms)) {
-      if (Object.keys(room.players).length === 1 && room.status === 'waiting') { target = rid; break; }
+  // registering a bot takes BOT_ADMIN_KEY
+  app.post('/api/bots', requireKey('BOT_ADMIN_KEY', 'Bot registration'), express.json(), (req, res) => {
+    try {
+      res.status(201).json(bots.register(req.body && req.body.name));
+    } catch (e) {
+      res.status(400).json({ error: e.message });
     }
-    if (!target) target = createRoomId();
-    joinRoom(target, socket, name);
   });
 
-  socket.on('createRoom', ({ name }) => {
-    const rid = createRoomId();
-    joinRoom(rid, socket, name);
-    safeEmit('roomCreated', { roomId: rid });
+  app.get('/api/bots', (req, res) => {
+    res.json({ bots: bots.standings() });
   });
 
-  socket.on('joinRoom', ({ roomId, name }) => {
-    if (!rooms[roomId]) {
-      safeEmit('errorMsg', { error: 'Room not found' });
-      return;
-    }
-    if (Object.keys(rooms[roomId].players).length >= 2) {
-      safeEmit('errorMsg', { error: 'Room full' });
-      return;
-    }
-    joinRoom(roomId, socket, name);
+  app.get('/api/bots/matches', (req, res) => {
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    res.json({ matches: bots.matches(limit) });
   });
 
-  function joinRoom(roomId, socket, name) {
-    if (!rooms[roomId]) {
-      rooms[roomId] = {
-        players: {},
-        board: Array(9).fill(null),
-        turn: 'X',
-        ready: new Set(),
-        status: 'waiting', // waiting | waitingReady | playing | finished
-        rematchVotes: new Set()
-      };
-    }
-    const room = rooms[roomId];
+  // room caps, rate limits and what they have turned away so far; operators only, like /admin
+  app.get('/api/limits', requireKey('ADMIN_KEY', 'The limits report'), (req, res) => {
+    res.json({
+      rooms: { open: Object.keys(rooms).length, max: MAX_ROOMS, maxPerIp: MAX_ROOMS_PER_IP, refused: limitStats.roomsRefused },
+      sweeper: { idleMs: ROOM_IDLE_MS, waitingMs: WAITING_ROOM_TTL_MS, closed: limitStats.roomsSwept },
+      rateLimits: { socket: SOCKET_RATE_LIMITS, ip: IP_RATE_LIMITS },
+      refused: { socket: socketLimits.stats().refused, ip: ipLimits.stats().refused }
+    });
+  });
 
-    // Check if room is full
-    if (Object.keys(room.players).length >= 2) {
-      safeEmit('errorMsg', { error: 'Room is full' });
-      return;
+  // Operator API, behind ADMIN_KEY
+  const admin = express.Router();
+  admin.use(requireKey('ADMIN_KEY', 'The admin API'));
+
+  admin.get('/rooms', (req, res) => {
+    res.json({ rooms: Object.keys(rooms).map(adminRoomSummary) });
+  });
+
+  admin.get('/rooms/:roomId', (req, res) => {
+    const room = getRoomPublic(req.params.roomId);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    res.json(room);
+  });
+
+  admin.delete('/rooms/:roomId', (req, res) => {
+    const { roomId } = req.params;
+    if (!rooms[roomId]) return res.status(404).json({ error: 'Room not found' });
+    closeRoom(roomId, 'admin', 'Room closed by an administrator');
+    console.log(`Room ${roomId} closed by an administrator`);
+    res.status(204).end();
+  });
+
+  admin.post('/sockets/:socketId/kick', (req, res) => {
+    const socket = io.of('/').sockets.get(req.params.socketId);
+    if (!socket) return res.status(404).json({ error: 'Socket not found' });
+    kickSocket(socket);
+    res.status(204).end();
+  });
+
+  app.use('/admin', admin);
+
+  // What the instances of a cluster share: Redis when REDIS_URL is set, otherwise this process's memory
+  const backend = options.backend || (process.env.REDIS_URL ? createRedisBackend(process.env.REDIS_URL) : createLocalBackend());
+  const cluster = createCluster(backend, { id: options.instanceId || process.env.INSTANCE_ID || undefined });
+
+  const server = http.createServer(app);
+  const io = new Server(server, {
+    cors: {
+      origin: '*',
+      methods: ["GET", "POST"],
+      credentials: true
+    },
+    adapter: createSharedAdapter(backend)
+  });
+
+  // no prototype on the maps looked up by client-sent ids, so an id like `constructor` finds nothing
+  const rooms = Object.create(null); // { roomId: { players: { socketId: {name, symbol, token, connected}}, spectators: { socketId: {name} }, mode, variant, size, winLength, board: Array(size*size), turn, ready: Set, status } }
+  const sessions = Object.create(null); // { token: { roomId, socketId } }
+  const roomStore = options.roomStore || (process.env.ROOM_STORE === 'memory'
+    ? createMemoryRoomStore()
+    : createFileRoomStore(process.env.ROOM_STORE_FILE || path.join(__dirname, 'data', 'rooms.json')));
+  const remoteClients = new Map(); // socket id -> { socket, handlers } for sockets on other instances that sent events here
+  const reconnectTimers = {}; // { token: Timeout } pending forfeits for dropped players
+  const botTimers = {}; // { roomId: Timeout } quickplay rooms waiting for an opponent
+  const clockTimers = {}; // { roomId: Timeout } flag fall for the player to move
+  let lobbyTimer = null; // pending lobby broadcast
+  let matchTimer = null; // runs matchmaking while anyone is queued
+  let leagueTimer = null; // pairs idle bots for league matches while any are connected
+  let sweepTimer = null; // closes idle rooms
+  let snapshotTimer = null; // saves open rooms to the room store
+  let roomsChanged = false; // something in a room changed since the last snapshot was saved
+  let shuttingDown = false; // set on SIGTERM/SIGINT; no events are taken after that
+  const matchQueue = createMatchQueue({ maxWaitMs: BOT_WAIT_MS });
+  const socketLimits = createRateLimiter(SOCKET_RATE_LIMITS);
+  const ipLimits = createRateLimiter(IP_RATE_LIMITS);
+  const limitStats = { roomsRefused: 0, roomsSwept: { idle: 0, waiting: 0 } };
+
+  // Metrics for GET /metrics
+  const metrics = createMetrics('tictacpro_');
+  const gamesStarted = metrics.counter('games_started_total', 'Games started');
+  const gamesFinished = metrics.counter('games_finished_total', 'Games finished, by result');
+  const movesPlayed = metrics.counter('moves_total', 'Moves played');
+  const moveRate = metrics.rate('moves_per_second', 'Moves played per second over the last minute');
+  const handlerSeconds = metrics.histogram('socket_handler_seconds', 'Time spent handling socket events, by event');
+  metrics.gauge('sockets_connected', 'Connected sockets', () => io.of('/').sockets.size);
+  metrics.gauge('rooms', 'Open rooms, by status', () => ['waiting', 'waitingReady', 'playing', 'finished'].map(status => ({
+    labels: { status },
+    value: Object.values(rooms).filter(r => r.status === status).length
+  })));
+  metrics.gauge('quickplay_queue', 'Players waiting in the quickplay queue', () => matchQueue.size());
+  metrics.gauge('bots_connected', 'Registered bots connected', () => connectedBots().length);
+  metrics.counter('rate_limited_total', 'Events refused by the rate limits, by scope and event', () => [['socket', socketLimits], ['ip', ipLimits]]
+    .flatMap(([scope, limiter]) => Object.entries(limiter.stats().refused).map(([event, value]) => ({ labels: { scope, event }, value }))));
+  metrics.counter('rooms_refused_total', 'Rooms refused by MAX_ROOMS or MAX_ROOMS_PER_IP', () => limitStats.roomsRefused);
+  metrics.counter('rooms_swept_total', 'Rooms closed by the sweeper, by reason', () => Object.entries(limitStats.roomsSwept)
+    .map(([reason, value]) => ({ labels: { reason }, value })));
+
+  function createRoomId() {
+    return Math.random().toString(36).slice(2, 9);
+  }
+
+  function createSessionToken() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  // the slice of a room the rules engine works on
+  function gameState(room) {
+    const state = { size: room.size, winLength: room.winLength, board: room.board, turn: room.turn };
+    if (room.mode === Engine.ULTIMATE) Object.assign(state, { mode: room.mode, boards: room.boards, activeBoard: room.activeBoard });
+    if (room.variant !== Engine.STANDARD) state.variant = room.variant;
+    if (room.boardCount) state.boardCount = room.boardCount;
+    return state;
+  }
+
+  // copy an engine state back onto the room
+  function setGameState(room, state) {
+    room.board = state.board;
+    room.turn = state.turn;
+    if (room.mode === Engine.ULTIMATE) {
+      room.boards = state.boards;
+      room.activeBoard = state.activeBoard;
     }
+  }
 
-    // assign symbol
-    const used = Object.values(room.players).map(p => p.symbol);
-    const symbol = used.includes('X') ? 'O' : 'X';
+  // the board fields sent with boardUpdate, takeback and room updates
+  function boardPublic(room) {
+    const board = { mode: room.mode, board: room.board.slice(), turn: room.turn };
+    if (room.mode === Engine.ULTIMATE) Object.assign(board, { boards: room.boards.slice(), activeBoard: room.activeBoard });
+    return board;
+  }
 
-    // Add player to room
-    room.players[socket.id] = {
-      name: name || (symbol === 'X' ? 'Player X' : 'Player O'),
-      symbol,
-      socketId: socket.id
-    };
+  function resetBoard(room, turn = 'X') {
+    setGameState(room, { ...Engine.createState(room), turn });
+  }
 
-    // Reset ready state for this player
-    room.ready.delete(socket.id);
+  function clearReconnectTimer(token) {
+    clearTimeout(reconnectTimers[token]);
+    delete reconnectTimers[token];
+  }
 
-    socket.join(roomId);
+  function clampTime(value, [min, max]) {
+    return Math.min(max, Math.max(min, Math.floor(Number(value)) || min));
+  }
 
-    // notify participants
-    io.to(roomId).emit('roomUpdate', getRoomPublic(roomId));
-    console.log(`socket ${socket.id} joined ${roomId} as ${symbol}`);
+  // { type: 'move', moveMs } | { type: 'clock', baseMs, incrementMs } | null for untimed rooms
+  function timeControlOptions(tc) {
+    if (!tc || typeof tc !== 'object') return null;
+    if (tc.type === 'move') return { type: 'move', moveMs: clampTime(tc.moveMs, TIME_LIMITS.moveMs) };
+    if (tc.type === 'clock') {
+      return {
+        type: 'clock',
+        baseMs: clampTime(tc.baseMs, TIME_LIMITS.baseMs),
+        incrementMs: clampTime(tc.incrementMs, TIME_LIMITS.incrementMs)
+      };
+    }
+    return null;
+  }
 
-    // start match if two players
-    if (Object.keys(room.players).length === 2) {
-      room.status = 'waitingReady';
-      room.board = Array(9).fill(null);
-      room.turn = 'X';
-      room.ready.clear(); // Reset ready states
-      io.to(roomId).emit('matchReady', getRoomPublic(roomId));
+  // { salt, hash } for a room password, or null when none was given
+  async function hashPassword(password) {
+    if (typeof password !== 'string' || !password) return null;
+    const salt = crypto.randomBytes(16);
+    return { salt, hash: await scrypt(password.slice(0, PASSWORD_MAX_LENGTH), salt, 32) };
+  }
+
+  async function checkPassword(stored, password) {
+    if (typeof password !== 'string') return false;
+    const hash = await scrypt(password.slice(0, PASSWORD_MAX_LENGTH), stored.salt, 32);
+    return crypto.timingSafeEqual(hash, stored.hash);
+  }
+
+  // a fresh running score; bestOf is null for open-ended rooms
+  function createSeries(bestOf = null) {
+    return { bestOf, score: { X: 0, O: 0, D: 0 }, games: 0, winner: null };
+  }
+
+  function seriesLength(bestOf) {
+    return SERIES_LENGTHS.includes(Number(bestOf)) ? Number(bestOf) : null;
+  }
+
+  // count a finished game; the series is won by a majority of wins, or by the leader once
+  // bestOf games have been played (draws can leave it level, then it goes on until someone leads)
+  function recordSeriesGame(series, winner) {
+    series.score[winner || 'D'] += 1;
+    series.games += 1;
+    if (!series.bestOf) return;
+    const { X, O } = series.score;
+    const majority = Math.ceil(series.bestOf / 2);
+    if (X >= majority || O >= majority || (series.games >= series.bestOf && X !== O)) {
+      series.winner = X > O ? 'X' : 'O';
     }
   }
 
-  socket.on('setReady', ({ roomId, ready }) => {
+  function clearClockTimer(roomId) {
+    clearTimeout(clockTimers[roomId]);
+    delete clockTimers[roomId];
+  }
+
+  // remaining ms per symbol as of now, counting down the side to move (unless their clock is stopped)
+  function clockSnapshot(room) {
+    if (!room.clock) return null;
+    const running = room.status === 'playing' && room.turnStartedAt ? room.turn : null;
+    const remaining = { ...room.clock };
+    if (running) remaining[running] = Math.max(0, remaining[running] - (Date.now() - room.turnStartedAt));
+    return { X: remaining.X, O: remaining.O, running };
+  }
+
+  // run the clock of the side to move; it stays stopped while they are disconnected
+  function startTurnClock(roomId) {
     const room = rooms[roomId];
-    if (!room) {
-      safeEmit('errorMsg', { error: 'Room not found' });
+    if (!room.clock) return;
+    clearClockTimer(roomId);
+    const mover = Object.values(room.players).find(p => p.symbol === room.turn);
+    if (mover && !mover.connected) {
+      room.turnStartedAt = null;
       return;
     }
+    room.turnStartedAt = Date.now();
+    clockTimers[roomId] = setTimeout(() => {
+      delete clockTimers[roomId];
+      const current = rooms[roomId];
+      if (!current || current.status !== 'playing') return;
+      current.clock[current.turn] = 0;
+      finishGame(roomId, { result: 'timeout', winner: Engine.nextTurn(current.turn), loser: current.turn });
+      console.log(`Game over in room ${roomId}: ${current.turn} ran out of time`);
+    }, room.clock[room.turn]);
+  }
 
-    if (!room.players[socket.id]) {
-      safeEmit('errorMsg', { error: 'You are not in this room' });
-      return;
-    }
+  // stop the mover's clock where it is, without the move's increment (they have dropped)
+  function pauseTurnClock(roomId) {
+    const room = rooms[roomId];
+    if (!room.clock || !room.turnStartedAt) return;
+    clearClockTimer(roomId);
+    room.clock[room.turn] = clockSnapshot(room)[room.turn];
+    room.turnStartedAt = null;
+  }
 
-    if (ready) {
-      room.ready.add(socket.id);
-    } else {
-      room.ready.delete(socket.id);
-    }
+  // charge the mover for the time they used; false if they were already out of time
+  function stopTurnClock(roomId) {
+    const room = rooms[roomId];
+    if (!room.clock) return true;
+    clearClockTimer(roomId);
+    const left = room.clock[room.turn] - (Date.now() - room.turnStartedAt);
+    if (left <= 0) return false;
+    const tc = room.timeControl;
+    room.clock[room.turn] = tc.type === 'move' ? tc.moveMs : left + tc.incrementMs;
+    return true;
+  }
+
+  function clearBotTimer(roomId) {
+    clearTimeout(botTimers[roomId]);
+    delete botTimers[roomId];
+  }
+
+  function getRoomPublic(roomId) {
+    const r = rooms[roomId];
+    if (!r) return null;
+
+    const players = Object.values(r.players).map(p => ({
+      name: p.name,
+      symbol: p.symbol,
+      socketId: p.socketId,
+      connected: p.connected,
+      isBot: Boolean(p.isBot),
+      isReady: r.ready.has(p.socketId)
+    }));
+
+    return {
+      roomId,
+      players,
+      variant: r.variant,
+      boardCount: r.boardCount,
+      size: r.size,
+      winLength: r.winLength,
+      ...boardPublic(r),
+      moves: r.moves.slice(),
+      status: r.status,
+      isPrivate: r.isPrivate,
+      hasPassword: Boolean(r.password),
+      timeControl: r.timeControl,
+      clock: clockSnapshot(r),
+      series: { ...r.series, score: { ...r.series.score } },
+      readyCount: r.ready.size,
+      playerCount: players.length,
+      spectatorCount: Object.keys(r.spectators).length,
+      canStart: r.status === 'waitingReady' && r.ready.size === 2,
+      isGameActive: r.status === 'playing',
+      isGameFinished: r.status === 'finished'
+    };
+  }
+
+  // what the lobby shows for a room
+  function lobbyEntry(roomId) {
+    const r = rooms[roomId];
+    const players = Object.values(r.players).map(p => ({ name: p.name, symbol: p.symbol, isBot: Boolean(p.isBot), connected: p.connected }));
+    return {
+      roomId,
+      mode: r.mode,
+      variant: r.variant,
+      boardCount: r.boardCount,
+      size: r.size,
+      winLength: r.winLength,
+      status: r.status,
+      players,
+      spectatorCount: Object.keys(r.spectators).length,
+      timeControl: r.timeControl,
+      bestOf: r.series.bestOf,
+      hasPassword: Boolean(r.password),
+      canJoin: players.length < 2,
+      canWatch: true,
+      createdAt: r.createdAt
+    };
+  }
+
+  // waiting rooms first, newest first within each status
+  function sortLobby(entries) {
+    const order = { waiting: 0, waitingReady: 1, playing: 2, finished: 3 };
+    return entries
+      .sort((a, b) => order[a.status] - order[b.status] || b.createdAt - a.createdAt)
+      .slice(0, LOBBY_LIMIT);
+  }
+
+  // this instance's share of the lobby
+  function lobbyRooms() {
+    return sortLobby(Object.keys(rooms)
+      .filter(rid => !rooms[rid].isPrivate && Object.keys(rooms[rid].players).length)
+      .map(lobbyEntry));
+  }
+
+  // every room change that players see in the room or the lobby comes through here
+  function notifyLobby() {
+    roomsChanged = true;
+    if (lobbyTimer) return;
+    lobbyTimer = setTimeout(() => {
+      lobbyTimer = null;
+      publishLobby().catch(e => console.error('Could not update the lobby:', e.message));
+    }, LOBBY_THROTTLE_MS);
+  }
+
+  // share this instance's rooms, then send every subscriber the lobby of all instances
+  async function publishLobby() {
+    await cluster.setLobby(lobbyRooms());
+    io.to(LOBBY_CHANNEL).emit('lobby', { rooms: sortLobby(await cluster.lobby()) });
+  }
 
-    // Update room status for all players
+  // everyone in the room gets the new state, and the lobby hears about it
+  function broadcastRoom(roomId) {
     io.to(roomId).emit('roomUpdate', getRoomPublic(roomId));
+    notifyLobby();
+  }
 
-    // Check if both players are ready
-    if (room.ready.size === 2) {
-      room.status = 'playing';
-      room.board = Array(9).fill(null);
-      room.turn = 'X';
-      room.rematchVotes = new Set();
-      io.to(roomId).emit('gameStart', getRoomPublic(roomId));
-    }
-  });
+  // an errorMsg or invalidMove payload for an error code; invalidMove calls the text its reason
+  function rejection(event, code, params) {
+    const { error, ...payload } = ErrorCodes.payload(code, params);
+    return event === 'invalidMove' ? { ...payload, reason: error } : { ...payload, error };
+  }
 
-  socket.on('playMove', ({ roomId, index }) => {
+  // validate and apply a move { index, mark? } for a seated player (human or bot); problems go back through reject(event, payload)
+  function playMove(roomId, playerId, { index, mark }, reject) {
     const room = rooms[roomId];
     if (!room) {
-      safeEmit('errorMsg', { error: 'Room not found' });
+      reject('errorMsg', rejection('errorMsg', 'ROOM_NOT_FOUND'));
+      return;
+    }
+
+    if (room.spectators[playerId]) {
+      reject('errorMsg', rejection('errorMsg', 'SPECTATOR', { action: 'play' }));
       return;
     }
 
     if (room.status !== 'playing') {
-      safeEmit('invalidMove', { reason: 'Game is not in progress' });
+      reject('invalidMove', rejection('invalidMove', 'GAME_NOT_IN_PROGRESS'));
       return;
     }
 
-    const player = room.players[socket.id];
+    const player = room.players[playerId];
     if (!player) {
-      safeEmit('errorMsg', { error: 'You are not in this room' });
+      reject('errorMsg', rejection('errorMsg', 'NOT_IN_ROOM'));
       return;
     }
 
     // validate turn
     if (player.symbol !== room.turn) {
-      safeEmit('invalidMove', { reason: 'Not your turn' });
+      reject('invalidMove', rejection('invalidMove', 'NOT_YOUR_TURN'));
       return;
     }
 
-    // validate index
-    if (index < 0 || index > 8 || room.board[index]) {
-      safeEmit('invalidMove', { reason: 'Invalid cell' });
+    // validate index (and the mark, in variants that let you choose it) and make the move
+    const choosesMark = Engine.marks(gameState(room)).length > 1;
+    const { code, params, state, result } = Engine.applyMove(gameState(room), index, mark);
+    if (code) {
+      reject('invalidMove', rejection('invalidMove', code, params));
       return;
     }
-
-    // Make the move
-    room.board[index] = player.symbol;
+    if (!stopTurnClock(roomId)) {
+      reject('invalidMove', rejection('invalidMove', 'OUT_OF_TIME'));
+      return;
+    }
+    setGameState(room, state);
+    if (room.takeback) {
+      room.takeback = null;
+      io.to(roomId).emit('takebackCancelled', {});
+    }
+    if (room.drawOffer && room.drawOffer !== player.symbol) {
+      room.drawOffer = null;
+      io.to(roomId).emit('drawOfferCancelled', {});
+    }
+    room.moves.push(choosesMark ? { index, symbol: player.symbol, mark, at: Date.now() } : { index, symbol: player.symbol, at: Date.now() });
+    roomsChanged = true;
+    movesPlayed.inc();
+    moveRate.mark();
     console.log(`Player ${player.symbol} played at position ${index} in room ${roomId}`);
 
-    // check win/draw
-    const win = checkWin(room.board);
-    if (win) {
-      room.status = 'finished';
-      io.to(roomId).emit('gameOver', {
-        result: 'win',
-        winner: win.player,
-        combo: win.combo,
-        room: getRoomPublic(roomId)
-      });
-      console.log(`Game over in room ${roomId}: ${win.player} wins`);
+    if (result && result.result === 'win') {
+      finishGame(roomId, { result: 'win', winner: result.winner, combo: result.combo });
+      console.log(`Game over in room ${roomId}: ${result.winner} wins`);
       return;
-    } else if (room.board.every(Boolean)) {
-      room.status = 'finished';
-      io.to(roomId).emit('gameOver', {
-        result: 'draw',
-        room: getRoomPublic(roomId)
-      });
+    } else if (result && result.result === 'draw') {
+      finishGame(roomId, { result: 'draw' });
       console.log(`Game over in room ${roomId}: Draw`);
       return;
     } else {
-      // next turn
-      room.turn = (room.turn === 'X') ? 'O' : 'X';
+      startTurnClock(roomId);
       io.to(roomId).emit('boardUpdate', {
-        board: room.board.slice(),
-        turn: room.turn
+        ...boardPublic(room),
+        move: room.moves[room.moves.length - 1],
+        clock: clockSnapshot(room)
       });
       console.log(`Turn changed to ${room.turn} in room ${roomId}`);
+      scheduleBotMove(roomId);
     }
-  });
+  }
 
-  socket.on('rematch', ({ roomId }) => {
+  // both seats filled: wait for everyone to press Ready (bots are ready straight away)
+  function startMatch(roomId) {
     const room = rooms[roomId];
-    if (!room) {
-      safeEmit('errorMsg', { error: 'Room not found' });
-      return;
+    clearBotTimer(roomId);
+    room.status = 'waitingReady';
+    resetBoard(room);
+    room.ready.clear(); // Reset ready states
+    for (const p of Object.values(room.players)) {
+      if (p.isBot) room.ready.add(p.socketId);
     }
+    io.to(roomId).emit('matchReady', getRoomPublic(roomId));
+    notifyLobby();
+  }
 
-    if (!room.players[socket.id]) {
-      safeEmit('errorMsg', { error: 'You are not in this room' });
-      return;
-    }
+  function startGame(roomId) {
+    const room = rooms[roomId];
+    if (room.series.winner) room.series = createSeries(room.series.bestOf);
+    room.status = 'playing';
+    resetBoard(room, room.series.games % 2 === 0 ? 'X' : 'O'); // take turns going first
 
-    if (room.status !== 'finished') {
-      safeEmit('errorMsg', { error: 'Game is not finished yet' });
-      return;
+    room.rematchVotes = new Set();
+    room.takeback = null;
+    room.drawOffer = null;
+    room.moves = [];
+    room.startedAt = Date.now();
+    const tc = room.timeControl;
+    if (tc) {
+      const start = tc.type === 'move' ? tc.moveMs : tc.baseMs;
+      room.clock = { X: start, O: start };
+      startTurnClock(roomId);
     }
+    io.to(roomId).emit('gameStart', getRoomPublic(roomId));
+    gamesStarted.inc();
+    notifyLobby();
+    scheduleBotMove(roomId);
+  }
 
-    room.rematchVotes.add(socket.id);
+  // outcome is the gameOver payload without the room: { result, winner?, combo?, reason? }
+  function finishGame(roomId, outcome) {
+    const room = rooms[roomId];
+    gamesFinished.inc({ result: outcome.result });
+    if (room.clock && room.status === 'playing') room.clock[room.turn] = clockSnapshot(room)[room.turn];
+    clearClockTimer(roomId);
+    room.status = 'finished';
+    room.takeback = null;
+    room.drawOffer = null;
+    recordSeriesGame(room.series, outcome.winner);
+    if (room.series.winner) console.log(`Series over in room ${roomId}: ${room.series.winner} wins best of ${room.series.bestOf}`);
+    history.recordGame({
+      roomId,
+      mode: room.mode,
+      variant: room.variant,
+      boardCount: room.boardCount,
+      size: room.size,
+      winLength: room.winLength,
+      players: Object.values(room.players).map(p => ({ name: p.name, symbol: p.symbol, isBot: Boolean(p.isBot) })),
+      moves: room.moves,
+      result: outcome.result,
+      winner: outcome.winner || null,
+      reason: outcome.reason || null,
+      startedAt: room.startedAt,
+      endedAt: Date.now()
+    });
+    io.to(roomId).emit('gameOver', { ...outcome, room: getRoomPublic(roomId) });
+    notifyLobby();
+    if (room.league) leagueGameOver(roomId, outcome);
+  }
+
+  function voteRematch(roomId, playerId) {
+    const room = rooms[roomId];
+    room.rematchVotes.add(playerId);
+    roomsChanged = true;
+    // bots always take the rematch
+    for (const p of Object.values(room.players)) {
+      if (p.isBot) room.rematchVotes.add(p.socketId);
+    }
     io.to(roomId).emit('rematchUpdate', { votes: room.rematchVotes.size });
 
     if (room.rematchVotes.size === 2) {
-      // Reset game for rematch
-      room.board = Array(9).fill(null);
-      room.turn = 'X';
-      room.status = 'playing';
       room.ready = new Set(Object.keys(room.players));
-      room.rematchVotes = new Set();
-      io.to(roomId).emit('gameStart', getRoomPublic(roomId));
+      startGame(roomId);
       console.log(`Rematch started in room ${roomId}`);
     }
-  });
+  }
 
-  socket.on('leaveRoom', ({ roomId }) => {
-    leaveRoom(roomId, socket);
-  });
+  // moves a takeback by `symbol` removes: their last move, plus the opponent's reply if there is one
+  function takebackCount(room, symbol) {
+    const moves = room.moves;
+    if (!moves.length) return 0;
+    if (moves[moves.length - 1].symbol === symbol) return 1;
+    return moves.length >= 2 ? 2 : 0;
+  }
 
-  socket.on('disconnect', () => {
-    console.log('disconnect', socket.id);
-    // remove from any room
-    for (const rid of Object.keys(rooms)) {
-      if (rooms[rid].players[socket.id]) {
-        // notify other player
-        const other = Object.keys(rooms[rid].players).find(id => id !== socket.id);
-        leaveRoom(rid, socket, true);
-        if (other) {
-          io.to(other).emit('opponentLeft', { message: 'Opponent disconnected' });
-        }
-      }
-    }
-  });
+  function requestTakeback(roomId, playerId) {
+    const room = rooms[roomId];
+    const player = room.players[playerId];
+    const count = takebackCount(room, player.symbol);
+    room.takeback = { symbol: player.symbol, count };
+    roomsChanged = true;
+    io.to(roomId).emit('takebackRequested', { name: player.name, symbol: player.symbol, count });
+    console.log(`Player ${player.symbol} asked to take back ${count} move(s) in room ${roomId}`);
 
-  function leaveRoom(roomId, socket, silent = false) {
+    // the built-in bot always agrees; a registered bot got takebackRequested and answers itself
+    const opponent = Object.values(room.players).find(p => p.symbol !== player.symbol);
+    if (opponent && opponent.isBot && !opponent.remote) answerTakeback(roomId, true);
+  }
+
+  function answerTakeback(roomId, accept) {
     const room = rooms[roomId];
-    if (!room) return;
+    const { symbol, count } = room.takeback;
+    room.takeback = null;
+    roomsChanged = true;
+    if (!accept) {
+      io.to(roomId).emit('takebackDeclined', { symbol });
+      console.log(`Takeback declined in room ${roomId}`);
+      return;
+    }
 
-    const player = room.players[socket.id];
-    if (player) {
-      console.log(`Player ${player.name} (${player.symbol}) left room ${roomId}`);
+    // settle the clock of the side to move before the turn changes hands
+    const tc = room.timeControl;
+    if (tc) {
+      clearClockTimer(roomId);
+      if (tc.type === 'move') room.clock = { X: tc.moveMs, O: tc.moveMs };
+      else room.clock[room.turn] = clockSnapshot(room)[room.turn];
     }
 
-    delete room.players[socket.id];
-    room.ready.delete(socket.id);
-    room.rematchVotes.delete(socket.id);
-    socket.leave(roomId);
+    // replay what is left, so ultimate's small boards and forced board come back too
+    const removed = room.moves.splice(-count);
+    let state = { ...Engine.createState(room), turn: (room.moves[0] || removed[0]).symbol };
+    for (const m of room.moves) state = Engine.applyMove(state, m.index, m.mark).state;
+    setGameState(room, state);
+    startTurnClock(roomId);
 
-    if (Object.keys(room.players).length === 0) {
-      // Room is empty, delete it
-      delete rooms[roomId];
-      console.log(`Room ${roomId} deleted (empty)`);
-    } else {
-      // Reset room state for remaining player
-      room.status = 'waiting';
-      room.board = Array(9).fill(null);
-      room.turn = 'X';
-      room.ready.clear();
-      room.rematchVotes.clear();
+    io.to(roomId).emit('takeback', {
+      ...boardPublic(room),
+      moves: room.moves.slice(),
+      count,
+      clock: clockSnapshot(room)
+    });
+    console.log(`Took back ${count} move(s) in room ${roomId}, ${room.turn} to move`);
+    scheduleBotMove(roomId);
+  }
 
-      if (!silent) {
-        io.to(roomId).emit('roomUpdate', getRoomPublic(roomId));
-        io.to(roomId).emit('opponentLeft', { message: 'Opponent left the room' });
-      }
-      console.log(`Room ${roomId} reset for remaining player`);
-    }
+  function resign(roomId, playerId) {
+    const room = rooms[roomId];
+    const player = room.players[playerId];
+    const winner = Engine.nextTurn(player.symbol);
+    finishGame(roomId, { result: 'win', reason: 'resign', winner, combo: [] });
+    console.log(`Game over in room ${roomId}: ${player.symbol} resigned`);
   }
 
-  function getRoomPublic(roomId) {
-    const r = rooms[roomId];
-    if (!r) return null;
+  function offerDraw(roomId, playerId) {
+    const room = rooms[roomId];
+    const player = room.players[playerId];
+    room.drawOffer = player.symbol;
+    roomsChanged = true;
+    io.to(roomId).emit('drawOffered', { name: player.name, symbol: player.symbol });
+    console.log(`Player ${player.symbol} offered a draw in room ${roomId}`);
 
-    const players = Object.values(r.players).map(p => ({
-      name: p.name,
-      symbol: p.symbol,
-      socketId: p.socketId,
-      isReady: r.ready.has(p.socketId)
-    }));
+    // the built-in bot plays on; a registered bot got drawOffered and answers itself
+    const opponent = Object.values(room.players).find(p => p.symbol !== player.symbol);
+    if (opponent && opponent.isBot && !opponent.remote) answerDraw(roomId, false);
+  }
 
-    return {
-      roomId,
-      players,
-      board: r.board.slice(),
-      turn: r.turn,
-      status: r.status,
-      readyCount: r.ready.size,
-      playerCount: players.length,
-      canStart: r.status === 'waitingReady' && r.ready.size === 2,
-      isGameActive: r.status === 'playing',
-      isGameFinished: r.status === 'finished'
-    };
+  function answerDraw(roomId, accept) {
+    const room = rooms[roomId];
+    const symbol = room.drawOffer;
+    room.drawOffer = null;
+    roomsChanged = true;
+    if (!accept) {
+      io.to(roomId).emit('drawDeclined', { symbol });
+      console.log(`Draw offer declined in room ${roomId}`);
+      return;
+    }
+    finishGame(roomId, { result: 'draw', reason: 'agreement' });
+    console.log(`Game over in room ${roomId}: draw agreed`);
+  }
+
+  function playerRoomOf(socketId) {
+    return Object.keys(rooms).find(rid => rooms[rid].players[socketId]) || null;
+  }
+
+  function startMatchTimer() {
+    if (!matchTimer) matchTimer = setInterval(runMatchmaking, MATCH_TICK_MS);
   }
 
-  function checkWin(b) {
-    const combos = [
-      [0, 1, 2], [3, 4, 5], [6, 7, 8],
-      [0, 3, 6], [1, 4, 7], [2, 5, 8],
-      [0, 4, 8], [2, 4, 6]
-    ];
-    for (const combo of combos) {
-      const [a, b1, c] = combo;
-      if (b[a] && b[a] === b[b1] && b[a] === b[c]) return { player: b[a], combo };
+  // seat matched pairs, give bots to anyone who waited too long, and tell the rest where they stand
+  function runMatchmaking() {
+    const now = Date.now();
+    for (const [a, b] of matchQueue.takePairs(now)) {
+      const roomId = createRoomId();
+      joinRoom(roomId, socketFor(a.id), a.name, Engine.normalizeOptions(a));
+      rooms[roomId].quickplay = true;
+      joinRoom(roomId, socketFor(b.id), b.name);
+      console.log(`Matched ${a.name} (${a.rating}) with ${b.name} (${b.rating}) in room ${roomId}`);
     }
-    return null;
+
+    for (const entry of matchQueue.takeExpired(now)) {
+      const roomId = createRoomId();
+      joinRoom(roomId, socketFor(entry.id), entry.name, Engine.normalizeOptions(entry));
+      rooms[roomId].quickplay = true;
+      seatBot(roomId);
+    }
+
+    for (const id of matchQueue.ids()) io.to(id).emit('queueStatus', matchQueue.status(id, now));
+    if (!matchQueue.size()) {
+      clearInterval(matchTimer);
+      matchTimer = null;
+    }
+  }
+
+  function scheduleBot(roomId) {
+    clearBotTimer(roomId);
+    botTimers[roomId] = setTimeout(() => {
+      delete botTimers[roomId];
+      seatBot(roomId);
+    }, BOT_WAIT_MS);
   }
-});
 
-server.listen(PORT, () => {
-  console.log(`Server listening on ${PORT}`);
-});
+  function seatBot(roomId) {
+    const room = rooms[roomId];
+    if (!room || room.status !== 'waiting') return;
+    const waiting = Object.values(room.players);
+    if (waiting.length !== 1 || !waiting[0].connected) return;
+
+    const botId = `bot-${createRoomId()}`;
+    const symbol = waiting[0].symbol === 'X' ? 'O' : 'X';
+    room.players[botId] = { name: 'Bot', symbol, socketId: botId, connected: true, isBot: true };
+    broadcastRoom(roomId);
+    console.log(`Bot (${BOT_DIFFICULTY}) seated as ${symbol} in room ${roomId}`);
+    startMatch(roomId);
+  }
+
+  function scheduleBotMove(roomId) {
+    const room = rooms[roomId];
+    const bot = room && Object.values(room.players).find(p => p.isBot && p.symbol === room.turn);
+    if (!bot || room.status !== 'playing') return;
+    if (bot.remote) {
+      promptBot(roomId, bot);
+      return;
+    }
+
+    setTimeout(() => {
+      const current = rooms[roomId];
+      if (!current || current.status !== 'playing' || current.turn !== bot.symbol) return;
+      const move = AI.chooseMove(gameState(current), { difficulty: BOT_DIFFICULTY });
+      playMove(roomId, bot.socketId, move, (ev, payload) => {
+        console.log(`Bot move rejected in room ${roomId}:`, payload);
+      });
+    }, BOT_MOVE_DELAY_MS);
+  }
+
+  // tell a registered bot it is to move, with everything it needs to pick a move
+  function promptBot(roomId, bot) {
+    const room = rooms[roomId];
+    const state = gameState(room);
+    bot.prompted = true;
+    io.to(bot.socketId).emit('yourTurn', {
+      roomId,
+      symbol: bot.symbol,
+      state: { ...state, board: state.board.slice(), ...(state.boards && { boards: state.boards.slice() }) },
+      legalMoves: Engine.legalMoves(state),
+      marks: Engine.marks(state),
+      moves: room.moves.slice(),
+      timeBudgetMs: room.clock ? clockSnapshot(room)[bot.symbol] : null
+    });
+  }
+
+  // whether a registered bot's move answers the yourTurn it was sent; a prompt covers one move
+  function takePrompt(roomId, socketId) {
+    const player = rooms[roomId] && rooms[roomId].players[socketId];
+    if (!player || !player.prompted) return false;
+    player.prompted = false;
+    return true;
+  }
+
+  function connectedBots() {
+    return [...io.sockets.sockets.values()].filter(s => s.data.bot);
+  }
+
+  function startLeagueTimer() {
+    if (!leagueTimer) leagueTimer = setInterval(runLeague, BOT_LEAGUE_MS);
+  }
+
+  // pair the connected bots that are not seated or queued anywhere into league matches
+  function runLeague() {
+    const online = connectedBots();
+    if (!online.length) {
+      clearInterval(leagueTimer);
+      leagueTimer = null;
+      return;
+    }
+    const idle = new Map(online.filter(s => !playerRoomOf(s.id) && !matchQueue.has(s.id)).map(s => [s.data.bot.name, s]));
+    for (const [a, b] of bots.pairings([...idle.keys()])) startLeagueMatch(idle.get(a), idle.get(b));
+  }
+
+  function startLeagueMatch(a, b) {
+    const roomId = createRoomId();
+    joinRoom(roomId, a, a.data.bot.name, { ...LEAGUE_OPTIONS, timeControl: { type: 'move', moveMs: BOT_MOVE_MS } });
+    rooms[roomId].league = { games: [], startedAt: Date.now() };
+    joinRoom(roomId, b, b.data.bot.name);
+    console.log(`League match ${a.data.bot.name} vs ${b.data.bot.name} in room ${roomId}`);
+    startGame(roomId); // bots are ready as soon as they are seated
+  }
+
+  // a league game is over: start the next one, or record the match
+  function leagueGameOver(roomId, outcome) {
+    const room = rooms[roomId];
+    const nameOf = symbol => Object.values(room.players).find(p => p.symbol === symbol).name;
+    room.league.games.push({
+      X: nameOf('X'),
+      O: nameOf('O'),
+      firstTurn: room.moves.length ? room.moves[0].symbol : room.turn,
+      result: outcome.result,
+      winner: outcome.winner ? nameOf(outcome.winner) : null,
+      reason: outcome.reason || null,
+      moves: room.moves.length
+    });
+    if (room.league.games.length >= LEAGUE_GAMES) {
+      endLeagueMatch(roomId);
+      return;
+    }
+    setTimeout(() => {
+      const current = rooms[roomId];
+      if (current && current.league && current.status === 'finished') startGame(roomId);
+    }, LEAGUE_GAP_MS);
+  }
+
+  // record whatever games were finished and send both bots back to the pool
+  function endLeagueMatch(roomId) {
+    const room = rooms[roomId];
+    const { games, startedAt } = room.league;
+    room.league = null;
+    if (games.length) {
+      const match = bots.recordMatch({ roomId, options: LEAGUE_OPTIONS, games, startedAt, endedAt: Date.now() });
+      io.to(roomId).emit('leagueResult', match);
+      console.log(`League match over in room ${roomId}: ${match.bots.map(name => `${name} ${match.points[name]}`).join(', ')}`);
+    }
+    for (const id of Object.keys(room.players)) leaveRoom(roomId, id, true);
+  }
+
+  // keep a dropped player's seat for the grace window, forfeit if they never come back
+  function holdSeat(roomId, player) {
+    player.connected = false;
+    const { token } = player;
+    if (rooms[roomId].status === 'playing' && rooms[roomId].turn === player.symbol) pauseTurnClock(roomId);
+
+    io.to(roomId).emit('opponentDisconnected', {
+      name: player.name,
+      symbol: player.symbol,
+      graceMs: RECONNECT_GRACE_MS
+    });
+    broadcastRoom(roomId);
+    console.log(`Holding seat ${player.symbol} in room ${roomId} for ${RECONNECT_GRACE_MS}ms`);
+
+    reconnectTimers[token] = setTimeout(() => {
+      delete reconnectTimers[token];
+      const session = sessions[token];
+      const room = rooms[roomId];
+      if (!session || !room || !room.players[session.socketId]) return;
+
+      const other = Object.values(room.players).find(p => p.token !== token);
+      if (other && room.status === 'playing') {
+        finishGame(roomId, { result: 'win', reason: 'forfeit', winner: other.symbol, combo: [] });
+        console.log(`Game over in room ${roomId}: ${player.symbol} forfeited`);
+      }
+
+      leaveRoom(roomId, session.socketId, true);
+      if (other) {
+        io.to(other.socketId).emit('opponentLeft', { message: 'Opponent did not reconnect' });
+      }
+    }, RECONNECT_GRACE_MS);
+  }
+
+  function leaveRoom(roomId, socketId, silent = false) {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    if (room.spectators[socketId]) {
+      delete room.spectators[socketId];
+      io.in(socketId).socketsLeave(roomId);
+      broadcastRoom(roomId);
+      return;
+    }
+
+    const player = room.players[socketId];
+    if (player) {
+      console.log(`Player ${player.name} (${player.symbol}) left room ${roomId}`);
+      clearReconnectTimer(player.token);
+      delete sessions[player.token];
+      cluster.dropSession(player.token);
+      cluster.dropSeat(socketId);
+    }
+
+    delete room.players[socketId];
+    room.ready.delete(socketId);
+    room.rematchVotes.delete(socketId);
+    io.in(socketId).socketsLeave(roomId);
+
+    // the built-in bot never keeps a room open on its own
+    if (Object.values(room.players).every(p => p.isBot && !p.remote)) room.players = {};
+
+    if (room.league && Object.keys(room.players).length) {
+      // a league match is over once either bot leaves
+      endLeagueMatch(roomId);
+    } else if (Object.keys(room.players).length === 0) {
+      // No players left, close it (and send any spectators home)
+      closeRoom(roomId, 'empty', 'All players left the room');
+      console.log(`Room ${roomId} deleted (empty)`);
+    } else {
+      // Reset room state for remaining player
+      clearClockTimer(roomId);
+      room.clock = null;
+      room.status = 'waiting';
+      resetBoard(room);
+      room.ready.clear();
+      room.rematchVotes.clear();
+      room.takeback = null;
+      room.drawOffer = null;
+      room.series = createSeries(room.series.bestOf);
+
+      if (!silent) {
+        broadcastRoom(roomId);
+        io.to(roomId).emit('opponentLeft', { message: 'Opponent left the room' });
+      }
+      if (room.quickplay) scheduleBot(roomId);
+      notifyLobby();
+      console.log(`Room ${roomId} reset for remaining player`);
+    }
+  }
+
+  // shut a room with everyone still in it, telling them why; players' sessions end with it
+  function closeRoom(roomId, reason, message) {
+    for (const player of Object.values(rooms[roomId].players)) {
+      clearReconnectTimer(player.token);
+      delete sessions[player.token];
+      cluster.dropSession(player.token);
+      cluster.dropSeat(player.socketId);
+    }
+    io.to(roomId).emit('roomClosed', { roomId, reason, message });
+    io.in(roomId).socketsLeave(roomId);
+    clearBotTimer(roomId);
+    clearClockTimer(roomId);
+    delete rooms[roomId];
+    cluster.releaseRoom(roomId);
+    notifyLobby();
+  }
+
+  // close rooms nobody has used for ROOM_IDLE_MS, and rooms nobody has joined within WAITING_ROOM_TTL_MS
+  function sweepRooms(now = Date.now()) {
+    for (const [roomId, room] of Object.entries(rooms)) {
+      const idleMs = now - room.lastActiveAt;
+      if (idleMs >= ROOM_IDLE_MS) {
+        closeRoom(roomId, 'idle', `Room closed after ${Math.round(ROOM_IDLE_MS / 60000)} minutes without activity`);
+        limitStats.roomsSwept.idle += 1;
+        console.log(`Room ${roomId} closed (idle)`);
+      } else if (room.status === 'waiting' && Object.keys(room.players).length < 2 && idleMs >= WAITING_ROOM_TTL_MS) {
+        closeRoom(roomId, 'waiting', `Room closed: no opponent joined within ${Math.round(WAITING_ROOM_TTL_MS / 60000)} minutes`);
+        limitStats.roomsSwept.waiting += 1;
+        console.log(`Room ${roomId} closed (no opponent)`);
+      }
+    }
+    socketLimits.prune(now);
+    ipLimits.prune(now);
+  }
+
+  // what the admin API lists for a room
+  function adminRoomSummary(roomId) {
+    const r = rooms[roomId];
+    return {
+      roomId,
+      status: r.status,
+      mode: r.mode,
+      variant: r.variant,
+      size: r.size,
+      winLength: r.winLength,
+      boardCount: r.boardCount,
+      isPrivate: r.isPrivate,
+      quickplay: Boolean(r.quickplay),
+      league: Boolean(r.league),
+      players: Object.values(r.players).map(p => ({ name: p.name, symbol: p.symbol, socketId: p.socketId, connected: p.connected, isBot: Boolean(p.isBot) })),
+      spectators: Object.values(r.spectators).map(s => ({ name: s.name, socketId: s.socketId })),
+      ownerIp: r.ownerIp,
+      createdAt: r.createdAt,
+      lastActiveAt: r.lastActiveAt
+    };
+  }
+
+  // take a socket out of every room it is in (a player's seat is given up, not held) and disconnect it
+  function kickSocket(socket) {
+    matchQueue.remove(socket.id);
+    for (const rid of Object.keys(rooms)) {
+      const room = rooms[rid];
+      if (room && (room.players[socket.id] || room.spectators[socket.id])) leaveRoom(rid, socket.id);
+    }
+    socket.emit('kicked', { message: 'You were disconnected by an administrator' });
+    socket.disconnect(true);
+    console.log(`socket ${socket.id} kicked by an administrator`);
+  }
+
+  // the error code when a new room from `ip` would go over a cap, or null
+  function roomCapError(ip) {
+    const open = Object.values(rooms);
+    if (open.length >= MAX_ROOMS) return ['SERVER_FULL'];
+    if (ip && open.filter(r => r.ownerIp === ip).length >= MAX_ROOMS_PER_IP) return ['TOO_MANY_ROOMS', { max: MAX_ROOMS_PER_IP }];
+    return null;
+  }
+
+  // the client's address; behind a proxy (TRUST_PROXY=1) the first X-Forwarded-For entry
+  function clientIp(socket) {
+    const forwarded = TRUST_PROXY && socket.handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+  }
+
+  // the open rooms as the room store keeps them; clocks are stopped as of now
+  function snapshotRooms() {
+    const kept = {};
+    for (const [roomId, room] of Object.entries(rooms)) {
+      if (room.league) continue; // the bots get a new league match once they are back
+      const clock = clockSnapshot(room);
+      kept[roomId] = { ...room, clock: clock && { X: clock.X, O: clock.O }, turnStartedAt: null };
+    }
+    return toSnapshot(kept, sessions);
+  }
+
+  // carry on with the rooms saved before a restart: every seat is held as if its player had just dropped
+  function restoreRooms(snapshot) {
+    if (!snapshot) return;
+    const restored = fromSnapshot(snapshot);
+    Object.assign(rooms, restored.rooms);
+    Object.assign(sessions, restored.sessions);
+    for (const [token, session] of Object.entries(restored.sessions)) cluster.setSession(token, session.roomId);
+    for (const [roomId, room] of Object.entries(restored.rooms)) {
+      cluster.claimRoom(roomId);
+      room.lastActiveAt = Date.now();
+      for (const player of Object.values(room.players)) {
+        if (!player.isBot || player.remote) holdSeat(roomId, player);
+      }
+      if (room.status === 'playing') {
+        startTurnClock(roomId);
+        scheduleBotMove(roomId);
+      }
+    }
+    console.log(`Restored ${Object.keys(restored.rooms).length} rooms saved ${Math.round((Date.now() - restored.savedAt) / 1000)}s before startup`);
+  }
+
+  // the snapshot timer's save, skipped while nothing has changed
+  function saveRooms() {
+    if (!roomsChanged) return;
+    roomsChanged = false;
+    roomStore.save(snapshotRooms());
+  }
+
+  function stopTimers() {
+    clearTimeout(lobbyTimer);
+    for (const timer of [matchTimer, leagueTimer, sweepTimer, snapshotTimer]) clearInterval(timer);
+    for (const timers of [clockTimers, botTimers, reconnectTimers]) Object.values(timers).forEach(clearTimeout);
+  }
+
+  // stop taking events and timers, save the rooms, warn everyone, then close the connections and exit
+  function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, saving ${Object.keys(rooms).length} rooms and shutting down`);
+    stopTimers();
+    try {
+      roomStore.saveNow(snapshotRooms());
+    } catch (e) {
+      console.error('Could not save rooms:', e.message);
+    }
+    history.flush();
+    bots.flush();
+
+    io.emit('serverRestarting', { message: 'The server is restarting. You will be back in your game once it is up.' });
+    setTimeout(() => io.close(() => cluster.stop().finally(() => process.exit(0))), SHUTDOWN_NOTICE_MS);
+    setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT_MS).unref();
+  }
+
+  // stop without saving or exiting (tests, or a program running several instances)
+  async function close() {
+    shuttingDown = true;
+    stopTimers();
+    await new Promise(resolve => io.close(() => resolve()));
+    await cluster.stop();
+  }
+
+  // seat a socket in a room as a player, creating the room with `options` if it does not exist yet
+  function joinRoom(roomId, socket, name, options = Engine.normalizeOptions()) {
+    matchQueue.remove(socket.id); // taking a seat anywhere ends a quickplay search
+    if (!rooms[roomId]) {
+      rooms[roomId] = {
+        players: {},
+        mode: options.mode || 'classic', // classic | ultimate
+        variant: options.variant || Engine.STANDARD, // rule variant on classic boards (engine.js)
+        boardCount: options.boardCount || null, // notakto only
+        size: options.size,
+        winLength: options.winLength,
+        isPrivate: Boolean(options.isPrivate), // hidden from the lobby and quickplay
+        password: options.password || null, // { salt, hash } from hashPassword
+        ownerIp: options.ownerIp || null, // the address createRoom came from, for MAX_ROOMS_PER_IP
+        createdAt: Date.now(),
+        lastActiveAt: Date.now(), // the last time a player sent anything to the room, for the sweeper
+        ...Engine.createState(options), // board and turn, plus boards and activeBoard in ultimate
+        timeControl: options.timeControl || null,
+        clock: null, // { X: ms, O: ms } left, charged when a move is made
+        turnStartedAt: null,
+        moves: [], // { index, symbol, at } for the current game
+        startedAt: null,
+        ready: new Set(),
+        status: 'waiting', // waiting | waitingReady | playing | finished
+        rematchVotes: new Set(),
+        series: createSeries(options.bestOf), // running score, and the best-of-N series if there is one
+        takeback: null, // { symbol, count } while a takeback request waits for an answer
+        drawOffer: null, // symbol of the player offering a draw
+        spectators: {},
+        chat: [] // recent { name, symbol, text | emote, at }
+      };
+      cluster.claimRoom(roomId);
+    }
+    const room = rooms[roomId];
+
+    // Check if room is full
+    if (Object.keys(room.players).length >= 2) {
+      socket.emit('errorMsg', ErrorCodes.payload('ROOM_FULL'));
+      return;
+    }
+
+    // assign symbol
+    const used = Object.values(room.players).map(p => p.symbol);
+    const symbol = used.includes('X') ? 'O' : 'X';
+
+    // Add player to room (a registered bot always plays under its own name); a spectator taking the
+    // free seat stops watching
+    delete room.spectators[socket.id];
+    const token = createSessionToken();
+    const bot = socket.data.bot;
+    room.players[socket.id] = {
+      name: bot ? bot.name : name || (symbol === 'X' ? 'Player X' : 'Player O'),
+      symbol,
+      socketId: socket.id,
+      token,
+      connected: true,
+      ...(bot && { isBot: true, remote: true })
+    };
+    sessions[token] = { roomId, socketId: socket.id };
+    cluster.setSession(token, roomId);
+    cluster.setSeat(socket.id, roomId);
+
+    // Reset ready state for this player
+    room.ready.delete(socket.id);
+
+    socket.join(roomId);
+    socket.emit('session', { token, roomId, symbol });
+    socket.emit('chatHistory', { messages: room.chat });
+
+    // notify participants
+    broadcastRoom(roomId);
+    console.log(`socket ${socket.id} joined ${roomId} as ${symbol}`);
+
+    // start match if two players
+    if (Object.keys(room.players).length === 2) startMatch(roomId);
+  }
+
+  // a stand-in for a socket connected to another instance: what it is sent, and the rooms it joins
+  // and leaves, go through the adapter
+  function remoteSocket(id) {
+    return {
+      id,
+      data: {},
+      emit: (event, payload) => io.to(id).emit(event, payload),
+      join: roomId => io.in(id).socketsJoin(roomId),
+      leave: roomId => io.in(id).socketsLeave(roomId),
+      to: roomId => io.to(roomId).except(id)
+    };
+  }
+
+  // the client behind an event sent on from another instance, with the bot it has announced itself as
+  function remoteClient({ id, ip, bot }) {
+    if (!remoteClients.has(id)) {
+      const socket = remoteSocket(id);
+      remoteClients.set(id, { socket, handlers: bindHandlers(socket, ip), routed: Promise.resolve() });
+    }
+    const client = remoteClients.get(id);
+    client.socket.data.bot = bot || undefined;
+    return client;
+  }
+
+  // the socket with this id, whichever instance it is connected to
+  function socketFor(id) {
+    return io.sockets.sockets.get(id) || (remoteClients.get(id) || {}).socket;
+  }
+
+  // which instance runs an event: the owner of its room or session, or the matchmaker for the
+  // quickplay queue. { id, live }, or null for this one
+  async function ownerFor(event, payload) {
+    if (event === 'quickplay' || event === 'cancelQueue') return { id: await cluster.leader('matchmaker'), live: true };
+    if (event === 'resumeSession') return cluster.ownerOfSession(payload.token);
+    if (payload.roomId && !rooms[payload.roomId]) return cluster.ownerOfRoom(payload.roomId);
+    return null;
+  }
+
+  // run an event for a client, connected here or to the instance that sent the event on; resolves
+  // once the handler is done (the password ones wait for scrypt)
+  async function handle({ socket, handlers }, event, payload) {
+    if (shuttingDown) {
+      socket.emit('errorMsg', ErrorCodes.payload('SERVER_RESTARTING'));
+      return;
+    }
+    // a player sending anything to their room keeps it from being swept
+    const room = rooms[payload.roomId];
+    if (room && room.players[socket.id]) room.lastActiveAt = Date.now();
+    const started = process.hrtime.bigint();
+    await handlers[event](payload);
+    handlerSeconds.observe({ event }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+
+  // a socket has disconnected, here or on another instance: hold its seats here, and take it out of
+  // the queue and the rooms it watches
+  function socketGone(id) {
+    matchQueue.remove(id);
+    remoteClients.delete(id);
+    for (const rid of Object.keys(rooms)) {
+      const player = rooms[rid].players[id];
+      if (player) holdSeat(rid, player);
+      else if (rooms[rid].spectators[id]) leaveRoom(rid, id);
+    }
+  }
+
+  cluster.onMessage(message => {
+    if (shuttingDown) return;
+    if (message.type === 'event') {
+      // one after another per client, as for the clients connected here
+      const client = remoteClient(message.socket);
+      client.routed = client.routed
+        .then(() => handle(client, message.event, message.payload))
+        .catch(e => {
+          console.error(`Could not handle ${message.event} from ${client.socket.id}:`, e);
+          client.socket.emit('errorMsg', ErrorCodes.payload('SERVER_ERROR'));
+        });
+    } else if (message.type === 'gone') socketGone(message.socketId);
+  });
+
+  // every client event goes through here, so no handler sees a payload that does not match its schema
+  // or one sent faster than the rate limits allow; then it runs here or on the instance that owns it
+  io.on('connection', socket => {
+    const ip = clientIp(socket);
+    console.log(`sock connected ${socket.id} from ${ip}`);
+    const client = { socket, handlers: bindHandlers(socket, ip) };
+    let routed = Promise.resolve(); // events are routed one after another, so they run in the order they were sent
+
+    function sendError(code, params) {
+      socket.emit('errorMsg', ErrorCodes.payload(code, params));
+    }
+
+    for (const event of Object.keys(client.handlers)) {
+      socket.on(event, (payload) => {
+        if (shuttingDown) {
+          sendError('SERVER_RESTARTING');
+          return;
+        }
+        if (!(socket.data.bot && event === 'playMove')) { // a bot's moves are limited in the handler, which knows its room
+          const waitMs = socketLimits.hit(socket.id, event) || ipLimits.hit(ip, event);
+          if (waitMs) {
+            sendError('RATE_LIMITED', { event, seconds: Math.ceil(waitMs / 1000) });
+            return;
+          }
+        }
+        const problem = validate(event, payload);
+        if (problem) {
+          console.log(`Bad ${event} from ${socket.id}: ${problem.detail}`);
+          sendError('BAD_REQUEST', problem);
+          return;
+        }
+        routed = routed
+          .then(async () => {
+            // the matchmaker only sees the rooms on its own instance, so a player seated on any
+            // instance is turned away before the event goes to it
+            if (event === 'quickplay' && await cluster.seatOf(socket.id)) {
+              sendError('ALREADY_IN_ROOM');
+              return;
+            }
+            const owner = await ownerFor(event, payload || {});
+            if (!owner || owner.id === cluster.id) await handle(client, event, payload || {});
+            else if (!owner.live) sendError('SERVER_RESTARTING');
+            else cluster.send(owner.id, { type: 'event', event, payload: payload || {}, socket: { id: socket.id, ip, bot: socket.data.bot } });
+          })
+          .catch(e => {
+            console.error(`Could not handle ${event} from ${socket.id}:`, e);
+            sendError('SERVER_ERROR');
+          });
+      });
+    }
+
+    socket.on('disconnect', () => {
+      console.log('disconnect', socket.id);
+      socketLimits.forget(socket.id);
+      cluster.broadcast({ type: 'gone', socketId: socket.id }); // for the instances that have its rooms or its queue entry
+      if (shuttingDown) return; // the seats were saved as they were; they are held after the restart
+      socketGone(socket.id);
+    });
+  });
+
+  // the event handlers for one client; `socket` is a real socket, or a remoteSocket for a client
+  // connected to another instance
+  function bindHandlers(socket, ip) {
+    const handlers = {};
+
+    function safeEmit(ev, payload) {
+      try { socket.emit(ev, payload); } catch (e) { }
+    }
+
+    function sendError(code, params) {
+      safeEmit('errorMsg', ErrorCodes.payload(code, params));
+    }
+
+    function on(event, handler) {
+      if (!(event in SCHEMAS)) throw new Error(`No schema declared for ${event}`);
+      handlers[event] = handler;
+    }
+
+    on("pingServer", () => {
+      // Optional: log or just ignore
+      console.log(`Ping received from ${socket.id}`);
+    });
+
+    // a program announcing itself as a registered bot; from now on it takes seats as that bot
+    on('botHello', ({ token }) => {
+      const bot = bots.authenticate(token);
+      if (!bot) {
+        sendError('BOT_AUTH_FAILED');
+        return;
+      }
+      if (connectedBots().some(s => s.id !== socket.id && s.data.bot.name === bot.name)) {
+        sendError('BOT_ALREADY_CONNECTED', { name: bot.name });
+        return;
+      }
+      socket.data.bot = { name: bot.name };
+      safeEmit('botWelcome', { name: bot.name, moveMs: BOT_MOVE_MS, league: { ...LEAGUE_OPTIONS, games: LEAGUE_GAMES } });
+      console.log(`Bot ${bot.name} connected as ${socket.id}`);
+      startLeagueTimer();
+    });
+
+    on('subscribeLobby', () => {
+      socket.join(LOBBY_CHANNEL);
+      cluster.lobby().then(
+        entries => safeEmit('lobby', { rooms: sortLobby(entries) }),
+        e => console.error('Could not read the lobby:', e.message)
+      );
+    });
+
+    on('unsubscribeLobby', () => socket.leave(LOBBY_CHANNEL));
+
+    // join the matchmaking queue; rating defaults to the player's rating in the match history
+    on('quickplay', ({ name, mode, variant, size, winLength, boardCount, rating }) => {
+      if (playerRoomOf(socket.id)) {
+        sendError('ALREADY_IN_ROOM');
+        return;
+      }
+      if (Object.keys(rooms).length >= MAX_ROOMS) {
+        limitStats.roomsRefused += 1;
+        sendError('SERVER_FULL');
+        return;
+      }
+      if (matchQueue.has(socket.id)) {
+        safeEmit('queueStatus', matchQueue.status(socket.id));
+        return;
+      }
+
+      const options = { mode: 'classic', variant: Engine.STANDARD, boardCount: null, ...Engine.normalizeOptions({ mode, variant, size, winLength, boardCount }) };
+      const playerName = name || 'Player';
+      matchQueue.add({
+        id: socket.id,
+        name: playerName,
+        ...options,
+        rating: typeof rating === 'number' && Number.isFinite(rating) ? rating : history.rating(playerName)
+      });
+      safeEmit('queueJoined', matchQueue.status(socket.id));
+      console.log(`${playerName} joined the quickplay queue (${matchQueue.size()} waiting)`);
+      runMatchmaking();
+      startMatchTimer();
+    });
+
+    on('cancelQueue', () => {
+      if (matchQueue.remove(socket.id)) safeEmit('queueLeft', { reason: 'cancelled' });
+    });
+
+    on('createRoom', async ({ name, mode, variant, size, winLength, boardCount, timeControl, bestOf, isPrivate, password }) => {
+      const capped = roomCapError(ip);
+      if (capped) {
+        limitStats.roomsRefused += 1;
+        console.log(`Room refused for ${ip}: ${capped[0]}`);
+        sendError(...capped);
+        return;
+      }
+      const hashed = await hashPassword(password);
+      if (socket.disconnected) return; // gone while the password was hashed
+      const rid = createRoomId();
+      joinRoom(rid, socket, name, {
+        ...Engine.normalizeOptions({ mode, variant, size, winLength, boardCount }),
+        timeControl: timeControlOptions(timeControl),
+        bestOf: seriesLength(bestOf),
+        isPrivate: Boolean(isPrivate),
+        password: hashed,
+        ownerIp: ip
+      });
+      safeEmit('roomCreated', { roomId: rid });
+    });
+
+    on('joinRoom', async ({ roomId, name, spectate, password }) => {
+      if (!rooms[roomId]) {
+        sendError('ROOM_NOT_FOUND');
+        return;
+      }
+      if (rooms[roomId].players[socket.id]) {
+        sendError('ALREADY_PLAYING'); // a second seat would orphan the first one's session
+        return;
+      }
+      const stored = rooms[roomId].password;
+      if (stored && !password) {
+        safeEmit('errorMsg', { ...ErrorCodes.payload('PASSWORD_REQUIRED'), roomId });
+        return;
+      }
+      if (stored && !(await checkPassword(stored, password))) {
+        safeEmit('errorMsg', { ...ErrorCodes.payload('WRONG_PASSWORD'), roomId });
+        console.log(`Wrong password for room ${roomId} from ${socket.id}`);
+        return;
+      }
+      if (!rooms[roomId]) {
+        sendError('ROOM_NOT_FOUND'); // closed while the password was checked
+        return;
+      }
+      if (spectate || Object.keys(rooms[roomId].players).length >= 2) {
+        spectateRoom(roomId, socket, name);
+        return;
+      }
+      joinRoom(roomId, socket, name);
+    });
+
+    function spectateRoom(roomId, socket, name) {
+      const room = rooms[roomId];
+      if (room.players[socket.id]) {
+        sendError('ALREADY_PLAYING');
+        return;
+      }
+
+      room.spectators[socket.id] = { name: name || 'Spectator', socketId: socket.id };
+      socket.join(roomId);
+      safeEmit('spectating', getRoomPublic(roomId));
+      safeEmit('chatHistory', { messages: room.chat });
+      broadcastRoom(roomId);
+      console.log(`socket ${socket.id} is spectating ${roomId}`);
+    }
+
+
+    on('setReady', ({ roomId, ready }) => {
+      const room = rooms[roomId];
+      if (!room) {
+        sendError('ROOM_NOT_FOUND');
+        return;
+      }
+
+      if (room.spectators[socket.id]) {
+        sendError('SPECTATOR', { action: 'ready up' });
+        return;
+      }
+
+      if (!room.players[socket.id]) {
+        sendError('NOT_IN_ROOM');
+        return;
+      }
+
+      // ready starts a match once both seats are filled; a game under way or over (rematch is for that) is not restarted
+      if (room.status !== 'waitingReady') {
+        sendError('NOT_WAITING_FOR_READY');
+        return;
+      }
+
+      if (ready) {
+        room.ready.add(socket.id);
+      } else {
+        room.ready.delete(socket.id);
+      }
+
+      // Update room status for all players
+      broadcastRoom(roomId);
+
+      // Check if both players are ready
+      if (room.ready.size === 2) startGame(roomId);
+    });
+
+    on('playMove', ({ roomId, index, mark }) => {
+      if (socket.data.bot && !takePrompt(roomId, socket.id)) {
+        const waitMs = socketLimits.hit(socket.id, 'playMove') || ipLimits.hit(ip, 'playMove');
+        if (waitMs) {
+          sendError('RATE_LIMITED', { event: 'playMove', seconds: Math.ceil(waitMs / 1000) });
+          return;
+        }
+      }
+      playMove(roomId, socket.id, { index, mark }, safeEmit);
+    });
+
+    on('rematch', ({ roomId }) => {
+      const room = rooms[roomId];
+      if (!room) {
+        sendError('ROOM_NOT_FOUND');
+        return;
+      }
+
+      if (room.spectators[socket.id]) {
+        sendError('SPECTATOR', { action: 'vote for a rematch' });
+        return;
+      }
+
+      if (!room.players[socket.id]) {
+        sendError('NOT_IN_ROOM');
+        return;
+      }
+
+      if (room.status !== 'finished') {
+        sendError('GAME_NOT_FINISHED');
+        return;
+      }
+
+      voteRematch(roomId, socket.id);
+    });
+
+    // checks shared by the in-game actions (takeback, resign, draw offer); returns the room when the sender may act in it
+    function activePlayerRoom(roomId, action) {
+      const room = rooms[roomId];
+      if (!room) {
+        sendError('ROOM_NOT_FOUND');
+        return null;
+      }
+
+      if (room.spectators[socket.id]) {
+        sendError('SPECTATOR', { action });
+        return null;
+      }
+
+      if (!room.players[socket.id]) {
+        sendError('NOT_IN_ROOM');
+        return null;
+      }
+
+      if (room.status !== 'playing') {
+        sendError('GAME_NOT_IN_PROGRESS');
+        return null;
+      }
+      return room;
+    }
+
+    on('requestTakeback', ({ roomId }) => {
+      const room = activePlayerRoom(roomId, 'request a takeback');
+      if (!room) return;
+      const player = room.players[socket.id];
+
+      if (room.takeback) {
+        sendError('TAKEBACK_PENDING');
+        return;
+      }
+
+      if (!takebackCount(room, player.symbol)) {
+        sendError('NOTHING_TO_TAKE_BACK');
+        return;
+      }
+
+      requestTakeback(roomId, socket.id);
+    });
+
+    on('answerTakeback', ({ roomId, accept }) => {
+      const room = rooms[roomId];
+      if (!room) {
+        sendError('ROOM_NOT_FOUND');
+        return;
+      }
+
+      const player = room.players[socket.id];
+      if (!player) {
+        sendError('NOT_IN_ROOM');
+        return;
+      }
+
+      if (!room.takeback || room.takeback.symbol === player.symbol) {
+        sendError('NO_TAKEBACK');
+        return;
+      }
+
+      answerTakeback(roomId, Boolean(accept));
+    });
+
+    on('resign', ({ roomId }) => {
+      if (!activePlayerRoom(roomId, 'resign')) return;
+      resign(roomId, socket.id);
+    });
+
+    on('offerDraw', ({ roomId }) => {
+      const room = activePlayerRoom(roomId, 'offer a draw');
+      if (!room) return;
+
+      if (room.drawOffer) {
+        sendError('DRAW_OFFER_PENDING');
+        return;
+      }
+
+      offerDraw(roomId, socket.id);
+    });
+
+    on('answerDraw', ({ roomId, accept }) => {
+      const room = rooms[roomId];
+      if (!room) {
+        sendError('ROOM_NOT_FOUND');
+        return;
+      }
+
+      const player = room.players[socket.id];
+      if (!player) {
+        sendError('NOT_IN_ROOM');
+        return;
+      }
+
+      if (!room.drawOffer || room.drawOffer === player.symbol) {
+        sendError('NO_DRAW_OFFER');
+        return;
+      }
+
+      answerDraw(roomId, Boolean(accept));
+    });
+
+    on('leaveRoom', ({ roomId }) => {
+      leaveRoom(roomId, socket.id);
+    });
+
+    // chat: either free text or one of EMOTES, throttled per socket
+    const chatTimes = [];
+    on('sendChat', ({ roomId, text, emote }) => {
+      const room = rooms[roomId];
+      if (!room) {
+        sendError('ROOM_NOT_FOUND');
+        return;
+      }
+
+      const sender = room.players[socket.id] || room.spectators[socket.id];
+      if (!sender) {
+        sendError('NOT_IN_ROOM');
+        return;
+      }
+
+      const now = Date.now();
+      while (chatTimes.length && now - chatTimes[0] > CHAT_RATE.windowMs) chatTimes.shift();
+      if (chatTimes.length >= CHAT_RATE.count) {
+        sendError('CHAT_RATE_LIMITED');
+        return;
+      }
+
+      const message = { name: sender.name, symbol: sender.symbol || null, at: now };
+      if (emote !== undefined) {
+        if (!EMOTES.includes(emote)) {
+          sendError('UNKNOWN_EMOTE');
+          return;
+        }
+        message.emote = emote;
+      } else {
+        // strip control characters; rendering is the client's job (it never uses innerHTML)
+        const clean = (text || '').replace(/[\u0000-\u001f\u007f]/g, '').trim();
+        if (!clean) return;
+        if (clean.length > CHAT_MAX_LENGTH) {
+          sendError('MESSAGE_TOO_LONG', { max: CHAT_MAX_LENGTH });
+          return;
+        }
+        message.text = clean;
+      }
+
+      chatTimes.push(now);
+      room.chat.push(message);
+      roomsChanged = true;
+      if (room.chat.length > CHAT_HISTORY) room.chat.shift();
+      io.to(roomId).emit('chat', message);
+    });
+
+    on('resumeSession', ({ token }) => {
+      const session = sessions[token];
+      const room = session && rooms[session.roomId];
+      const player = room && room.players[session.socketId];
+      if (!player) {
+        delete sessions[token];
+        cluster.dropSession(token);
+        safeEmit('sessionExpired', ErrorCodes.payload('SESSION_EXPIRED'));
+        return;
+      }
+
+      clearReconnectTimer(token);
+      const { roomId } = session;
+      const oldId = session.socketId;
+
+      // A reload can beat the old socket's disconnect, so make sure it stops receiving room events
+      if (oldId !== socket.id) io.in(oldId).socketsLeave(roomId);
+
+      // Move the seat (and any ready/rematch votes) over to the new socket id
+      delete room.players[oldId];
+      player.socketId = socket.id;
+      player.connected = true;
+      room.players[socket.id] = player;
+      if (room.ready.delete(oldId)) room.ready.add(socket.id);
+      if (room.rematchVotes.delete(oldId)) room.rematchVotes.add(socket.id);
+      session.socketId = socket.id;
+      cluster.dropSeat(oldId);
+      cluster.setSeat(socket.id, roomId);
+
+      if (room.status === 'playing' && !room.turnStartedAt) startTurnClock(roomId); // stopped while they were away
+
+      socket.join(roomId);
+      safeEmit('sessionResumed', { token, symbol: player.symbol, room: getRoomPublic(roomId) });
+      safeEmit('chatHistory', { messages: room.chat });
+      socket.to(roomId).emit('opponentReconnected', { name: player.name, symbol: player.symbol });
+      broadcastRoom(roomId);
+      if (player.remote && room.status === 'playing' && room.turn === player.symbol) promptBot(roomId, player);
+      console.log(`socket ${socket.id} resumed ${player.symbol} in room ${roomId}`);
+    });
+
+    return handlers;
+  }
+
+  restoreRooms(roomStore.load());
+
+  // join the cluster, then take connections; resolves with the port
+  async function listen(port) {
+    await cluster.start();
+    await new Promise((resolve, reject) => server.once('error', reject).listen(port, resolve));
+    console.log(`Server listening on ${server.address().port} as instance ${cluster.id}`);
+    sweepTimer = setInterval(sweepRooms, ROOM_SWEEP_MS);
+    snapshotTimer = setInterval(saveRooms, ROOM_SNAPSHOT_MS);
+    return server.address().port;
+  }
+
+  return { app, server, io, instanceId: cluster.id, listen, shutdown, close };
+}
+
+module.exports = { createGameServer };
+
+if (require.main === module) {
+  const game = createGameServer();
+  game.listen(PORT);
+  process.on('SIGTERM', () => game.shutdown('SIGTERM'));
+  process.on('SIGINT', () => game.shutdown('SIGINT'));
+}
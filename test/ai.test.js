@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine');
+const AI = require('../ai');
+
+function stateFrom(cells, options = { size: 3, winLength: 3 }) {
+  const state = Engine.createState(options);
+  const board = cells.map(c => (c === '.' ? null : c));
+  const marks = board.filter(Boolean).length;
+  return { ...state, board, turn: marks % 2 === 0 ? 'X' : 'O' };
+}
+
+// play a whole game, returning the engine's final result
+function playOut(options, difficultyX, difficultyO) {
+  let state = Engine.createState(options);
+  for (;;) {
+    const difficulty = state.turn === 'X' ? difficultyX : difficultyO;
+    const move = Engine.applyMove(state, AI.bestMove(state, { difficulty }));
+    assert.ifError(move.error);
+    state = move.state;
+    if (move.result) return move.result;
+  }
+}
+
+test('perfect takes an immediate win', () => {
+  // X X . / O O . / . . .  with X to move
+  const state = stateFrom(['X', 'X', '.', 'O', 'O', '.', '.', '.', '.']);
+  assert.strictEqual(AI.bestMove(state), 2);
+});
+
+test('perfect blocks an immediate loss', () => {
+  // X X . / . O . / . . .  with O to move
+  const state = stateFrom(['X', 'X', '.', '.', 'O', '.', '.', '.', '.']);
+  assert.strictEqual(AI.bestMove(state), 2);
+});
+
+test('perfect against perfect is always a draw', () => {
+  assert.deepStrictEqual(playOut({ size: 3, winLength: 3 }, 'perfect', 'perfect'), { result: 'draw' });
+});
+
+test('perfect never loses to random play from either side', () => {
+  for (let i = 0; i < 10; i++) {
+    assert.notStrictEqual(playOut({ size: 3, winLength: 3 }, 'perfect', 'easy').winner, 'O');
+    assert.notStrictEqual(playOut({ size: 3, winLength: 3 }, 'easy', 'perfect').winner, 'X');
+  }
+});
+
+test('every difficulty returns a legal move', () => {
+  const state = stateFrom(['X', '.', '.', '.', 'O', '.', '.', '.', '.']);
+  for (const difficulty of AI.DIFFICULTIES) {
+    for (let i = 0; i < 20; i++) {
+      assert.strictEqual(Engine.validateMove(state, AI.bestMove(state, { difficulty })), null, difficulty);
+    }
+  }
+});
+
+test('blocks an open line on a 15x15 gomoku board', () => {
+  const state = Engine.createState({ size: 15, winLength: 5 });
+  const board = state.board.slice();
+  for (const i of [111, 112, 113, 114]) board[i] = 'X';
+  for (const i of [110, 101, 102]) board[i] = 'O';
+  assert.strictEqual(AI.bestMove({ ...state, board, turn: 'O' }), 115);
+});
+
+test('ultimate: takes the winning small board and only plays legal moves', () => {
+  const state = Engine.createState({ mode: 'ultimate' });
+  const board = state.board.slice();
+  board[18] = 'X';
+  board[19] = 'X';
+  const position = { ...state, board, boards: ['X', 'X', null, 'O', 'O', null, null, null, null], activeBoard: 2 };
+  assert.strictEqual(AI.bestMove(position), 20);
+  for (const difficulty of AI.DIFFICULTIES) {
+    const index = AI.bestMove(position, { difficulty });
+    assert.strictEqual(Engine.validateMove(position, index), null, difficulty);
+  }
+});
+
+test('ultimate: a whole game between AIs ends with a result', () => {
+  const result = playOut({ mode: 'ultimate' }, 'medium', 'easy');
+  assert.ok(['win', 'draw'].includes(result.result));
+});
+
+// like playOut, for variants where the AI also picks the mark
+function playVariant(options, difficultyX, difficultyO) {
+  let state = Engine.createState(options);
+  for (;;) {
+    const { index, mark } = AI.chooseMove(state, { difficulty: state.turn === 'X' ? difficultyX : difficultyO });
+    const move = Engine.applyMove(state, index, mark);
+    assert.ifError(move.error);
+    state = move.state;
+    if (move.result) return move.result;
+  }
+}
+
+test('misère: perfect avoids completing a line, and perfect against perfect is a draw', () => {
+  const state = { ...stateFrom(['X', 'X', '.', 'O', 'O', '.', '.', '.', '.']), variant: 'misere' };
+  assert.notStrictEqual(AI.bestMove(state), 2);
+  assert.deepStrictEqual(playVariant({ variant: 'misere' }, 'perfect', 'perfect'), { result: 'draw' });
+});
+
+test('wild and notakto: perfect wins from the first move against random play', () => {
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual(playVariant({ variant: 'wild' }, 'perfect', 'easy').winner, 'X');
+    assert.strictEqual(playVariant({ variant: 'notakto', boardCount: 1 }, 'perfect', 'easy').winner, 'X');
+  }
+});
+
+test('order-chaos: Order completes an open four and Chaos blocks it with the other mark', () => {
+  const state = Engine.createState({ variant: 'order-chaos' });
+  const board = state.board.slice();
+  for (const i of [0, 1, 2, 3]) board[i] = 'O';
+  board[14] = 'X';
+  board[21] = 'X';
+  assert.deepStrictEqual(AI.chooseMove({ ...state, board, turn: 'X' }), { index: 4, mark: 'O' });
+  assert.deepStrictEqual(AI.chooseMove({ ...state, board, turn: 'O' }), { index: 4, mark: 'X' });
+});
+
+test('every variant and difficulty plays legal moves to the end', () => {
+  for (const options of [{ variant: 'misere', size: 5, winLength: 4 }, { variant: 'wild' }, { variant: 'notakto' }, { variant: 'order-chaos' }]) {
+    for (const difficulty of AI.DIFFICULTIES) {
+      assert.ok(playVariant(options, difficulty, 'easy').result, `${options.variant} ${difficulty}`);
+    }
+  }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBotRegistry } = require('../lib/bots');
+
+function tempRegistry() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticky-bots-'));
+  return createBotRegistry(path.join(dir, 'bots.json'));
+}
+
+function game(X, O, winner) {
+  return { X, O, result: winner ? 'win' : 'draw', winner, reason: null, moves: 9 };
+}
+
+test('a registered bot authenticates with its token, which is not stored', () => {
+  const registry = tempRegistry();
+  const { name, token } = registry.register(' Deep Blue ');
+  assert.strictEqual(name, 'Deep Blue');
+  assert.strictEqual(registry.authenticate(token).name, 'Deep Blue');
+  assert.strictEqual(registry.authenticate('nope'), null);
+  assert.strictEqual(registry.authenticate(undefined), null);
+  assert.ok(!JSON.stringify(registry.standings()).includes(token));
+  assert.throws(() => registry.register('deep blue'), /already registered/);
+  assert.throws(() => registry.register('<script>'), /Bot names/);
+});
+
+test('league games score a point for a win and half for a draw', () => {
+  const registry = tempRegistry();
+  registry.register('Alpha');
+  registry.register('Beta');
+  const match = registry.recordMatch({ roomId: 'r1', games: [game('Alpha', 'Beta', 'Alpha'), game('Beta', 'Alpha', null)] });
+  assert.deepStrictEqual(match.bots, ['Alpha', 'Beta']);
+  assert.deepStrictEqual(match.points, { Alpha: 1.5, Beta: 0.5 });
+  const [first, second] = registry.standings();
+  assert.deepStrictEqual([first.name, first.points, first.wins, first.draws], ['Alpha', 1.5, 1, 1]);
+  assert.deepStrictEqual([second.name, second.points, second.losses], ['Beta', 0.5, 1]);
+  assert.strictEqual(registry.matches()[0].id, 1);
+});
+
+test('pairings pair every idle bot, least-met pairs first', () => {
+  const registry = tempRegistry();
+  assert.deepStrictEqual(registry.pairings(['A', 'B', 'C']), [['A', 'B']]);
+  registry.recordMatch({ games: [game('A', 'B', 'A')] });
+  assert.deepStrictEqual(registry.pairings(['A', 'B', 'C']), [['A', 'C']]);
+  assert.deepStrictEqual(registry.pairings(['A', 'B', 'C', 'D']), [['A', 'C'], ['B', 'D']]);
+  assert.deepStrictEqual(registry.pairings(['A']), []);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine');
+const GameRecord = require('../record');
+const cli = require('../cli');
+
+test('board options come from the command line in the shape the server takes', () => {
+  assert.deepStrictEqual(cli.boardOptions({ board: '15', rules: 'standard' }), { mode: 'classic', variant: 'standard', boardCount: null, size: 15, winLength: 5 });
+  assert.deepStrictEqual(cli.boardOptions({ board: 'ultimate', rules: 'standard' }), { mode: 'ultimate', size: 9, winLength: 3 });
+  assert.deepStrictEqual(cli.boardOptions({ board: '3', rules: 'notakto', boards: '2' }), { mode: 'classic', variant: 'notakto', boardCount: 2, size: 3, winLength: 3 });
+  assert.throws(() => cli.boardOptions({ board: '3', win: '4', rules: 'standard' }), /Unsupported board size/);
+  assert.throws(() => cli.boardOptions({ board: '3', rules: 'gomoku' }), /Unknown rules/);
+  assert.deepStrictEqual(cli.timeControl({ clock: '3+2' }), { type: 'clock', baseMs: 180000, incrementMs: 2000 });
+  assert.strictEqual(cli.roomFrom('http://localhost:10000/game?room=ab12cd'), 'ab12cd');
+});
+
+test('moves are typed as numpad digits or notation coordinates', () => {
+  const classic = { size: 3, winLength: 3 };
+  assert.deepStrictEqual(cli.parseInput('7', classic), { index: 0 });
+  assert.deepStrictEqual(cli.parseInput(' C3 ', classic), { index: 8, mark: undefined });
+  assert.deepStrictEqual(cli.parseInput('o5', { variant: 'wild', size: 3, winLength: 3 }), { index: 4, mark: 'O' });
+  assert.deepStrictEqual(cli.parseInput('2b2', { variant: 'notakto', size: 3, winLength: 3, boardCount: 2 }), { index: 13 });
+  assert.throws(() => cli.parseInput('b2', { variant: 'wild', size: 3, winLength: 3 }), /needs the mark placed/);
+  assert.throws(() => cli.parseInput('1', { size: 5, winLength: 4 }), /Bad move/);
+});
+
+test('the board is drawn with coordinates and small boards split apart', () => {
+  const state = Engine.applyMove(Engine.createState({ size: 3, winLength: 3 }), 4).state;
+  assert.strictEqual(cli.drawBoard(state), ['  a b c', '1 . . .', '2 . X .', '3 . . .'].join('\n'));
+
+  const ultimate = cli.drawBoard(Engine.applyMove(Engine.createState({ mode: 'ultimate' }), 40).state).split('\n');
+  assert.strictEqual(ultimate[0], '  a b c | d e f | g h i');
+  assert.strictEqual(ultimate[4], '  ------+-------+------');
+  assert.strictEqual(ultimate[6], '5 . . . | . X . | . . .');
+  assert.strictEqual(ultimate[ultimate.length - 1], 'Board to play: 5');
+});
+
+test('AI games play out offline and come back as legal records', () => {
+  const [game] = cli.playAiGames({ size: 3, winLength: 3 });
+  assert.deepStrictEqual(game.result, { result: 'draw', reason: null });
+  assert.deepStrictEqual(GameRecord.parse(GameRecord.toNotation(game)).moves.map(m => m.index), game.moves.map(m => m.index));
+
+  const wild = cli.playAiGames({ variant: 'wild', size: 3, winLength: 3 }, { o: 'easy', games: 2 });
+  assert.strictEqual(wild.length, 2);
+  for (const record of wild) assert.strictEqual(record.result.winner, 'X');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLocalBackend } = require('../lib/shared');
+const { createCluster } = require('../lib/cluster');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a room and its sessions are found at their owner until it is gone', async () => {
+  const backend = createLocalBackend();
+  const a = createCluster(backend, { id: 'a', heartbeatMs: 20, goneMs: 300 });
+  const b = createCluster(backend, { id: 'b', heartbeatMs: 20, goneMs: 300 });
+  await a.start();
+  await b.start();
+  await a.claimRoom('room1');
+  await a.setSession('token1', 'room1');
+  await b.setSeat('socket1', 'room1');
+  assert.deepStrictEqual(await b.ownerOfRoom('room1'), { id: 'a', live: true });
+  assert.deepStrictEqual(await b.ownerOfSession('token1'), { id: 'a', live: true });
+  assert.strictEqual(await a.seatOf('socket1'), 'room1');
+  assert.strictEqual(await b.ownerOfRoom('room2'), null);
+  assert.strictEqual(await b.ownerOfSession('token2'), null);
+  assert.strictEqual(await a.seatOf('socket2'), null);
+
+  await a.stop(); // no more heartbeats
+  await sleep(100);
+  assert.deepStrictEqual(await b.ownerOfRoom('room1'), { id: 'a', live: false });
+  await sleep(250);
+  assert.strictEqual(await b.seatOf('socket1'), null);
+  assert.strictEqual(await b.ownerOfSession('token1'), null);
+  assert.strictEqual(await backend.hget('tictacpro:rooms', 'room1'), null);
+  await b.stop();
+});
+
+test('one instance leads, and another takes over once it stops renewing', async () => {
+  const backend = createLocalBackend();
+  const a = createCluster(backend, { id: 'a', heartbeatMs: 50 });
+  const b = createCluster(backend, { id: 'b', heartbeatMs: 50 });
+  await a.start();
+  await b.start();
+  assert.strictEqual(await a.leader('matchmaker'), 'a');
+  await sleep(200); // a keeps the lock with its heartbeats
+  assert.strictEqual(await b.leader('matchmaker'), 'a');
+  await a.stop();
+  await sleep(200);
+  assert.strictEqual(await b.leader('matchmaker'), 'b');
+  await b.stop();
+});
+
+test('messages reach one instance or all the others, and the lobby gathers every instance', async () => {
+  const backend = createLocalBackend();
+  const a = createCluster(backend, { id: 'a' });
+  const b = createCluster(backend, { id: 'b' });
+  const c = createCluster(backend, { id: 'c' });
+  const got = { a: [], b: [], c: [] };
+  for (const [id, cluster] of Object.entries({ a, b, c })) {
+    cluster.onMessage(message => got[id].push(message));
+    await cluster.start();
+  }
+  await a.send('b', { type: 'hello' });
+  await a.broadcast({ type: 'everyone' });
+  await sleep(10);
+  assert.deepStrictEqual(got.a, []);
+  assert.deepStrictEqual(got.b, [{ type: 'hello', from: 'a' }, { type: 'everyone', from: 'a' }]);
+  assert.deepStrictEqual(got.c, [{ type: 'everyone', from: 'a' }]);
+
+  await a.setLobby([{ roomId: 'r1' }]);
+  await b.setLobby([{ roomId: 'r2' }, { roomId: 'r3' }]);
+  assert.deepStrictEqual((await c.lobby()).map(r => r.roomId).sort(), ['r1', 'r2', 'r3']);
+  await b.stop();
+  assert.deepStrictEqual((await c.lobby()).map(r => r.roomId), ['r1']);
+  await a.stop();
+  await c.stop();
+});
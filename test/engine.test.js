@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine');
+
+// play a list of cells (or [cell, mark] pairs) in order, failing loudly on any illegal move
+function play(state, moves) {
+  let result = null;
+  for (const [index, mark] of moves.map(m => [].concat(m))) {
+    const move = Engine.applyMove(state, index, mark);
+    assert.ifError(move.error);
+    state = move.state;
+    result = move.result;
+  }
+  return { state, result };
+}
+
+const LINES = [
+  [0, 1, 2], [3, 4, 5], [6, 7, 8],
+  [0, 3, 6], [1, 4, 7], [2, 5, 8],
+  [0, 4, 8], [2, 4, 6]
+];
+
+test('createState builds an empty board with X to move', () => {
+  const state = Engine.createState({ size: 3, winLength: 3 });
+  assert.deepStrictEqual(state, { size: 3, winLength: 3, board: Array(9).fill(null), turn: 'X' });
+});
+
+test('normalizeOptions clamps size and win length', () => {
+  assert.deepStrictEqual(Engine.normalizeOptions(), { size: 3, winLength: 3 });
+  assert.deepStrictEqual(Engine.normalizeOptions({ size: 99 }), { size: 15, winLength: 5 });
+  assert.deepStrictEqual(Engine.normalizeOptions({ size: 4, winLength: 9 }), { size: 4, winLength: 4 });
+  assert.deepStrictEqual(Engine.normalizeOptions({ size: 15, winLength: 1 }), { size: 15, winLength: 3 });
+});
+
+for (const line of LINES) {
+  test(`X wins on line ${line.join('-')}`, () => {
+    // O plays the first two free cells that are not on the line
+    const others = [0, 1, 2, 3, 4, 5, 6, 7, 8].filter(i => !line.includes(i)).slice(0, 2);
+    const { result } = play(Engine.createState(), [line[0], others[0], line[1], others[1], line[2]]);
+    assert.deepStrictEqual(result, { result: 'win', winner: 'X', combo: line });
+  });
+
+  test(`checkWin finds O on line ${line.join('-')}`, () => {
+    const board = Array(9).fill(null);
+    for (const i of line) board[i] = 'O';
+    assert.deepStrictEqual(Engine.checkWin(board, 3, 3), { player: 'O', combo: line });
+  });
+}
+
+test('a full board without a line is a draw', () => {
+  // X O X / X O O / O X X
+  const { state, result } = play(Engine.createState(), [0, 1, 2, 4, 3, 5, 7, 6, 8]);
+  assert.deepStrictEqual(result, { result: 'draw' });
+  assert.ok(Engine.isDraw(state.board, 3, 3));
+});
+
+test('winning on the last cell is a win, not a draw', () => {
+  // X O X / O X O / O X X  - last move completes the diagonal
+  const { state, result } = play(Engine.createState(), [0, 1, 2, 3, 4, 5, 7, 6, 8]);
+  assert.strictEqual(result.result, 'win');
+  assert.strictEqual(result.winner, 'X');
+  assert.ok(!Engine.isDraw(state.board, 3, 3));
+});
+
+test('turns alternate and stay put once the game ends', () => {
+  let { state } = play(Engine.createState(), [4]);
+  assert.strictEqual(state.turn, 'O');
+  ({ state } = play(state, [0]));
+  assert.strictEqual(state.turn, 'X');
+  ({ state } = play(Engine.createState(), [0, 3, 1, 4, 2]));
+  assert.strictEqual(state.turn, 'X');
+});
+
+test('applyMove does not mutate the state it was given', () => {
+  const state = Engine.createState();
+  Engine.applyMove(state, 4);
+  assert.deepStrictEqual(state.board, Array(9).fill(null));
+  assert.strictEqual(state.turn, 'X');
+});
+
+test('illegal moves are rejected with a reason', () => {
+  const { state } = play(Engine.createState(), [4]);
+  assert.deepStrictEqual(Engine.applyMove(state, 4), { error: 'Cell already taken', code: 'CELL_TAKEN' });
+  for (const index of [-1, 9, 4.5, '4', null, undefined, NaN]) {
+    assert.deepStrictEqual(Engine.applyMove(state, index), { error: 'Invalid cell', code: 'INVALID_CELL' }, `index ${index}`);
+  }
+});
+
+test('no moves are accepted after a win or a draw', () => {
+  const won = play(Engine.createState(), [0, 3, 1, 4, 2]).state;
+  assert.deepStrictEqual(Engine.applyMove(won, 8), { error: 'Game is over', code: 'GAME_OVER' });
+  const drawn = play(Engine.createState(), [0, 1, 2, 4, 3, 5, 7, 6, 8]).state;
+  assert.deepStrictEqual(Engine.applyMove(drawn, 0), { error: 'Game is over', code: 'GAME_OVER' });
+});
+
+test('K in a row on a bigger board', () => {
+  const state = Engine.createState({ size: 15, winLength: 5 });
+  // X runs down the anti-diagonal from (0,14), O plays along the bottom row
+  const x = [14, 28, 42, 56, 70];
+  const o = [210, 211, 212, 213];
+  const { result } = play(state, [x[0], o[0], x[1], o[1], x[2], o[2], x[3], o[3], x[4]]);
+  assert.deepStrictEqual(result, { result: 'win', winner: 'X', combo: x });
+});
+
+test('lines do not wrap around the board edge', () => {
+  const board = Array(16).fill(null);
+  // (0,2) (0,3) (1,0) look contiguous by index but are not a row
+  for (const i of [2, 3, 4]) board[i] = 'X';
+  assert.strictEqual(Engine.checkWin(board, 4, 3), null);
+});
+
+test('fewer than K in a row does not win', () => {
+  const board = Array(25).fill(null);
+  for (const i of [0, 1, 2]) board[i] = 'X';
+  assert.strictEqual(Engine.checkWin(board, 5, 4), null);
+  board[3] = 'X';
+  assert.deepStrictEqual(Engine.checkWin(board, 5, 4), { player: 'X', combo: [0, 1, 2, 3] });
+});
+
+test('ultimate: the cell played picks the board the opponent must use', () => {
+  let state = Engine.createState({ mode: 'ultimate' });
+  assert.strictEqual(state.board.length, 81);
+  assert.strictEqual(state.activeBoard, null);
+  ({ state } = play(state, [4 * 9 + 2])); // centre board, top-right cell
+  assert.strictEqual(state.activeBoard, 2);
+  assert.deepStrictEqual(Engine.applyMove(state, 0), { error: 'You must play in board 3', code: 'WRONG_BOARD', params: { board: 3 } });
+  ({ state } = play(state, [2 * 9 + 4]));
+  assert.strictEqual(state.activeBoard, 4);
+});
+
+test('ultimate: winning a small board claims it, and a decided board frees the next move', () => {
+  // X takes the top row of board 0; O is sent back there until X can finish it
+  const { state } = play(Engine.createState({ mode: 'ultimate' }), [1, 9, 0, 5, 45, 7, 65, 18, 2]);
+  assert.deepStrictEqual(state.boards, ['X', null, null, null, null, null, null, null, null]);
+  assert.strictEqual(state.activeBoard, 2);
+  assert.deepStrictEqual(Engine.applyMove({ ...state, activeBoard: null }, 3), { error: 'That board is already decided', code: 'BOARD_DECIDED' });
+
+  // O plays cell 0 of board 2, which would send X to board 0; it is decided, so X may go anywhere
+  const freed = Engine.applyMove({ ...state, board: state.board.map((c, i) => (i === 18 ? null : c)) }, 18);
+  assert.strictEqual(freed.state.activeBoard, null);
+});
+
+test('ultimate: three small boards in a row win the game', () => {
+  let state = Engine.createState({ mode: 'ultimate' });
+  state = { ...state, boards: ['X', 'X', null, 'O', 'O', 'D', null, null, null] };
+  // X completes the top row of board 2 and with it the top row of boards
+  const board = state.board.slice();
+  board[18] = 'X';
+  board[19] = 'X';
+  const { result } = Engine.applyMove({ ...state, board, activeBoard: 2 }, 20);
+  assert.deepStrictEqual(result, { result: 'win', winner: 'X', combo: [0, 1, 2] });
+});
+
+test('ultimate: nested indexes map to rows and columns of the 9x9 grid', () => {
+  assert.strictEqual(Engine.nestedIndex(0, 0), 0);
+  assert.strictEqual(Engine.nestedIndex(0, 3), 9);
+  assert.strictEqual(Engine.nestedIndex(4, 4), 40);
+  assert.strictEqual(Engine.nestedIndex(8, 8), 80);
+  for (let i = 0; i < 81; i++) assert.strictEqual(Engine.nestedIndex(...Engine.gridPosition(i)), i);
+});
+
+test('normalizeOptions fixes the board for notakto and order-chaos, and ignores unknown variants', () => {
+  assert.deepStrictEqual(Engine.normalizeOptions({ variant: 'misere', size: 4 }), { variant: 'misere', size: 4, winLength: 4 });
+  assert.deepStrictEqual(Engine.normalizeOptions({ variant: 'notakto', size: 9, boardCount: 9 }), { variant: 'notakto', size: 3, winLength: 3, boardCount: 4 });
+  assert.deepStrictEqual(Engine.normalizeOptions({ variant: 'order-chaos' }), { variant: 'order-chaos', size: 6, winLength: 5 });
+  assert.deepStrictEqual(Engine.normalizeOptions({ variant: 'standard' }), { size: 3, winLength: 3 });
+  assert.deepStrictEqual(Engine.normalizeOptions({ variant: 'bogus' }), { size: 3, winLength: 3 });
+  assert.deepStrictEqual(Engine.normalizeOptions({ mode: 'ultimate', variant: 'wild' }), { mode: 'ultimate', size: 9, winLength: 3 });
+});
+
+test('misère: completing a line loses', () => {
+  const { result } = play(Engine.createState({ variant: 'misere' }), [0, 3, 1, 4, 8, 5]);
+  assert.deepStrictEqual(result, { result: 'win', winner: 'X', combo: [3, 4, 5] });
+});
+
+test('wild: either mark may be placed, and whoever completes a line wins', () => {
+  const state = Engine.createState({ variant: 'wild' });
+  assert.deepStrictEqual(Engine.marks(state), ['X', 'O']);
+  assert.deepStrictEqual(Engine.applyMove(state, 0), { error: 'Choose X or O to place', code: 'MARK_REQUIRED' });
+  assert.deepStrictEqual(Engine.applyMove(state, 0, 'Z'), { error: 'You can only place X or O', code: 'MARK_NOT_ALLOWED', params: { marks: 'X or O' } });
+  // X places two Os, then O completes the line with a third
+  const { result } = play(state, [[0, 'O'], [4, 'X'], [1, 'O'], [2, 'O']]);
+  assert.deepStrictEqual(result, { result: 'win', winner: 'O', combo: [0, 1, 2] });
+});
+
+test('notakto: everyone plays X, dead boards are closed, and killing the last board loses', () => {
+  const state = Engine.createState({ variant: 'notakto', boardCount: 2 });
+  assert.strictEqual(state.board.length, 18);
+  assert.deepStrictEqual(Engine.applyMove(state, 0, 'O'), { error: 'You can only place X', code: 'MARK_NOT_ALLOWED', params: { marks: 'X' } });
+
+  const { state: afterFirst, result: none } = play(state, [0, 1, 2]); // X kills board 1
+  assert.strictEqual(none, null);
+  assert.strictEqual(afterFirst.board[2], 'X');
+  assert.deepStrictEqual(Engine.applyMove(afterFirst, 4), { error: 'That board is dead', code: 'BOARD_DEAD' });
+
+  const { result } = play(afterFirst, [9, 10, 11]); // O kills board 2, the last live one
+  assert.deepStrictEqual(result, { result: 'win', winner: 'X', combo: [9, 10, 11] });
+});
+
+test('order-chaos: Order wins with exactly five of a mark in a row', () => {
+  const state = Engine.createState({ variant: 'order-chaos' });
+  assert.strictEqual(state.board.length, 36);
+  // Os along the top row, with scattered Xs in between
+  const row = [[0, 'O'], [24, 'X'], [1, 'O'], [26, 'X'], [2, 'O'], [28, 'X'], [3, 'O'], [31, 'X']];
+  const { result } = play(state, [...row, [4, 'O']]);
+  assert.deepStrictEqual(result, { result: 'win', winner: 'X', combo: [0, 1, 2, 3, 4] });
+
+  // a sixth in the row does not count: fill 0-3 and 5 first, then 4 makes six
+  const six = play(state, [...row, [5, 'O'], [33, 'X'], [4, 'O']]);
+  assert.strictEqual(six.result, null);
+});
+
+test('order-chaos: Chaos wins when the board fills up without five in a row', () => {
+  // X O X O X O in each row pair, shifted so no line of five ever forms
+  const rows = ['XXOOXX', 'OOXXOO', 'XXOOXX', 'OOXXOO', 'XXOOXX', 'OOXXOO'].join('');
+  const { result } = play(Engine.createState({ variant: 'order-chaos' }), [...rows].map((mark, i) => [i, mark]));
+  assert.deepStrictEqual(result, { result: 'win', winner: 'O', combo: [] });
+});
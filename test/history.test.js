@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore, DEFAULT_RATING } = require('../lib/history');
+
+function tempStore(options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticky-history-'));
+  return createHistoryStore(path.join(dir, 'history.json'), options);
+}
+
+function game(players, winner) {
+  return {
+    roomId: 'abc1234',
+    size: 3,
+    winLength: 3,
+    players,
+    moves: [],
+    result: winner ? 'win' : 'draw',
+    winner,
+    reason: null,
+    startedAt: 0,
+    endedAt: 1
+  };
+}
+
+const alice = { name: 'Alice', symbol: 'X', isBot: false };
+const bob = { name: 'Bob', symbol: 'O', isBot: false };
+
+test('a win between equal players moves 16 points', () => {
+  const store = tempStore();
+  const entry = store.recordGame(game([alice, bob], 'X'));
+  assert.ok(entry.rated);
+  assert.deepStrictEqual(entry.ratingChanges, { X: 16, O: -16 });
+  assert.strictEqual(store.rating('alice'), DEFAULT_RATING + 16);
+  assert.strictEqual(store.rating('BOB'), DEFAULT_RATING - 16);
+});
+
+test('a draw between equal players changes nothing', () => {
+  const store = tempStore();
+  store.recordGame(game([alice, bob], null));
+  assert.strictEqual(store.rating('Alice'), DEFAULT_RATING);
+  const [top] = store.leaderboard();
+  assert.strictEqual(top.draws, 1);
+});
+
+test('bot games are recorded but unrated', () => {
+  const store = tempStore();
+  const entry = store.recordGame(game([alice, { name: 'Bot', symbol: 'O', isBot: true }], 'X'));
+  assert.strictEqual(entry.rated, false);
+  assert.strictEqual(store.rating('Alice'), DEFAULT_RATING);
+  assert.strictEqual(store.playerHistory('Alice').player.wins, 1);
+  assert.strictEqual(store.playerHistory('Bot'), null);
+});
+
+test('history lists a player\'s games newest first', () => {
+  const store = tempStore();
+  store.recordGame(game([alice, bob], 'X'));
+  store.recordGame(game([alice, bob], 'O'));
+  const { games } = store.playerHistory('alice');
+  assert.deepStrictEqual(games.map(g => g.winner), ['O', 'X']);
+});
+
+test('only the last maxGames games are kept, but ratings and counts cover them all', () => {
+  const store = tempStore({ maxGames: 2 });
+  store.recordGame(game([alice, bob], 'X'));
+  store.recordGame(game([alice, bob], 'X'));
+  const entry = store.recordGame(game([alice, bob], null));
+  assert.strictEqual(entry.id, 3);
+  const { player, games } = store.playerHistory('alice');
+  assert.deepStrictEqual(games.map(g => g.id), [3, 2]);
+  assert.deepStrictEqual([player.games, player.wins, player.draws], [3, 2, 1]);
+  assert.ok(store.rating('alice') > DEFAULT_RATING + 16);
+});
+
+test('names that are Object properties are players like any other, after a reload too', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticky-history-'));
+  const file = path.join(dir, 'history.json');
+  const store = createHistoryStore(file);
+  assert.strictEqual(store.rating('constructor'), DEFAULT_RATING);
+  const entry = store.recordGame(game([{ name: '__proto__', symbol: 'X', isBot: false }, bob], 'X'));
+  assert.deepStrictEqual(entry.ratingChanges, { X: 16, O: -16 });
+  assert.strictEqual(({}).games, undefined);
+  assert.strictEqual(store.rating('Bob'), DEFAULT_RATING - 16);
+  store.flush();
+
+  const reloaded = createHistoryStore(file);
+  assert.strictEqual(reloaded.rating('__proto__'), DEFAULT_RATING + 16);
+  assert.strictEqual(reloaded.playerHistory('__proto__').player.wins, 1);
+  assert.strictEqual(reloaded.playerHistory('constructor'), null);
+  assert.deepStrictEqual(reloaded.leaderboard().map(p => p.name), ['__proto__', 'Bob']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFile, SAVE_DELAY_MS } = require('../lib/jsonfile');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticky-json-'));
+  return path.join(dir, 'nested', 'data.json');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a missing or unreadable file loads as null', t => {
+  t.mock.method(console, 'error', () => {});
+  const file = tempFile();
+  assert.strictEqual(createJsonFile(file, 'data').load(), null);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{ not json');
+  assert.strictEqual(createJsonFile(file, 'data').load(), null);
+  assert.strictEqual(console.error.mock.callCount(), 1);
+});
+
+test('saves close together are written once, with the latest data', async () => {
+  const file = tempFile();
+  const json = createJsonFile(file, 'data');
+  json.save({ n: 1 });
+  json.save({ n: 2 });
+  assert.ok(!fs.existsSync(file));
+  await sleep(SAVE_DELAY_MS + 100);
+  assert.deepStrictEqual(createJsonFile(file, 'data').load(), { n: 2 });
+  assert.ok(!fs.existsSync(`${file}.tmp`));
+});
+
+test('flush writes a pending save straight away', () => {
+  const file = tempFile();
+  const json = createJsonFile(file, 'data');
+  json.flush();
+  assert.ok(!fs.existsSync(file));
+  json.save({ n: 3 });
+  json.flush();
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { n: 3 });
+});
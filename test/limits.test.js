@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+
+// read when the server is loaded: small caps, and a sweeper that runs often enough to watch
+Object.assign(process.env, {
+  MAX_ROOMS: '3',
+  MAX_ROOMS_PER_IP: '2',
+  WAITING_ROOM_TTL_MS: '600',
+  ROOM_IDLE_MS: '1200',
+  ROOM_SWEEP_MS: '100',
+  TRUST_PROXY: '1' // so a client can say which address it comes from
+});
+const { createGameServer } = require('../server');
+const { createLocalBackend } = require('../lib/shared');
+const { createHistoryStore } = require('../lib/history');
+const { createBotRegistry } = require('../lib/bots');
+const { createMemoryRoomStore } = require('../lib/roomstore');
+
+let game;
+let port;
+const clients = [];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function client(ip) {
+  const socket = connect(`http://localhost:${port}`, {
+    transports: ['websocket'],
+    forceNew: true,
+    reconnection: false,
+    extraHeaders: { 'x-forwarded-for': ip }
+  });
+  clients.push(socket);
+  return socket;
+}
+
+// the next `event` the socket gets that matches `pred`
+function next(socket, event, pred = () => true, ms = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${event} within ${ms}ms`)), ms);
+    const handler = payload => {
+      if (!pred(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(payload);
+    };
+    socket.on(event, handler);
+  });
+}
+
+// a new room created by `socket`, or the code it was refused with
+function create(socket) {
+  const answer = Promise.race([
+    next(socket, 'session', () => true, 1000).then(s => s.roomId, () => null),
+    next(socket, 'errorMsg', () => true, 1000).then(e => e.code, () => null)
+  ]);
+  socket.emit('createRoom', { name: 'Max' });
+  return answer;
+}
+
+test.before(async () => {
+  test.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticky-limits-'));
+  game = createGameServer({
+    backend: createLocalBackend(),
+    history: createHistoryStore(path.join(dir, 'history.json')),
+    bots: createBotRegistry(path.join(dir, 'bots.json')),
+    roomStore: createMemoryRoomStore()
+  });
+  port = await game.listen(0);
+});
+
+test.after(async () => {
+  clients.forEach(socket => socket.close());
+  await game.close();
+  test.mock.restoreAll();
+});
+
+test('rooms are capped per address and server-wide', async () => {
+  const [a1, a2, a3] = [client('10.0.0.1'), client('10.0.0.1'), client('10.0.0.1')];
+  const [b, c] = [client('10.0.0.2'), client('10.0.0.3')];
+  const mine = [await create(a1), await create(a2)];
+  assert.ok(mine.every(id => /^[a-z0-9]{7}$/.test(id)));
+
+  const refused = next(a3, 'errorMsg');
+  a3.emit('createRoom', { name: 'Max' });
+  const { code, params } = await refused;
+  assert.deepStrictEqual([code, params], ['TOO_MANY_ROOMS', { max: 2 }]);
+  const theirs = await create(b);
+  assert.match(theirs, /^[a-z0-9]{7}$/);
+  assert.strictEqual(await create(c), 'SERVER_FULL');
+  const full = next(c, 'errorMsg');
+  c.emit('quickplay', { name: 'Max' });
+  assert.strictEqual((await full).code, 'SERVER_FULL');
+
+  // a room closed frees its place under both caps
+  a1.emit('leaveRoom', { roomId: mine[0] });
+  const again = await create(a1);
+  assert.match(again, /^[a-z0-9]{7}$/);
+
+  // and the next test starts with no rooms open
+  for (const [socket, roomId] of [[a1, again], [a2, mine[1]], [b, theirs]]) socket.emit('leaveRoom', { roomId });
+  await sleep(100);
+});
+
+test('the sweeper closes rooms nobody joins, then rooms nobody uses', async () => {
+  const [lone, x, o] = [client('10.0.1.1'), client('10.0.1.2'), client('10.0.1.3')];
+  const waiting = await create(lone);
+  const idle = await create(x);
+  const matched = next(x, 'matchReady');
+  o.emit('joinRoom', { roomId: idle, name: 'Otto' });
+  await matched;
+
+  let idleClosed = false;
+  const closedIdle = next(o, 'roomClosed').then(closed => (idleClosed = true) && closed);
+  const closed = await next(lone, 'roomClosed');
+  assert.deepStrictEqual([closed.roomId, closed.reason], [waiting, 'waiting']);
+  assert.strictEqual(idleClosed, false); // a room with both players gets the longer ROOM_IDLE_MS
+  const { roomId, reason } = await closedIdle;
+  assert.deepStrictEqual([roomId, reason], [idle, 'idle']);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMatchQueue, BASE_GAP, GAP_PER_SECOND } = require('../lib/matchmaking');
+
+const board = { size: 3, winLength: 3 };
+
+function queueWith(players, maxWaitMs = 15000) {
+  const queue = createMatchQueue({ maxWaitMs });
+  for (const [id, rating, joinedAt = 0] of players) queue.add({ id, name: id, ...board, rating }, joinedAt);
+  return queue;
+}
+
+const ids = pairs => pairs.map(pair => pair.map(p => p.id));
+
+test('pairs the closest ratings first', () => {
+  const queue = queueWith([['a', 1200], ['b', 1290], ['c', 1210]]);
+  assert.deepStrictEqual(ids(queue.takePairs(0)), [['a', 'c']]);
+  assert.deepStrictEqual(queue.ids(), ['b']);
+});
+
+test('a wide rating gap only matches after waiting', () => {
+  const gap = BASE_GAP + 5 * GAP_PER_SECOND;
+  const queue = queueWith([['a', 1200], ['b', 1200 + gap, 4000]]);
+  assert.deepStrictEqual(queue.takePairs(1000), []);
+  assert.deepStrictEqual(ids(queue.takePairs(5000)), [['a', 'b']]);
+  assert.strictEqual(queue.size(), 0);
+});
+
+test('only players on the same board are paired', () => {
+  const queue = createMatchQueue({ maxWaitMs: 15000 });
+  queue.add({ id: 'a', rating: 1200, size: 3, winLength: 3 }, 0);
+  queue.add({ id: 'b', rating: 1200, size: 15, winLength: 5 }, 0);
+  queue.add({ id: 'c', rating: 1200, mode: 'ultimate', size: 3, winLength: 3 }, 0);
+  assert.deepStrictEqual(queue.takePairs(0), []);
+});
+
+test('players who wait too long are handed back for a bot game', () => {
+  const queue = queueWith([['a', 1200, 0], ['b', 2000, 10000]], 15000);
+  assert.deepStrictEqual(queue.takeExpired(14999).map(p => p.id), []);
+  assert.deepStrictEqual(queue.takeExpired(15000).map(p => p.id), ['a']);
+  assert.deepStrictEqual(queue.ids(), ['b']);
+});
+
+test('status reports position among the same board and an estimated wait', () => {
+  const queue = queueWith([['a', 1200, 0], ['b', 2000, 1000]], 15000);
+  assert.deepStrictEqual(queue.status('b', 3000), { position: 2, queued: 2, waitedMs: 2000, estimatedWaitMs: 13000 });
+  assert.strictEqual(queue.status('nobody'), null);
+
+  // once matches happen the estimate follows how long they took
+  queue.add({ id: 'c', name: 'c', ...board, rating: 1210 }, 3000);
+  queue.takePairs(4000); // a waited 4000ms, c 1000ms
+  queue.add({ id: 'd', name: 'd', ...board, rating: 3000 }, 4000);
+  assert.strictEqual(queue.status('d', 4000).estimatedWaitMs, 2500);
+  // waiting longer than usual falls back to when the bot takes over
+  assert.strictEqual(queue.status('d', 7000).estimatedWaitMs, 12000);
+});
+
+test('cancelling removes a player', () => {
+  const queue = queueWith([['a', 1200]]);
+  assert.ok(queue.has('a'));
+  assert.strictEqual(queue.remove('a').id, 'a');
+  assert.strictEqual(queue.remove('a'), null);
+  assert.ok(!queue.has('a'));
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../lib/metrics');
+
+test('counters and gauges render in the Prometheus text format', () => {
+  const metrics = createMetrics('t_');
+  const games = metrics.counter('games_total', 'Games');
+  const results = metrics.counter('results_total', 'Results');
+  let open = 2;
+  metrics.gauge('rooms', 'Rooms', () => [{ labels: { status: 'playing' }, value: open }]);
+  metrics.counter('refused_total', 'Refused', () => 7);
+  games.inc();
+  games.inc(undefined, 2);
+  results.inc({ result: 'draw "quoted"' });
+  open = 3;
+  assert.strictEqual(metrics.render(), [
+    '# HELP t_games_total Games',
+    '# TYPE t_games_total counter',
+    't_games_total 3',
+    '# HELP t_results_total Results',
+    '# TYPE t_results_total counter',
+    't_results_total{result="draw \\"quoted\\""} 1',
+    '# HELP t_rooms Rooms',
+    '# TYPE t_rooms gauge',
+    't_rooms{status="playing"} 3',
+    '# HELP t_refused_total Refused',
+    '# TYPE t_refused_total counter',
+    't_refused_total 7',
+    ''
+  ].join('\n'));
+});
+
+test('an unused counter reads 0', () => {
+  const metrics = createMetrics();
+  metrics.counter('moves_total', 'Moves');
+  assert.match(metrics.render(), /^moves_total 0$/m);
+});
+
+test('histograms count each observation in every bucket it fits', () => {
+  const metrics = createMetrics();
+  const latency = metrics.histogram('latency_seconds', 'Latency', [0.01, 0.1]);
+  latency.observe({ event: 'playMove' }, 0.005);
+  latency.observe({ event: 'playMove' }, 0.05);
+  latency.observe({ event: 'playMove' }, 2);
+  const lines = metrics.render().split('\n');
+  assert.ok(lines.includes('latency_seconds_bucket{event="playMove",le="0.01"} 1'));
+  assert.ok(lines.includes('latency_seconds_bucket{event="playMove",le="0.1"} 2'));
+  assert.ok(lines.includes('latency_seconds_bucket{event="playMove",le="+Inf"} 3'));
+  assert.ok(lines.includes('latency_seconds_sum{event="playMove"} 2.055'));
+  assert.ok(lines.includes('latency_seconds_count{event="playMove"} 3'));
+});
+
+test('a rate is marks per second over its window', () => {
+  const metrics = createMetrics();
+  const moves = metrics.rate('moves_per_second', 'Moves per second', 10000);
+  moves.mark(Date.now() - 20000); // outside the window by the time it is read
+  for (let i = 0; i < 5; i++) moves.mark();
+  assert.match(metrics.render(), /^moves_per_second 0\.5$/m);
+});
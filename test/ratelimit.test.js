@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../lib/ratelimit');
+
+test('an event is refused once its window is full, until the oldest hit expires', () => {
+  const limiter = createRateLimiter({ createRoom: { count: 2, windowMs: 1000 } });
+  assert.strictEqual(limiter.hit('a', 'createRoom', 0), 0);
+  assert.strictEqual(limiter.hit('a', 'createRoom', 100), 0);
+  assert.strictEqual(limiter.hit('a', 'createRoom', 400), 600);
+  assert.strictEqual(limiter.hit('b', 'createRoom', 400), 0, 'keys are limited separately');
+  assert.strictEqual(limiter.hit('a', 'playMove', 400), 0, 'events without a rule are not limited');
+  assert.strictEqual(limiter.hit('a', 'createRoom', 1000), 0, 'refused hits do not count');
+  assert.deepStrictEqual(limiter.stats(), { keys: 2, refused: { createRoom: 1 } });
+});
+
+test('the * rule counts every event together', () => {
+  const limiter = createRateLimiter({ '*': { count: 3, windowMs: 1000 }, playMove: { count: 10, windowMs: 1000 } });
+  limiter.hit('a', 'playMove', 0);
+  limiter.hit('a', 'sendChat', 0);
+  limiter.hit('a', 'playMove', 0);
+  assert.strictEqual(limiter.hit('a', 'setReady', 500), 500);
+  assert.strictEqual(limiter.hit('a', 'playMove', 500), 500);
+});
+
+test('prune drops keys with nothing left in their windows', () => {
+  const limiter = createRateLimiter({ '*': { count: 3, windowMs: 1000 } });
+  limiter.hit('old', 'joinRoom', 0);
+  limiter.hit('new', 'joinRoom', 900);
+  limiter.prune(1500);
+  assert.strictEqual(limiter.stats().keys, 1);
+  limiter.forget('new');
+  assert.strictEqual(limiter.stats().keys, 0);
+});
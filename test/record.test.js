@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GameRecord = require('../record');
+
+// X O X / X O O / O X X
+const DRAW = '3x3/3 a1 b1 c1 b2 a2 c2 b3 a3 c3 1/2';
+
+test('cell names are column letter then row number from the top', () => {
+  assert.strictEqual(GameRecord.cellName(0, 3), 'a1');
+  assert.strictEqual(GameRecord.cellName(5, 3), 'c2');
+  assert.strictEqual(GameRecord.cellName(224, 15), 'o15');
+  assert.strictEqual(GameRecord.parseCell('o15', 15), 224);
+  assert.throws(() => GameRecord.parseCell('d1', 3), /off the board/);
+  assert.throws(() => GameRecord.parseCell('1a', 3), /Bad move/);
+});
+
+test('notation round-trips and fills in symbols and the result', () => {
+  const record = GameRecord.fromNotation(DRAW);
+  assert.deepStrictEqual(record.moves.map(m => m.symbol), ['X', 'O', 'X', 'O', 'X', 'O', 'X', 'O', 'X']);
+  assert.deepStrictEqual(record.result, { result: 'draw', reason: null });
+  assert.strictEqual(GameRecord.toNotation(record), DRAW);
+});
+
+test('a win on the board comes back with its winning line', () => {
+  const record = GameRecord.fromNotation('3x3/3 a1 a2 b1 b2 c1');
+  assert.deepStrictEqual(record.result, { result: 'win', winner: 'X', combo: [0, 1, 2], reason: null });
+  assert.strictEqual(GameRecord.toNotation(record), '3x3/3 a1 a2 b1 b2 c1 1-0');
+});
+
+test('unfinished games and results decided off the board survive export', () => {
+  assert.strictEqual(GameRecord.toNotation(GameRecord.fromNotation('5x5/4 c3 b2')), '5x5/4 c3 b2 *');
+  const timeout = GameRecord.fromNotation('3x3/3 b2 a1 c3 0-1');
+  assert.deepStrictEqual(timeout.result, { result: 'win', winner: 'O' });
+});
+
+test('games where O moves first say so on the board', () => {
+  const record = GameRecord.fromNotation('3x3/3/O b2 a1');
+  assert.strictEqual(record.firstTurn, 'O');
+  assert.deepStrictEqual(record.moves.map(m => m.symbol), ['O', 'X']);
+  assert.strictEqual(GameRecord.toNotation(record), '3x3/3/O b2 a1 *');
+  assert.strictEqual(GameRecord.fromNotation('3x3/3 b2').firstTurn, 'X');
+});
+
+test('ultimate games name cells on the 9x9 grid and keep their mode', () => {
+  // e5 is the centre cell of the centre board, which sends O back to the centre board
+  const record = GameRecord.fromNotation('ultimate e5 d4 a1');
+  assert.strictEqual(record.mode, 'ultimate');
+  assert.deepStrictEqual(record.moves.map(m => m.index), [40, 36, 0]);
+  assert.strictEqual(GameRecord.toNotation(record), 'ultimate e5 d4 a1 *');
+  assert.deepStrictEqual(GameRecord.parse(GameRecord.toJSON(record)), record);
+  assert.throws(() => GameRecord.parse('ultimate e5 a1'), /Move 2 \(a1\): You must play in board 5/);
+  assert.strictEqual(GameRecord.fromNotation('ultimate/O e5').firstTurn, 'O');
+});
+
+test('variants go on the board, with chosen marks and notakto boards in the moves', () => {
+  const wild = GameRecord.fromNotation('3x3/3/wild Oa1 Xb2 Ob1 Oc1');
+  assert.deepStrictEqual(wild.moves.map(m => [m.symbol, m.mark]), [['X', 'O'], ['O', 'X'], ['X', 'O'], ['O', 'O']]);
+  assert.deepStrictEqual(wild.result, { result: 'win', winner: 'O', combo: [0, 1, 2], reason: null });
+  assert.strictEqual(GameRecord.toNotation(wild), '3x3/3/wild Oa1 Xb2 Ob1 Oc1 0-1');
+  assert.deepStrictEqual(GameRecord.parse(GameRecord.toJSON(wild)), wild);
+  assert.throws(() => GameRecord.parse('3x3/3/wild a1'), /needs the mark placed/);
+
+  const notakto = GameRecord.fromNotation('3x3/3/notakto2 1a1 2b2');
+  assert.deepStrictEqual(notakto.moves.map(m => m.index), [0, 13]);
+  assert.strictEqual(notakto.boardCount, 2);
+  assert.strictEqual(GameRecord.toNotation(notakto), '3x3/3/notakto2 1a1 2b2 *');
+  assert.throws(() => GameRecord.parse('3x3/3/notakto2 3a1'), /off the board/);
+
+  assert.strictEqual(GameRecord.toNotation(GameRecord.fromNotation('3x3/3/misere/O b2')), '3x3/3/misere/O b2 *');
+  assert.throws(() => GameRecord.parse('ultimate/wild e5'), /must start with a board/);
+});
+
+test('JSON keeps timestamps and round-trips', () => {
+  const record = GameRecord.fromJSON(JSON.stringify({
+    version: 1, size: 3, winLength: 3, firstTurn: 'X', result: null,
+    moves: [{ index: 4, symbol: 'X', at: 1000 }, { index: 0, symbol: 'O', at: 2500 }]
+  }));
+  assert.deepStrictEqual(record.moves, [{ index: 4, symbol: 'X', at: 1000 }, { index: 0, symbol: 'O', at: 2500 }]);
+  assert.deepStrictEqual(GameRecord.parse(GameRecord.toJSON(record)), record);
+});
+
+test('positions holds the board before and after every move', () => {
+  const { positions, result } = GameRecord.positions(GameRecord.fromNotation(DRAW));
+  assert.strictEqual(positions.length, 10);
+  assert.ok(positions[0].board.every(c => c === null));
+  assert.strictEqual(positions[1].board[0], 'X');
+  assert.ok(positions[9].board.every(Boolean));
+  assert.deepStrictEqual(result, { result: 'draw' });
+});
+
+test('illegal records are rejected', () => {
+  assert.throws(() => GameRecord.parse('3x3/3 a1 a1'), /Move 2 \(a1\): Cell already taken/);
+  assert.throws(() => GameRecord.parse('3x3/3 a1 a2 b1 b2 c1 c3'), /Game is over/);
+  assert.throws(() => GameRecord.parse('3x4/3 a1'), /must start with a board/);
+  assert.throws(() => GameRecord.parse('20x20/5 a1'), /Unsupported board size/);
+  assert.throws(() => GameRecord.parse(JSON.stringify({ version: 1, size: 3, winLength: 3, moves: [{ index: 4, symbol: 'O' }] })), /should be X/);
+  assert.throws(() => GameRecord.parse('{"version":2}'), /Unsupported record version/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryRoomStore, createFileRoomStore, toSnapshot, fromSnapshot } = require('../lib/roomstore');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticky-rooms-'));
+  return path.join(dir, 'rooms.json');
+}
+
+function room() {
+  return {
+    players: { s1: { name: 'Alice', symbol: 'X', socketId: 's1', token: 't1', connected: true } },
+    board: ['X', '', '', '', '', '', '', '', ''],
+    turn: 'O',
+    status: 'playing',
+    ready: new Set(['s1']),
+    rematchVotes: new Set(),
+    password: { salt: Buffer.from('salt'), hash: Buffer.from('hash') },
+    spectators: { s9: { name: 'Watcher', socketId: 's9' } },
+    chat: []
+  };
+}
+
+test('a snapshot survives JSON and gives back Sets and password buffers, without spectators', () => {
+  const snapshot = JSON.parse(JSON.stringify(toSnapshot({ abc: room() }, { t1: { roomId: 'abc', socketId: 's1' } })));
+  const { rooms, sessions } = fromSnapshot(snapshot);
+  assert.deepStrictEqual(rooms.abc.ready, new Set(['s1']));
+  assert.deepStrictEqual(rooms.abc.rematchVotes, new Set());
+  assert.ok(rooms.abc.password.hash.equals(Buffer.from('hash')));
+  assert.ok(rooms.abc.password.salt.equals(Buffer.from('salt')));
+  assert.deepStrictEqual(rooms.abc.spectators, {});
+  assert.deepStrictEqual(rooms.abc.board, room().board);
+  assert.deepStrictEqual(sessions, { t1: { roomId: 'abc', socketId: 's1' } });
+});
+
+test('the memory store hands back the last snapshot', () => {
+  const store = createMemoryRoomStore();
+  assert.strictEqual(store.load(), null);
+  store.save(toSnapshot({}, {}));
+  const last = toSnapshot({ abc: room() }, {});
+  store.saveNow(last);
+  assert.strictEqual(store.load(), last);
+});
+
+test('the file store loads what saveNow wrote, and nothing from a missing file', () => {
+  const file = tempFile();
+  assert.strictEqual(createFileRoomStore(file).load(), null);
+  createFileRoomStore(file).saveNow(toSnapshot({ abc: room() }, {}));
+  const { rooms } = fromSnapshot(createFileRoomStore(file).load());
+  assert.deepStrictEqual(Object.keys(rooms), ['abc']);
+  assert.strictEqual(rooms.abc.turn, 'O');
+});
+
+test('a batched save lands in the file', async () => {
+  const file = tempFile();
+  const store = createFileRoomStore(file);
+  store.save(toSnapshot({}, {}));
+  store.save(toSnapshot({ abc: room() }, {}));
+  await new Promise(resolve => setTimeout(resolve, 800));
+  assert.deepStrictEqual(Object.keys(createFileRoomStore(file).load().rooms), ['abc']);
+});
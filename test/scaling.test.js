@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+const { createGameServer } = require('../server');
+const { createLocalBackend } = require('../lib/shared');
+const { createHistoryStore } = require('../lib/history');
+const { createBotRegistry } = require('../lib/bots');
+const { createMemoryRoomStore } = require('../lib/roomstore');
+
+// two instances of the server in this process, sharing one backend as they would share Redis
+const backend = createLocalBackend();
+const instances = [];
+const ports = {};
+const clients = [];
+
+function instance(id) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `ticky-${id}-`));
+  const game = createGameServer({
+    instanceId: id,
+    backend,
+    history: createHistoryStore(path.join(dir, 'history.json')),
+    bots: createBotRegistry(path.join(dir, 'bots.json')),
+    roomStore: createMemoryRoomStore()
+  });
+  instances.push(game);
+  return game;
+}
+
+function client(on) {
+  const socket = connect(`http://localhost:${ports[on]}`, { transports: ['websocket'], forceNew: true, reconnection: false });
+  clients.push(socket);
+  return socket;
+}
+
+// the next `event` the socket gets that matches `pred`
+function next(socket, event, pred = () => true, ms = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${event} within ${ms}ms`)), ms);
+    const handler = payload => {
+      if (!pred(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(payload);
+    };
+    socket.on(event, handler);
+  });
+}
+
+test.before(async () => {
+  test.mock.method(console, 'log', () => {});
+  ports.a = await instance('a').listen(0);
+  ports.b = await instance('b').listen(0);
+});
+
+test.after(async () => {
+  clients.forEach(socket => socket.close());
+  await Promise.all(instances.map(game => game.close()));
+  test.mock.restoreAll();
+});
+
+test('players on different instances play a game to the end', async () => {
+  const alice = client('a');
+  const bob = client('b');
+  alice.emit('createRoom', { name: 'Alice' });
+  const { roomId } = await next(alice, 'session');
+
+  const aliceReady = next(alice, 'matchReady');
+  bob.emit('joinRoom', { roomId, name: 'Bob' });
+  const bobSession = await next(bob, 'session');
+  assert.strictEqual(bobSession.symbol, 'O');
+  await aliceReady;
+
+  const started = Promise.all([next(alice, 'gameStart'), next(bob, 'gameStart')]);
+  alice.emit('setReady', { roomId, ready: true });
+  bob.emit('setReady', { roomId, ready: true });
+  await started;
+
+  const moves = [[alice, 0], [bob, 3], [alice, 1], [bob, 4]];
+  for (const [player, index] of moves) {
+    const seen = Promise.all([alice, bob].map(s => next(s, 'boardUpdate', u => u.move.index === index)));
+    player.emit('playMove', { roomId, index });
+    await seen;
+  }
+  const over = Promise.all([next(alice, 'gameOver'), next(bob, 'gameOver')]);
+  alice.emit('playMove', { roomId, index: 2 });
+  const [forAlice, forBob] = await over;
+  assert.strictEqual(forAlice.winner, 'X');
+  assert.deepStrictEqual(forBob.combo, [0, 1, 2]);
+  assert.deepStrictEqual(forBob.room.board.slice(0, 6), ['X', 'X', 'X', 'O', 'O', null]);
+});
+
+test('errors for a room on another instance come back to the sender', async () => {
+  const alice = client('a');
+  const carol = client('b');
+  alice.emit('createRoom', { name: 'Alice', password: 'secret' });
+  const { roomId } = await next(alice, 'session');
+  carol.emit('joinRoom', { roomId, name: 'Carol', password: 'wrong' });
+  assert.strictEqual((await next(carol, 'errorMsg')).code, 'WRONG_PASSWORD');
+  carol.emit('setReady', { roomId, ready: true });
+  assert.strictEqual((await next(carol, 'errorMsg')).code, 'NOT_IN_ROOM');
+  carol.emit('joinRoom', { roomId: 'nowhere', name: 'Carol' });
+  assert.strictEqual((await next(carol, 'errorMsg')).code, 'ROOM_NOT_FOUND');
+});
+
+test('quickplay pairs players queued on different instances', async () => {
+  const dave = client('a');
+  const erin = client('b');
+  const sessions = Promise.all([next(dave, 'session'), next(erin, 'session')]);
+  dave.emit('quickplay', { name: 'Dave', size: 4, winLength: 3 });
+  erin.emit('quickplay', { name: 'Erin', size: 4, winLength: 3 });
+  const [forDave, forErin] = await sessions;
+  assert.strictEqual(forDave.roomId, forErin.roomId);
+  assert.deepStrictEqual([forDave.symbol, forErin.symbol].sort(), ['O', 'X']);
+});
+
+test('a dropped player takes their seat back through the other instance', async () => {
+  const frank = client('a');
+  const grace = client('a');
+  frank.emit('createRoom', { name: 'Frank' });
+  const { roomId, token } = await next(frank, 'session');
+  grace.emit('joinRoom', { roomId, name: 'Grace' });
+  await next(grace, 'matchReady');
+
+  const held = next(grace, 'opponentDisconnected');
+  frank.close();
+  assert.strictEqual((await held).name, 'Frank');
+
+  const back = client('b');
+  const reconnected = next(grace, 'opponentReconnected');
+  back.emit('resumeSession', { token });
+  const resumed = await next(back, 'sessionResumed');
+  assert.strictEqual(resumed.room.roomId, roomId);
+  await reconnected;
+
+  // the new socket, on the other instance, gets the room's broadcasts
+  const chat = next(back, 'chat');
+  grace.emit('sendChat', { roomId, text: 'welcome back' });
+  assert.strictEqual((await chat).text, 'welcome back');
+});
+
+test('the lobby lists the rooms of both instances', async () => {
+  const hana = client('a');
+  const ivan = client('b');
+  hana.emit('createRoom', { name: 'Hana', size: 5, winLength: 4 });
+  const { roomId: onA } = await next(hana, 'session');
+  ivan.emit('createRoom', { name: 'Ivan', size: 6, winLength: 4 });
+  const { roomId: onB } = await next(ivan, 'session');
+
+  const watcher = client('b');
+  const listed = next(watcher, 'lobby', ({ rooms }) => [onA, onB].every(id => rooms.some(r => r.roomId === id)));
+  watcher.emit('subscribeLobby');
+  await listed;
+});
+
+test('players seated on any instance cannot join the quickplay queue', async () => {
+  // one of these rooms is on the instance that does not run the matchmaker
+  const jack = client('a');
+  const kim = client('b');
+  for (const player of [jack, kim]) {
+    player.emit('createRoom', { name: 'Seated' });
+    await next(player, 'session');
+  }
+  for (const player of [jack, kim]) {
+    const queued = next(player, 'queueJoined', () => true, 500).then(() => true, () => false);
+    const refused = next(player, 'errorMsg');
+    player.emit('quickplay', { name: 'Seated' });
+    assert.strictEqual((await refused).code, 'ALREADY_IN_ROOM');
+    assert.strictEqual(await queued, false);
+  }
+});
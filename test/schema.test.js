@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SCHEMAS, validate } = require('../lib/schema');
+const ErrorCodes = require('../errors');
+
+test('payloads are checked against their event schema', () => {
+  assert.strictEqual(validate('playMove', { roomId: 'ab12cd3', index: 4 }), null);
+  assert.strictEqual(validate('playMove', { roomId: 'ab12cd3', index: 4, mark: 'O', extra: true }), null);
+  assert.deepStrictEqual(validate('playMove', { roomId: 'ab12cd3', index: '4' }), { event: 'playMove', field: 'index', detail: 'index must be an integer' });
+  assert.strictEqual(validate('playMove', { roomId: 'ab12cd3', index: 4, mark: 'Z' }).detail, 'mark must be one of X, O');
+  assert.strictEqual(validate('playMove', null).detail, 'roomId is required');
+  assert.strictEqual(validate('playMove', 'ab12cd3').detail, 'playMove takes an object');
+  assert.strictEqual(validate('joinRoom', { roomId: 'r', name: 'x'.repeat(25) }).detail, 'name must be at most 24 characters');
+  assert.strictEqual(validate('joinRoom', { roomId: 'r', name: 'a\nb' }).field, 'name');
+  assert.strictEqual(validate('answerDraw', { roomId: 'r', accept: 'yes' }).detail, 'accept must be a boolean');
+  assert.strictEqual(validate('setReady', { roomId: '__proto__', ready: true }).detail, 'roomId has characters that are not allowed');
+  assert.strictEqual(validate('leaveRoom', { roomId: 'constructor' }), null); // well formed; the server's room map has no prototype
+  assert.strictEqual(validate('leaveRoom', { roomId: 'x'.repeat(17) }).field, 'roomId');
+  assert.strictEqual(validate('subscribeLobby', undefined), null);
+  assert.strictEqual(validate('hack', {}).detail, 'unknown event hack');
+});
+
+test('nested and nullable fields', () => {
+  const room = { name: 'Ann', mode: 'classic', variant: 'standard', size: 3, winLength: 3, boardCount: null, bestOf: null, isPrivate: false };
+  assert.strictEqual(validate('createRoom', { ...room, timeControl: null }), null);
+  assert.strictEqual(validate('createRoom', { ...room, timeControl: { type: 'clock', baseMs: 180000, incrementMs: 2000 } }), null);
+  assert.deepStrictEqual(validate('createRoom', { ...room, timeControl: { type: 'hourglass' } }).field, 'timeControl.type');
+  assert.strictEqual(validate('createRoom', { ...room, variant: 'gomoku' }).field, 'variant');
+  assert.strictEqual(validate('createRoom', { ...room, isPrivate: null }).detail, 'isPrivate must not be null');
+});
+
+test('every error code has a message, and payloads carry the version and code', () => {
+  for (const code of ErrorCodes.CODES) assert.ok(ErrorCodes.message(code, {}, 'fr'), code);
+  assert.ok(Object.keys(SCHEMAS).length > 0);
+  assert.deepStrictEqual(ErrorCodes.payload('MESSAGE_TOO_LONG', { max: 200 }), { v: ErrorCodes.VERSION, code: 'MESSAGE_TOO_LONG', params: { max: 200 }, error: 'Messages are limited to 200 characters' });
+  assert.deepStrictEqual(ErrorCodes.payload('ROOM_NOT_FOUND'), { v: ErrorCodes.VERSION, code: 'ROOM_NOT_FOUND', error: 'Room not found' });
+  assert.strictEqual(ErrorCodes.message('CELL_TAKEN', {}, 'fr-CA'), 'Case déjà prise');
+  assert.strictEqual(ErrorCodes.message('WRONG_BOARD', { board: 5 }, 'de'), 'You must play in board 5');
+  assert.strictEqual(ErrorCodes.message('NO_SUCH_CODE'), null);
+  assert.throws(() => ErrorCodes.payload('NO_SUCH_CODE'), /Unknown error code/);
+});
@@ -0,0 +1,587 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+
+// read when the server is loaded
+process.env.ROOM_SNAPSHOT_MS = '50';
+process.env.RECONNECT_GRACE_MS = '1000';
+process.env.BOT_WAIT_MS = '300';
+process.env.TRUST_PROXY = '1'; // each client comes from its own address, so the tests stay under the per-address limits
+const { createGameServer } = require('../server');
+const { createLocalBackend } = require('../lib/shared');
+const { createHistoryStore } = require('../lib/history');
+const { createBotRegistry } = require('../lib/bots');
+const { createMemoryRoomStore } = require('../lib/roomstore');
+
+let game;
+let port;
+let bots; // the registry, for registering bots straight away
+const clients = [];
+const saves = []; // snapshots the server handed the room store
+let addresses = 0;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function client() {
+  const socket = connect(`http://localhost:${port}`, {
+    transports: ['websocket'],
+    forceNew: true,
+    reconnection: false,
+    extraHeaders: { 'x-forwarded-for': `10.0.0.${++addresses}` }
+  });
+  clients.push(socket);
+  return socket;
+}
+
+// the next `event` the socket gets that matches `pred`
+function next(socket, event, pred = () => true, ms = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${event} within ${ms}ms`)), ms);
+    const handler = payload => {
+      if (!pred(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(payload);
+    };
+    socket.on(event, handler);
+  });
+}
+
+// two players through ready in a new room created with `options`, with their session tokens; X moves first
+async function playing(options = {}) {
+  const x = client();
+  const o = client();
+  x.emit('createRoom', { name: 'Xena', ...options });
+  const { roomId, token } = await next(x, 'session');
+  const matched = next(x, 'matchReady');
+  const seated = next(o, 'session');
+  o.emit('joinRoom', { roomId, name: 'Oscar', password: options.password });
+  const [, session] = await Promise.all([matched, seated]);
+  const started = Promise.all([next(x, 'gameStart'), next(o, 'gameStart')]);
+  x.emit('setReady', { roomId, ready: true });
+  o.emit('setReady', { roomId, ready: true });
+  const [room] = await started;
+  return { x, o, roomId, room, tokens: { x: token, o: session.token } };
+}
+
+// clock readings are taken a few milliseconds apart
+function assertNear(actual, expected, ms = 50) {
+  assert.ok(actual <= expected && actual > expected - ms, `${actual} is not just under ${expected}`);
+}
+
+// play a move and wait until `watcher` sees it
+async function move(player, roomId, index, watcher = player) {
+  const seen = next(watcher, 'boardUpdate', u => u.move.index === index);
+  player.emit('playMove', { roomId, index });
+  return seen;
+}
+
+test.before(async () => {
+  test.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticky-server-'));
+  bots = createBotRegistry(path.join(dir, 'bots.json'));
+  game = createGameServer({
+    backend: createLocalBackend(),
+    history: createHistoryStore(path.join(dir, 'history.json')),
+    bots,
+    roomStore: { ...createMemoryRoomStore(), save: snapshot => saves.push(snapshot) }
+  });
+  port = await game.listen(0);
+});
+
+test.after(async () => {
+  clients.forEach(socket => socket.close());
+  await game.close();
+  test.mock.restoreAll();
+});
+
+test('a spectator who takes the free seat plays as a player', async () => {
+  const alice = client();
+  const carol = client();
+  alice.emit('createRoom', { name: 'Alice' });
+  const { roomId } = await next(alice, 'session');
+  carol.emit('joinRoom', { roomId, name: 'Carol', spectate: true });
+  await next(carol, 'spectating');
+
+  const seated = Promise.all([next(carol, 'session'), next(carol, 'roomUpdate', room => room.players.length === 2)]);
+  carol.emit('joinRoom', { roomId, name: 'Carol' });
+  const [session, update] = await seated;
+  assert.strictEqual(session.symbol, 'O');
+  assert.strictEqual(update.spectatorCount, 0);
+
+  const started = Promise.all([next(alice, 'gameStart'), next(carol, 'gameStart')]);
+  const refused = next(carol, 'errorMsg', () => true, 500).then(e => e.code, () => null);
+  alice.emit('setReady', { roomId, ready: true });
+  carol.emit('setReady', { roomId, ready: true });
+  await started;
+  assert.strictEqual(await refused, null);
+
+  const moved = next(carol, 'boardUpdate', u => u.move.index === 4);
+  const first = next(carol, 'boardUpdate', u => u.move.index === 0);
+  alice.emit('playMove', { roomId, index: 0 });
+  await first;
+  carol.emit('playMove', { roomId, index: 4 });
+  assert.strictEqual((await moved).move.symbol, 'O');
+});
+
+test('a room id naming an Object property is just a room that does not exist', async () => {
+  const dave = client();
+  const refused = next(dave, 'errorMsg');
+  dave.emit('setReady', { roomId: 'constructor', ready: true });
+  assert.strictEqual((await refused).code, 'ROOM_NOT_FOUND');
+});
+
+test('the limits report takes the admin key', async t => {
+  process.env.ADMIN_KEY = 'adm';
+  t.after(() => delete process.env.ADMIN_KEY);
+  const url = `http://localhost:${port}/api/limits`;
+  const refused = await fetch(url);
+  assert.strictEqual(refused.status, 401);
+  assert.deepStrictEqual(await refused.json(), { error: 'Wrong ADMIN_KEY' });
+  const res = await fetch(url, { headers: { authorization: 'Bearer adm' } });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(typeof (await res.json()).rooms.max, 'number');
+});
+
+test('a wrong key is refused by the name of the key the route takes', async t => {
+  process.env.BOT_ADMIN_KEY = 'bots';
+  t.after(() => delete process.env.BOT_ADMIN_KEY);
+  const res = await fetch(`http://localhost:${port}/api/bots`, {
+    method: 'POST',
+    headers: { authorization: 'Bearer adm', 'content-type': 'application/json' },
+    body: JSON.stringify({ name: 'Robo' })
+  });
+  assert.strictEqual(res.status, 401);
+  assert.deepStrictEqual(await res.json(), { error: 'Wrong BOT_ADMIN_KEY' });
+});
+
+test('open rooms are saved after a change, and not again while nothing changes', async () => {
+  const erin = client();
+  erin.emit('createRoom', { name: 'Erin' });
+  const { roomId } = await next(erin, 'session');
+  await sleep(150);
+  const count = saves.length;
+  assert.ok(saves[count - 1].rooms[roomId]);
+  await sleep(200);
+  assert.strictEqual(saves.length, count);
+
+  const chat = next(erin, 'chat');
+  erin.emit('sendChat', { roomId, text: 'hello' });
+  await chat;
+  await sleep(150);
+  assert.strictEqual(saves.length, count + 1);
+  assert.strictEqual(saves[count].rooms[roomId].chat[0].text, 'hello');
+});
+
+test('ready does not restart a game under way or one that is over', async () => {
+  const { x, o, roomId } = await playing();
+  await move(x, roomId, 0, o);
+  const refused = next(x, 'errorMsg');
+  x.emit('setReady', { roomId, ready: true });
+  assert.strictEqual((await refused).code, 'NOT_WAITING_FOR_READY');
+  const { board } = await move(o, roomId, 4, x);
+  assert.strictEqual(board[0], 'X');
+
+  await move(x, roomId, 1, o);
+  await move(o, roomId, 5, x);
+  const over = next(o, 'gameOver');
+  x.emit('playMove', { roomId, index: 2 });
+  await over;
+  const again = next(o, 'errorMsg');
+  o.emit('setReady', { roomId, ready: true });
+  assert.strictEqual((await again).code, 'NOT_WAITING_FOR_READY');
+});
+
+test('a password room takes its password to join or to watch', async () => {
+  const owner = client();
+  owner.emit('createRoom', { name: 'Pat', password: 's3cret' });
+  const { roomId } = await next(owner, 'session');
+  const guest = client();
+
+  let refused = next(guest, 'errorMsg');
+  guest.emit('joinRoom', { roomId, name: 'Quinn' });
+  assert.deepStrictEqual([(await refused).code, (await refused).roomId], ['PASSWORD_REQUIRED', roomId]);
+  refused = next(guest, 'errorMsg');
+  guest.emit('joinRoom', { roomId, name: 'Quinn', password: 'secret' });
+  assert.strictEqual((await refused).code, 'WRONG_PASSWORD');
+
+  const watcher = client();
+  const watching = next(watcher, 'spectating');
+  watcher.emit('joinRoom', { roomId, name: 'Rory', spectate: true, password: 's3cret' });
+  assert.strictEqual((await watching).hasPassword, true);
+  const seated = next(guest, 'session');
+  guest.emit('joinRoom', { roomId, name: 'Quinn', password: 's3cret' });
+  assert.strictEqual((await seated).symbol, 'O');
+});
+
+test('a player whose move clock runs out loses on time', async () => {
+  const { x, o, roomId, room } = await playing({ timeControl: { type: 'move', moveMs: 5000 } });
+  assert.deepStrictEqual([room.clock.O, room.clock.running], [5000, 'X']);
+  assertNear(room.clock.X, 5000);
+  const { clock } = await move(x, roomId, 0, o);
+  assert.deepStrictEqual([clock.X, clock.running], [5000, 'O']);
+  const over = await next(x, 'gameOver', () => true, 7000);
+  assert.deepStrictEqual([over.result, over.winner, over.loser], ['timeout', 'X', 'O']);
+  assert.strictEqual(over.room.clock.O, 0);
+});
+
+test('a chess clock charges the time used and adds the increment', async () => {
+  const { x, o, roomId, room } = await playing({ timeControl: { type: 'clock', baseMs: 30000, incrementMs: 5000 } });
+  assert.deepStrictEqual([room.clock.O, room.clock.running], [30000, 'X']);
+  assertNear(room.clock.X, 30000);
+  await sleep(200);
+  const { clock } = await move(x, roomId, 0, o);
+  assert.ok(clock.X > 30000 && clock.X <= 35000 - 200, clock.X);
+  assert.strictEqual(clock.running, 'O');
+});
+
+test('the clock of a player who drops stops until they are back', async () => {
+  const { x, o, roomId, tokens } = await playing({ timeControl: { type: 'clock', baseMs: 30000, incrementMs: 0 } });
+  await move(x, roomId, 0, o);
+  const held = next(x, 'roomUpdate', r => !r.players.find(p => p.symbol === 'O').connected);
+  o.close();
+  const { clock } = await held;
+  assert.strictEqual(clock.running, null);
+  await sleep(300);
+
+  const back = client();
+  back.emit('resumeSession', { token: tokens.o });
+  const { room } = await next(back, 'sessionResumed');
+  assert.strictEqual(room.clock.running, 'O');
+  assertNear(room.clock.O, clock.O);
+  const { clock: after } = await move(back, roomId, 4, x);
+  assertNear(after.O, clock.O, 300); // the time away was not charged
+});
+
+test('a dropped player takes their seat and the game back with their session token', async () => {
+  const { x, o, roomId, tokens } = await playing();
+  await move(x, roomId, 0, o);
+  const held = next(x, 'opponentDisconnected');
+  o.close();
+  assert.deepStrictEqual(await held, { name: 'Oscar', symbol: 'O', graceMs: 1000 });
+
+  const back = client();
+  const reconnected = next(x, 'opponentReconnected');
+  back.emit('resumeSession', { token: tokens.o });
+  const { symbol, room } = await next(back, 'sessionResumed');
+  assert.deepStrictEqual([symbol, room.status, room.board[0], room.turn], ['O', 'playing', 'X', 'O']);
+  assert.ok(room.players.every(p => p.connected));
+  await reconnected;
+  const { board } = await move(back, roomId, 4, x);
+  assert.strictEqual(board[4], 'O');
+});
+
+test('a player who does not come back within the grace period forfeits', async () => {
+  const { x, o, roomId, tokens } = await playing();
+  await move(x, roomId, 0, o);
+  const over = next(x, 'gameOver', () => true, 2000);
+  const left = next(x, 'opponentLeft', () => true, 2000);
+  o.close();
+  const { result, reason, winner } = await over;
+  assert.deepStrictEqual([result, reason, winner], ['win', 'forfeit', 'X']);
+  await left;
+
+  const late = client();
+  const expired = next(late, 'sessionExpired');
+  late.emit('resumeSession', { token: tokens.o });
+  assert.strictEqual((await expired).code, 'SESSION_EXPIRED');
+});
+
+test('a takeback is asked for, then declined, accepted or cancelled by a move', async () => {
+  const { x, o, roomId } = await playing();
+  await move(x, roomId, 0, o);
+  let asked = next(o, 'takebackRequested');
+  x.emit('requestTakeback', { roomId });
+  assert.deepStrictEqual(await asked, { name: 'Xena', symbol: 'X', count: 1 });
+  const refused = next(x, 'errorMsg');
+  x.emit('answerTakeback', { roomId, accept: true });
+  assert.strictEqual((await refused).code, 'NO_TAKEBACK');
+  const declined = next(x, 'takebackDeclined');
+  o.emit('answerTakeback', { roomId, accept: false });
+  assert.deepStrictEqual(await declined, { symbol: 'X' });
+
+  asked = next(o, 'takebackRequested');
+  x.emit('requestTakeback', { roomId });
+  await asked;
+  const cancelled = next(x, 'takebackCancelled');
+  await move(o, roomId, 4, x);
+  await cancelled;
+
+  // X is to move, so taking back their move takes back O's reply too
+  asked = next(o, 'takebackRequested');
+  x.emit('requestTakeback', { roomId });
+  assert.strictEqual((await asked).count, 2);
+  const taken = next(x, 'takeback');
+  o.emit('answerTakeback', { roomId, accept: true });
+  const { board, moves, count, turn } = await taken;
+  assert.deepStrictEqual([board.every(cell => cell === null), moves, count, turn], [true, [], 2, 'X']);
+});
+
+async function playerHistory(name) {
+  const res = await fetch(`http://localhost:${port}/api/players/${name}/history`);
+  return res.json();
+}
+
+test('resigning loses the game, for the series and the match history', async () => {
+  const { x, o, roomId } = await playing();
+  await move(x, roomId, 0, o);
+  const over = next(x, 'gameOver');
+  o.emit('resign', { roomId });
+  const { result, reason, winner, room } = await over;
+  assert.deepStrictEqual([result, reason, winner], ['win', 'resign', 'X']);
+  assert.deepStrictEqual(room.series.score, { X: 1, O: 0, D: 0 });
+  const { games: [last] } = await playerHistory('Oscar');
+  assert.deepStrictEqual([last.roomId, last.reason, last.winner], [roomId, 'resign', 'X']);
+});
+
+test('a draw offer is declined, lapses with a move, or is agreed', async () => {
+  const { x, o, roomId } = await playing();
+  let offered = next(o, 'drawOffered');
+  x.emit('offerDraw', { roomId });
+  assert.deepStrictEqual(await offered, { name: 'Xena', symbol: 'X' });
+  const declined = next(x, 'drawDeclined');
+  o.emit('answerDraw', { roomId, accept: false });
+  assert.deepStrictEqual(await declined, { symbol: 'X' });
+
+  await move(x, roomId, 0, o);
+  offered = next(o, 'drawOffered');
+  x.emit('offerDraw', { roomId });
+  await offered;
+  const lapsed = next(x, 'drawOfferCancelled');
+  await move(o, roomId, 4, x);
+  await lapsed;
+
+  offered = next(o, 'drawOffered');
+  x.emit('offerDraw', { roomId });
+  await offered;
+  const over = next(x, 'gameOver');
+  o.emit('answerDraw', { roomId, accept: true });
+  const { result, reason, room } = await over;
+  assert.deepStrictEqual([result, reason, room.series.score], ['draw', 'agreement', { X: 0, O: 0, D: 1 }]);
+  const { games: [last] } = await playerHistory('Xena');
+  assert.deepStrictEqual([last.roomId, last.result, last.reason], [roomId, 'draw', 'agreement']);
+});
+
+test('chat takes text or a known emote, checks its length and rate, and is replayed to late joiners', async () => {
+  const sam = client();
+  sam.emit('createRoom', { name: 'Sam' });
+  const { roomId } = await next(sam, 'session');
+
+  let heard = next(sam, 'chat');
+  sam.emit('sendChat', { roomId, text: '  hi\u0007 there ' });
+  assert.deepStrictEqual([(await heard).text, (await heard).symbol], ['hi there', 'X']);
+  heard = next(sam, 'chat');
+  sam.emit('sendChat', { roomId, emote: '👍' });
+  assert.strictEqual((await heard).emote, '👍');
+
+  let refused = next(sam, 'errorMsg');
+  sam.emit('sendChat', { roomId, emote: '💩' });
+  assert.strictEqual((await refused).code, 'UNKNOWN_EMOTE');
+  refused = next(sam, 'errorMsg');
+  sam.emit('sendChat', { roomId, text: 'x'.repeat(201) });
+  assert.deepStrictEqual([(await refused).code, (await refused).params], ['MESSAGE_TOO_LONG', { max: 200 }]);
+
+  for (const text of ['three', 'four', 'five']) {
+    heard = next(sam, 'chat');
+    sam.emit('sendChat', { roomId, text });
+    await heard;
+  }
+  refused = next(sam, 'errorMsg');
+  sam.emit('sendChat', { roomId, text: 'six' });
+  assert.strictEqual((await refused).code, 'CHAT_RATE_LIMITED');
+
+  const tess = client();
+  const history = next(tess, 'chatHistory');
+  tess.emit('joinRoom', { roomId, name: 'Tess' });
+  const { messages } = await history;
+  assert.deepStrictEqual(messages.map(m => m.text || m.emote), ['hi there', '👍', 'three', 'four', 'five']);
+  heard = next(sam, 'chat');
+  tess.emit('sendChat', { roomId, text: 'hello Sam' });
+  assert.deepStrictEqual([(await heard).name, (await heard).symbol], ['Tess', 'O']);
+});
+
+test('quickplay seats a bot after BOT_WAIT_MS, and games against it are unrated', async () => {
+  const uma = client();
+  const queued = Date.now();
+  const joined = next(uma, 'queueJoined');
+  const seated = next(uma, 'session');
+  const matched = next(uma, 'matchReady');
+  uma.emit('quickplay', { name: 'Uma' });
+  await joined;
+  const { roomId, symbol } = await seated;
+  assert.ok(Date.now() - queued >= 300);
+  const room = await matched;
+  const bot = room.players.find(p => p.isBot);
+  assert.deepStrictEqual([bot.name, bot.symbol, bot.isReady, symbol], ['Bot', 'O', true, 'X']);
+
+  const started = next(uma, 'gameStart');
+  uma.emit('setReady', { roomId, ready: true });
+  await started;
+  const over = next(uma, 'gameOver');
+  uma.emit('resign', { roomId });
+  assert.strictEqual((await over).winner, 'O');
+  const { player, games: [last] } = await playerHistory('Uma');
+  assert.deepStrictEqual([last.roomId, last.rated, player.rating, player.losses], [roomId, false, 1200, 1]);
+});
+
+test('the lobby lists public rooms as they change, and never private ones', async () => {
+  const watcher = client();
+  const [vic, wes, yan] = [client(), client(), client()];
+  vic.emit('createRoom', { name: 'Vic', size: 4, winLength: 3 });
+  const { roomId: open } = await next(vic, 'session');
+  wes.emit('createRoom', { name: 'Wes', isPrivate: true });
+  const { roomId: hidden } = await next(wes, 'session');
+
+  let listed = next(watcher, 'lobby', ({ rooms }) => rooms.some(r => r.roomId === open));
+  watcher.emit('subscribeLobby');
+  let { rooms } = await listed;
+  assert.ok(!rooms.some(r => r.roomId === hidden));
+  const entry = rooms.find(r => r.roomId === open);
+  assert.deepStrictEqual([entry.status, entry.size, entry.canJoin, entry.players.map(p => p.name)], ['waiting', 4, true, ['Vic']]);
+
+  listed = next(watcher, 'lobby', ({ rooms }) => rooms.some(r => r.roomId === open && r.status === 'waitingReady'));
+  yan.emit('joinRoom', { roomId: open, name: 'Yan' });
+  ({ rooms } = await listed);
+  assert.strictEqual(rooms.find(r => r.roomId === open).canJoin, false);
+  assert.ok(!rooms.some(r => r.roomId === hidden));
+
+  const unlisted = next(watcher, 'lobby', ({ rooms }) => !rooms.some(r => r.roomId === open));
+  vic.emit('leaveRoom', { roomId: open });
+  yan.emit('leaveRoom', { roomId: open });
+  await unlisted;
+});
+
+test('an invite link opens the game page, and its room is joined by id even when private', async () => {
+  const zoe = client();
+  zoe.emit('createRoom', { name: 'Zoe', isPrivate: true });
+  const { roomId } = await next(zoe, 'session');
+  const page = await fetch(`http://localhost:${port}/game?room=${roomId}`);
+  assert.strictEqual(page.status, 200);
+  assert.match(await page.text(), /<script src="script.js/);
+
+  const guest = client();
+  const seated = next(guest, 'session');
+  guest.emit('joinRoom', { roomId, name: 'Guest' });
+  const session = await seated;
+  assert.deepStrictEqual([session.roomId, session.symbol], [roomId, 'O']);
+  // the room is full, so the next one through the link watches
+  const late = client();
+  const watching = next(late, 'spectating');
+  late.emit('joinRoom', { roomId, name: 'Late' });
+  assert.strictEqual((await watching).isPrivate, true);
+});
+
+// a connected registered bot
+async function botClient(name) {
+  const { token } = bots.register(name);
+  const socket = client();
+  const welcome = next(socket, 'botWelcome');
+  socket.emit('botHello', { token });
+  await welcome;
+  return socket;
+}
+
+test('a bot is limited like anyone, except for the move it was prompted for', async () => {
+  const robo = await botClient('Robo');
+  robo.emit('createRoom', { name: 'ignored' });
+  const { roomId } = await next(robo, 'session');
+  for (let i = 0; i < 15; i++) robo.emit('playMove', { roomId, index: i % 9 });
+  const limited = next(robo, 'errorMsg');
+  robo.emit('playMove', { roomId, index: 0 });
+  assert.deepStrictEqual([(await limited).code, (await limited).params.event], ['RATE_LIMITED', 'playMove']);
+
+  const ada = client();
+  const prompted = next(robo, 'yourTurn');
+  ada.emit('joinRoom', { roomId, name: 'Ada' });
+  await next(ada, 'matchReady');
+  ada.emit('setReady', { roomId, ready: true });
+  assert.deepStrictEqual((await prompted).legalMoves.length, 9);
+  const { move: played } = await move(robo, roomId, 4, ada);
+  assert.strictEqual(played.symbol, 'X');
+});
+
+test('a registered bot is asked about takebacks and draw offers, and answers them itself', async () => {
+  const deep = await botClient('Deep');
+  deep.emit('createRoom', { name: 'ignored' });
+  const { roomId } = await next(deep, 'session');
+  const bea = client();
+  bea.emit('joinRoom', { roomId, name: 'Bea' });
+  await next(bea, 'matchReady');
+  const prompted = next(deep, 'yourTurn');
+  bea.emit('setReady', { roomId, ready: true });
+  await prompted;
+  await move(deep, roomId, 0, bea);
+  await move(bea, roomId, 4, deep);
+
+  const asked = next(deep, 'takebackRequested');
+  const answered = next(bea, 'takeback', () => true, 500).then(() => true, () => false);
+  bea.emit('requestTakeback', { roomId });
+  assert.deepStrictEqual(await asked, { name: 'Bea', symbol: 'O', count: 1 });
+  assert.strictEqual(await answered, false); // nobody answered for the bot
+  const taken = next(bea, 'takeback');
+  deep.emit('answerTakeback', { roomId, accept: true });
+  assert.strictEqual((await taken).board[4], null);
+
+  const offered = next(deep, 'drawOffered');
+  bea.emit('offerDraw', { roomId });
+  await offered;
+  const over = next(bea, 'gameOver');
+  deep.emit('answerDraw', { roomId, accept: true });
+  assert.deepStrictEqual([(await over).result, (await over).reason], ['draw', 'agreement']);
+});
+
+test('with the admin key, the rooms can be listed, looked at and closed', async t => {
+  process.env.ADMIN_KEY = 'adm';
+  t.after(() => delete process.env.ADMIN_KEY);
+  const admin = (route, init = {}) => fetch(`http://localhost:${port}${route}`, { ...init, headers: { authorization: 'Bearer adm' } });
+  const cleo = client();
+  cleo.emit('createRoom', { name: 'Cleo', size: 5, winLength: 4, isPrivate: true });
+  const { roomId } = await next(cleo, 'session');
+
+  let res = await admin('/admin/rooms');
+  assert.strictEqual(res.status, 200);
+  const listed = (await res.json()).rooms.find(r => r.roomId === roomId);
+  assert.deepStrictEqual([listed.status, listed.size, listed.isPrivate], ['waiting', 5, true]);
+  assert.match(listed.ownerIp, /^10\.0\.0\.\d+$/);
+  assert.deepStrictEqual(listed.players.map(p => [p.name, p.socketId]), [['Cleo', cleo.id]]);
+
+  res = await admin(`/admin/rooms/${roomId}`);
+  assert.deepStrictEqual([res.status, (await res.json()).winLength], [200, 4]);
+  assert.strictEqual((await admin('/admin/rooms/nowhere')).status, 404);
+
+  const closed = next(cleo, 'roomClosed');
+  res = await admin(`/admin/rooms/${roomId}`, { method: 'DELETE' });
+  assert.strictEqual(res.status, 204);
+  assert.strictEqual((await closed).reason, 'admin');
+  assert.strictEqual((await admin(`/admin/rooms/${roomId}`)).status, 404);
+
+  res = await admin('/api/limits');
+  const limits = await res.json();
+  assert.strictEqual(limits.rooms.open, (await (await admin('/admin/rooms')).json()).rooms.length);
+  assert.deepStrictEqual(limits.rateLimits.socket.playMove, { count: 15, windowMs: 5000 });
+});
+
+test('a seated player joining their room again keeps their one seat', async () => {
+  const dora = client();
+  dora.emit('createRoom', { name: 'Dora' });
+  const { roomId, token } = await next(dora, 'session');
+  const refused = next(dora, 'errorMsg');
+  const seatedAgain = next(dora, 'session', () => true, 500).then(() => true, () => false);
+  dora.emit('joinRoom', { roomId, name: 'Dora' });
+  assert.strictEqual((await refused).code, 'ALREADY_PLAYING');
+  assert.strictEqual(await seatedAgain, false);
+
+  const watcher = client();
+  const { players } = await new Promise(resolve => {
+    watcher.once('spectating', resolve);
+    watcher.emit('joinRoom', { roomId, name: 'Eve', spectate: true });
+  });
+  assert.deepStrictEqual(players.map(p => [p.name, p.symbol]), [['Dora', 'X']]);
+  const back = client();
+  const resumed = next(back, 'sessionResumed');
+  back.emit('resumeSession', { token });
+  assert.strictEqual((await resumed).symbol, 'X');
+});
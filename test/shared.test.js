@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLocalBackend } = require('../lib/shared');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('hashes keep strings, and a missing field or hash is null or empty', async () => {
+  const backend = createLocalBackend();
+  await backend.hset('h', 'a', 1);
+  await backend.hset('h', 'b', 'two');
+  assert.strictEqual(await backend.hget('h', 'a'), '1');
+  assert.strictEqual(await backend.hget('h', 'zzz'), null);
+  assert.strictEqual(await backend.hget('nope', 'a'), null);
+  await backend.hdel('h', 'b');
+  assert.deepStrictEqual(await backend.hgetall('h'), { a: '1' });
+  assert.deepStrictEqual(await backend.hgetall('nope'), {});
+});
+
+test('a lock is taken once, renewed only by its holder, and free again once it expires', async () => {
+  const backend = createLocalBackend();
+  assert.strictEqual(await backend.setIfAbsent('lock', 'a', 50), true);
+  assert.strictEqual(await backend.setIfAbsent('lock', 'b', 50), false);
+  assert.strictEqual(await backend.renew('lock', 'b', 50), false);
+  assert.strictEqual(await backend.renew('lock', 'a', 50), true);
+  assert.strictEqual(await backend.get('lock'), 'a');
+  await sleep(80);
+  assert.strictEqual(await backend.get('lock'), null);
+  assert.strictEqual(await backend.setIfAbsent('lock', 'b', 50), true);
+});
+
+test('messages reach every subscriber in order, after publish returns, until they unsubscribe', async () => {
+  const backend = createLocalBackend();
+  const first = [];
+  const second = [];
+  const unsubscribe = await backend.subscribe('c', message => first.push(message));
+  await backend.subscribe('c', message => second.push(message));
+  assert.strictEqual(await backend.publish('c', 'one'), 2);
+  assert.deepStrictEqual(first, []);
+  await backend.publish('c', 'two');
+  await sleep(10);
+  assert.deepStrictEqual(first, ['one', 'two']);
+  assert.deepStrictEqual(second, ['one', 'two']);
+
+  await unsubscribe();
+  await backend.publish('c', 'three');
+  await sleep(10);
+  assert.deepStrictEqual(first, ['one', 'two']);
+  assert.deepStrictEqual(second, ['one', 'two', 'three']);
+});